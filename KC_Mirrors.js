@@ -74,10 +74,23 @@ SOFTWARE.
  * they walk around the map.
  * 
  * Wall reflections appeaer on regions marked with certain IDs and grow and
- * shrink based on how close the character is to the marked tile. Only one
- * wall reflection is visible at a time per character; the one that is
- * visible is placed on the closest tile with a wall reflection that is above
- * the character.
+ * shrink based on how close the character is to the marked tile. By default,
+ * only one wall reflection is visible at a time per character; the one that
+ * is visible is placed on the closest tile with a wall reflection that is
+ * above the character. The Wall Reflections Per Direction parameter allows
+ * characters to also appear in mirrors that are further away, such as in a
+ * gallery of stacked mirrors.
+ * 
+ * Mirrors can also be placed on walls to the left or right of a character
+ * by using the Left Wall Region IDs and Right Wall Region IDs parameters.
+ * These reflections are placed on the closest mirror tile in the character's
+ * row and face the opposite horizontal direction of the character. Side
+ * mirrors are drawn in addition to the mirror above the character.
+ * 
+ * Likewise, mirrors below a character can be marked with the Bottom Wall
+ * Region IDs parameter. These mirrors are seen from behind, so the
+ * reflection shows the character's front-facing frames instead of the
+ * reversed frames used by mirrors above the character.
  * 
  * Also note that most arguments can have their values substituted with
  * variables by using \v[x] as an argument where x is a game variable ID.
@@ -91,6 +104,50 @@ SOFTWARE.
  * have a "wavy" effect; this would be useful to simulate the appearance of
  * water for example. This feature is MZ EXCLUSIVE.
  * 
+ * Reflections also have a few built-in filters that work in both MV and MZ
+ * without any other plugins: a horizontal wave distortion, a blur, and an
+ * animated ripple that scrolls the wave. These are set per map with the
+ * <REFLECT_FLOOR_FILTER> and <REFLECT_WALL_FILTER> note tags and can be
+ * changed during gameplay with the Set Map Reflection Filter command (MZ) or
+ * the setMapReflectFilter command (MV).
+ * 
+ * Floor reflections can also be drawn in battle. See the Battle Reflections
+ * parameter and the Battle Note Tags section for details.
+ * 
+ * Balloons and animations played on a character are also shown in its
+ * reflections. Animations on reflections only flash the reflection itself;
+ * sound effects and screen flashes are left to the original animation, and
+ * animations that are displayed on the whole screen are not reflected.
+ * 
+ * A reflection can be detached from its character with the Detach
+ * Reflection command (MZ) or the detachReflect command (MV). A detached
+ * reflection keeps facing its own direction, can be frozen on one pattern,
+ * and can run its own list of route commands while the character keeps
+ * moving. Directions work as if the character were facing that way, so a
+ * mirror above the character still shows the reversed frame. Route commands
+ * are separated by commas and run from left to right:
+ *   | down, left, right, up: Face that direction
+ *   | turnRight, turnLeft, turnAround: Turn relative to the current direction
+ *   | random: Face a random direction
+ *   | towardPlayer, awayFromPlayer: Face toward or away from the player
+ *   | follow: Face the same direction as the character right now
+ *   | pattern:x: Freeze on pattern x (0 is the left frame)
+ *   | walk: Use the character's walking animation again
+ *   | wait:x: Wait x frames before running the next command
+ *   * example: up, wait:60, pattern:1, wait:30, towardPlayer
+ * The Reattach Reflection command (MZ) or the reattachReflect command (MV)
+ * makes the reflection follow its character again. Detached reflections on
+ * actors and vehicles are saved with the game.
+ * 
+ * Reflections can also be delayed with the <REFLECT_DELAY:x> note tag or the
+ * Set Reflection Delay command (MZ) or setReflectDelay command (MV). A
+ * delayed reflection replays where the character was, and which way it
+ * faced, x frames ago, so it trails behind the character like an echo. This
+ * works for floor and wall reflections. Whenever the character is
+ * transferred or its position is set directly, the reflections jump straight
+ * to the new position and only start trailing again once the character
+ * moves. The delay setting itself is kept.
+ * 
  * Also as of version 1.3.0, reflections can be offset by arbitrary numbers
  * of pixels using the <REFLECT_FLOOR_OFFSETS:[x],[y]> and 
  * <REFLECT_WALL_OFFSETS:[x],[y]>, which can be useful for fine-tuning
@@ -102,21 +159,114 @@ SOFTWARE.
  * it is parented to (e.g. the character has 5 frames but the spritesheet only
  * has 3).
  * 
+ * <REFLECT_INDEX:0> now uses the first character on the sheet. Older
+ * versions used the character's own index instead, which can change how
+ * existing projects look.
+ * 
  * -----------------------------Plugin Parameters-----------------------------
  * 
  * Wall Region IDs:
  * An array of regions that wall reflections can be drawn on.
  * 
+ * Left Wall Region IDs:
+ * An array of regions that side wall reflections can be drawn on. These
+ * mirrors reflect characters standing to the right of them, such as mirrors
+ * hung on a room's west wall.
+ * 
+ * Right Wall Region IDs:
+ * Same as above, but these mirrors reflect characters standing to the left
+ * of them, such as mirrors hung on a room's east wall.
+ * 
+ * Bottom Wall Region IDs:
+ * An array of regions that wall reflections can be drawn on when they are
+ * below a character, such as mirrors on the bottom edge of a room.
+ * 
  * Disable Region IDs:
  * Characters standing on these regions will have wall and floor reflections
  * disabled for as long as they are on top of those regions.
  * 
+ * Floor Region IDs:
+ * If any region IDs are listed here, floor reflections are only drawn on
+ * tiles with these region IDs. Reflections are cropped tile by tile, so a
+ * character standing at the edge of a lake only has their reflection drawn
+ * on the water tiles it overlaps. Leave this and Floor Terrain Tags empty to
+ * draw floor reflections everywhere.
+ * 
+ * Floor Terrain Tags:
+ * Same as above, but tiles are marked with tileset terrain tags instead of
+ * region IDs. A tile only needs to match one of these two parameters.
+ * 
+ * Tile Reflection Range:
+ * Tiles on the map's upper layers (tiles from tabs B to E, such as trees,
+ * pillars, and houses) that are within this many tiles of a reflective floor
+ * tile are drawn upside down in the floor, so a lake next to a forest also
+ * reflects the trees. Tiles that are stacked on top of each other are
+ * flipped together, with the bottom tile of the stack touching the water
+ * line. These reflections use the same z value as character reflections and
+ * are cropped to the reflective floor tiles, so this only works if Floor
+ * Region IDs or Floor Terrain Tags are set. Set this to 0 to disable tile
+ * reflections. This does not work on looping maps.
+ * 
+ * Wall Terrain Tags:
+ * Left Wall Terrain Tags:
+ * Right Wall Terrain Tags:
+ * Bottom Wall Terrain Tags:
+ * Disable Reflection Terrain Tags:
+ * These work the same as their region ID counterparts, but use the terrain
+ * tags set in the database's tileset tab instead. Since terrain tags belong
+ * to the tileset, mirrors can be set up once and then used on every map with
+ * that tileset without painting any regions. A tile counts as a mirror if
+ * either its region ID or its terrain tag matches. Terrain tag 0 is the
+ * default for every tile and cannot be used.
+ * 
+ * Mirror Region Settings:
+ * A list of settings for wall reflections drawn on specific region IDs. This
+ * allows different kinds of mirrors to behave differently on the same map,
+ * such as a clear glass mirror next to a tarnished bronze one. The region ID
+ * must either be listed in one of the wall region parameters or be painted
+ * over a mirror found by its terrain tag. If a mirror is painted with more
+ * than one region, the region with settings that covers the most of its
+ * tiles is used for the whole mirror. Each entry has the following
+ * settings:
+ *   - Wall Mode: Overrides the map's wall reflection mode for this mirror.
+ *   - Opacity Multiplier: The reflection's opacity is multiplied by this.
+ *   - x Offset and y Offset: Added to the character and map offsets.
+ *   - Angle: Added to the character and map angles.
+ *   - Maximum Wall Distance: Overrides the plugin parameter for this mirror.
+ *     Set to 0 to use the plugin parameter. When set, characters farther
+ *     away than this are not reflected in any wall mode.
+ * 
  * Actor Defaults:
  * Default reflection settings for actors. Can be overriden by note tags.
  * 
  * Event Defaults:
  * Default reflection settings for events. Can be overriden by note tags.
  * 
+ * Vehicle Defaults:
+ * Default reflection settings for vehicles.
+ * 
+ * Show Vehicle Riders:
+ * While the party is riding a vehicle, the player is hidden, so normally the
+ * vehicle's reflection is empty. If this is enabled, the party leader's
+ * reflection is drawn on top of the vehicle's reflections. Rider Offset is
+ * how many pixels the leader is raised above the bottom of the vehicle.
+ * 
+ * Airship Reflection Scale:
+ * Airship Reflection Opacity:
+ * As the airship takes off, its floor reflection shrinks and fades until it
+ * reaches this size and opacity multiplier at full altitude. The airship's
+ * shadow is also reflected while it is in the air.
+ * 
+ * Enemy Defaults:
+ * Default reflection settings for enemies in battle. Can be overriden by
+ * note tags. Only the floor setting is used.
+ * 
+ * Reflection Profiles:
+ * Named groups of reflection settings. Each field works just like the note
+ * tag with the same name, and fields left blank are not set. A profile is
+ * applied with the <REFLECT_PROFILE:[name]> note tag, and any other
+ * reflection note tags on the same object override the profile's fields.
+ * 
  * Reflection Z Value:
  * This is the Z value all reflections have. If below 0, reflections are
  * drawn below the main map tiles.
@@ -127,9 +277,46 @@ SOFTWARE.
  * quickly a character shrinks as they move away from the wall if the wall
  * reflections are in pseudo-perspective mode.
  * 
+ * Clip Wall Reflections:
+ * If enabled, each wall reflection is cropped to the mirror it is drawn on.
+ * A mirror is made up of every touching tile that has a region ID from the
+ * same wall region parameter, so mirrors of any shape will crop reflections
+ * correctly. This prevents large reflections from spilling onto the tiles
+ * around the mirror's frame.
+ * 
+ * Wall Fade Type:
+ * Makes wall reflections fade out as characters walk away from the mirror
+ * instead of disappearing all at once. This works in both wall reflection
+ * modes. The options are:
+ *   - None: Reflections stay fully visible until they are too far away.
+ *   - Linear: Opacity drops at a steady rate between the start and end
+ *     distances.
+ *   - Exponential: Opacity drops quickly after the start distance and then
+ *     slowly trails off towards the end distance.
+ * 
+ * Fade Start Distance:
+ * Distance from the mirror, in tiles, at which reflections start to fade.
+ * 
+ * Fade End Distance:
+ * Distance from the mirror, in tiles, at which reflections are fully
+ * transparent. Set to 0 to use the Maximum Wall Distance of the mirror.
+ * 
+ * Wall Reflections Per Direction:
+ * This is the number of separate mirrors a character can be reflected in for
+ * each mirror direction (above, below, left, and right). Touching tiles with
+ * mirror regions count as a single mirror. Each reflection is placed on the
+ * next closest mirror and is scaled independently.
+ * 
+ * Battle Reflections:
+ * If enabled, actors in side-view battles and enemies have floor reflections
+ * drawn below them, which is useful for battlebacks with water or glossy
+ * floors. This is only the starting value; the Set Battle Reflections
+ * command (MZ) or the setBattleReflect command (MV) changes it during
+ * gameplay, and troops can override it with the REFLECT_TYPE tag.
+ * 
  * Wall Reflection Mode:
  * This is the wall reflection mode that is used by default. Currently, there
- * are two modes to choose from:
+ * are three modes to choose from:
  *   - Pseudo-perspective Mode:
  *       This is the mode where wall reflections are made to appear as if the
  *       characters are walking "into" the screen as the event or actor moves
@@ -145,6 +332,21 @@ SOFTWARE.
  *     base of the mirror, then their reflection is three tiles north of the
  *     mirror's base.
  * 
+ *   - True Mirror Mode:
+ *     Instead of reflecting each character separately, the part of the map
+ *     in front of the mirror is drawn into the mirror, flipped, so furniture,
+ *     floors, tile events, and characters all appear in it. Each mirror
+ *     shows an area as deep as the mirror itself, just like event-like mode.
+ *     Mirror clipping, the z value, the mirror's opacity and offsets, and
+ *     the map's wall filters are used, but per-character wall settings and
+ *     wall fading are not, since every character in front of the mirror is
+ *     part of the same image. The parallax and anything drawn above the map,
+ *     like weather and pictures, are not reflected. Floor reflections and
+ *     other mirrors are not drawn into a mirror either. This mode is slower
+ *     than the other two, since the whole tilemap is drawn again once per
+ *     mirror on screen, every frame. Keep the number of mirrors visible at
+ *     the same time small.
+ * 
  * Reflect Mode Variable:
  * This allows the developer to bind the current reflection mode to a variable
  * rather than use the same mode for the entire game. If there is an invalid
@@ -162,6 +364,15 @@ SOFTWARE.
  * 
  * - These note tags are shared by the map, actors, and events
  * 
+ *   | <REFLECT_PROFILE:[name]>
+ *     | Applies a profile from the Reflection Profiles plugin parameter.
+ *     | Any other reflection note tags on the same map, actor, or event
+ *       override the profile's settings, so a profile can be used as a base
+ *       for many events that only differ slightly.
+ *     | Profiles can also be used on states, equipment, classes, enemies,
+ *       event page comments, and battle event comments.
+ *     | Example: <REFLECT_PROFILE:puddle>
+ * 
  *   | <REFLECT_TYPE:[ALL/FLOOR/WALL]>
  *     | Determines which reflections are enabled for this.
  *     | This overrides the defaults in this plugin's parameters.
@@ -198,12 +409,67 @@ SOFTWARE.
  *       clockwise. Character angles are added to map angles to determine
  *       the final rotation of the character.
  * 
+ *   | <REFLECT_FLOOR_TONE:[r],[g],[b],[gray]>
+ *     | Tints the floor reflections with a color tone, just like the Tint
+ *       Screen command. r, g, and b are between -255 and 255, and gray is
+ *       between 0 and 255. gray can be left out.
+ *     | The character's own tone, the map tone, and the character tone are
+ *       added together, so <REFLECT_FLOOR_TONE:-68,0,-68> on a map makes
+ *       every floor reflection on it look greener.
+ * 
+ *   | <REFLECT_WALL_TONE:[r],[g],[b],[gray]>
+ *     | Same as above, but for wall reflections.
+ * 
+ *   | <REFLECT_BLEND:[NORMAL/ADD/MULTIPLY/SCREEN]>
+ *     | Changes the blend mode of both reflections. Character blend modes
+ *       take priority over the map blend mode. If neither is set, the
+ *       reflection uses the same blend mode as its character.
+ * 
  * Map Note Tags:
  * 
- *   | <REFLECT_MODE:[PERSPECTIVE/EVENT]>
+ *   | <REFLECT_MODE:[PERSPECTIVE/EVENT/MIRROR]>
  *     | This overrides the perspective option in the plugin parameters for
  *     | this map. This is reset upon leaving and re-entering the map.
  * 
+ *   | <REFLECT_FLOOR_FILTER:[wave],[blur],[speed]>
+ *     | Applies the built-in filters to all floor reflections on this map.
+ *     | wave is how far, in pixels, the reflection is pushed left and right
+ *       by the wave distortion. 0 disables the wave.
+ *     | blur is the strength of the blur. 0 disables the blur.
+ *     | speed is how many ripples scroll by every second. 0 keeps the wave
+ *       still. Defaults to 1 if left out.
+ *     | Example: <REFLECT_FLOOR_FILTER:2,1,0.5>
+ * 
+ *   | <REFLECT_WALL_FILTER:[wave],[blur],[speed]>
+ *     | Same as above, but for wall reflections.
+ * 
+ *   | <REFLECT_TILES:[x]>
+ *     | Overrides the Tile Reflection Range parameter for this map. Upper
+ *       layer tiles within x tiles of a reflective floor tile are reflected.
+ *     | <REFLECT_TILES:0> disables tile reflections on this map.
+ * 
+ *   | <REFLECT_TRIGGER:[target],[reflection],[condition],[action]>
+ *     | Runs an action when a character's reflection appears on a mirror.
+ *       Useful for puzzles where a reflection has to land on a certain
+ *       mirror. This tag can be used more than once, and it can also be
+ *       placed in an event's note.
+ *     | target: player, event [id], or this (the event, in event notes)
+ *     | reflection: floor, wall, or wall [up/down/left/right] to only check
+ *       mirrors in that direction from the target
+ *     | condition: any, region [id] for a mirror or floor tile with that
+ *       region, or tile [x] [y] for the mirror or floor tile at (x, y)
+ *     | action: switch [id], self [A/B/C/D] [event id], or common [id].
+ *       The event id can be left out in event notes to use that event.
+ *       Switches and self switches turn ON when the condition is met and
+ *       OFF when it stops being met. Common events run each time the
+ *       condition starts being met.
+ *     | Triggers are checked on the game objects rather than on the
+ *       reflections drawn on screen, so they work the same way no matter
+ *       how fast the game is running. A character's reflection counts as
+ *       appearing if its reflection settings would draw it there.
+ *     | Example: <REFLECT_TRIGGER:event 5,wall up,region 12,switch 10>
+ *     | Example: <REFLECT_TRIGGER:player,wall,tile 4 7,common 3>
+ * 
  * Shared Character Note Tags:
  * 
  * - These note tags are shared by actors and events
@@ -212,6 +478,9 @@ SOFTWARE.
  *     | x is the index of this character's reflection on the character sheet.
  *     | This parameters has no effect if the character is using a big
  *     | character for their reflection sprite.
+ *     | <REFLECT_INDEX:0> uses the first character on the sheet. Older
+ *       versions of this plugin ignored an index of 0 and used the
+ *       character's own index instead.
  * 
  *   | <REFLECT_FLOOR_OPACITY:[x]>
  *     | x is a number between 0-255, inclusive. This is the "opacity" of the
@@ -225,17 +494,90 @@ SOFTWARE.
  *       transparent the reflection sprites appear for the character, where 0
  *       is totally transparent and 255 is fully opaque.
  * 
+ *   | <REFLECT_DELAY:[x]>
+ *     | The character's reflections replay its movement x frames late.
+ *     | 0 or leaving this out shows the character as it is right now.
+ * 
+ *   | <REFLECT_ONLY>
+ *     | The character is hidden on the map, but its floor and wall
+ *       reflections are still shown, like a ghost that only appears in
+ *       mirrors. The character still blocks movement unless it has Through
+ *       turned on. Can be changed with the Set Reflection Only command (MZ)
+ *       or the setReflectOnly command (MV).
+ * 
  * Event Note Tags:
  * 
+ *   | <REFLECT_TRIGGER:[target],[reflection],[condition],[action]>
+ *     | Same as the map note tag. Events may use this as a target and may
+ *       leave out the event id of self switches.
+ *     | Example: <REFLECT_TRIGGER:this,wall,any,self A>
+ * 
  *   | <REFLECT_CHAR:[filename]>
  *     | Uses the character sheet with the specified filename for this event's
  *     | reflection. Index can be set seperately with REFLECT_INDEX.
  * 
+ * Event Page Comments:
+ * 
+ * - Any character note tag above can also be placed in the first Comment
+ *   command of an event page. Tags found there override the same tags in the
+ *   event's note for as long as that page is active, while tags only in the
+ *   note still apply. This lets an event change its reflection image, type,
+ *   or opacity when it switches pages.
+ * - Keep in mind that switching pages re-reads these tags, so any settings
+ *   changed with plugin commands are reset on a page change.
+ * 
  * Actor Note Tags:
  *   | <REFLECT_ACTOR:[filename]>
  *     | Uses the character sheet with the specified filename for this actor's
  *     | reflection. Index can be set seperately with REFLECT_INDEX.
  * 
+ * State, Weapon, Armor, and Class Note Tags:
+ * 
+ * - These use the same tags as actors: REFLECT_TYPE, REFLECT_ACTOR,
+ *   REFLECT_INDEX, the opacity, offset, angle, and tone tags, and
+ *   REFLECT_BLEND. <REFLECT_TYPE:NONE> hides both reflections.
+ * - While an actor has the state, equipment, or class, its tags override the
+ *   actor's own reflection settings on the map and in battle. Only the tags
+ *   that are present override anything; everything else still comes from
+ *   the actor.
+ * - When more than one of these sets the same tag, the priority is:
+ *   states > equipment > class > actor
+ *   States are checked in the order of their priority, and equipment in the
+ *   order of its equipment slots.
+ * - Examples:
+ *   A "Vampire" state with <REFLECT_TYPE:NONE> hides all reflections.
+ *   A "Cursed Mask" armor with <REFLECT_ACTOR:Monster1> and
+ *   <REFLECT_INDEX:2> swaps the reflection graphic while it is worn.
+ * 
+ * Battle Note Tags:
+ * 
+ * - Battle reflections are always floor reflections of the battler's image.
+ *   They use the following tags from the sections above:
+ * 
+ *   | <REFLECT_TYPE:[ALL/FLOOR/WALL/NONE]>
+ *     | On actors and enemies, ALL or FLOOR enables the battle reflection and
+ *       WALL or NONE disables it. For actors, this is the same setting as
+ *       their map floor reflection, so changing it with a plugin command
+ *       affects both.
+ *     | On troops, ALL or FLOOR enables battle reflections for the whole
+ *       battle and WALL or NONE disables them, regardless of the Battle
+ *       Reflections setting.
+ * 
+ *   | <REFLECT_FLOOR_OFFSETS:[x],[y]>
+ *     | Offsets the battler's reflection. Troop offsets are added to the
+ *       offsets of every battler in the troop's battles.
+ * 
+ *   | <REFLECT_FLOOR_OPACITY:[x]>
+ *     | Opacity of the battler's reflection. The troop opacity is used for
+ *       battlers that don't have their own.
+ * 
+ *   | <REFLECT_FLOOR_TONE:[r],[g],[b],[gray]> and <REFLECT_BLEND:[mode]>
+ *     | Also work on actors and enemies in battle.
+ * 
+ * - Enemies use the note box in the database. Troops don't have a note box,
+ *   so troop tags go in a Comment command on the first page of the troop's
+ *   battle event.
+ * 
  * ----------------------------MZ Plugin Commands------------------------------
  * 
  * Change Event Reflection
@@ -273,6 +615,51 @@ SOFTWARE.
  *   | quickly disable all reflections or change the perspective mode
  *   | temporarily. All changes are lost upon leaving and re-entering the map.
  * 
+ * Set Map Reflection Filter
+ *   | Changes the built-in wave, blur, and ripple speed filters used by the
+ *   | current map's floor or wall reflections. All changes are lost upon
+ *   | leaving and re-entering the map.
+ * 
+ * Change Reflection Tone
+ *   | Changes the color tone of a character's or the map's reflections.
+ *   | Same as the REFLECT_FLOOR_TONE and REFLECT_WALL_TONE note tags.
+ * 
+ * Change Reflection Blend Mode
+ *   | Changes the blend mode of a character's or the map's reflections.
+ *   | Same as the REFLECT_BLEND note tag.
+ * 
+ * Tween Reflection
+ *   | Gradually changes the opacity, offsets, and angles of a character's
+ *   | reflections over a number of frames, like the Move Picture command.
+ *   | Leave a value blank to keep it unchanged. Tweens on actors and vehicles
+ *   | are saved with the rest of their reflection settings.
+ * 
+ * Set Battle Reflections
+ *   | Enables or disables floor reflections in battle. This is saved with the
+ *   | game. If used during a battle, the current battle changes right away.
+ * 
+ * Detach Reflection
+ *   | Controls a character's reflection separately from the character. The
+ *   | reflection can face another direction, freeze on a pattern, or run its
+ *   | own route. See the General Information section for route commands.
+ * 
+ * Reattach Reflection
+ *   | Makes a detached reflection follow its character again.
+ * 
+ * Set Reflection Delay
+ *   | Makes a character's reflections trail behind the character by a number
+ *   | of frames. Same as the REFLECT_DELAY note tag.
+ * 
+ * Set Reflection Only
+ *   | Hides a character on the map while still showing its reflections, or
+ *   | shows it again. Same as the REFLECT_ONLY note tag.
+ * 
+ * Set Reflection Profile
+ *   | Switches a character or the map to a reflection profile, as if its
+ *   | REFLECT_PROFILE note tag had been changed. Other note tags still
+ *   | override the profile. Settings changed by other commands are reset.
+ *   | Map profiles are reset upon leaving and re-entering the map.
+ * 
  * ----------------------------Plugin Script Calls-----------------------------
  * 
  * The script calls for this plugin are as follows.
@@ -319,6 +706,94 @@ SOFTWARE.
  * overrideMapSettings(floorEnabled, wallEnabled, mode)
  *   | Same as Override Map Settings command (MZ)
  * 
+ * setMapReflectFilter(reflect_type, wave, blur, speed)
+ *   | Same as Set Map Reflection Filter command (MZ)
+ * 
+ * setReflectTone(target, reflect_type, red, green, blue, gray)
+ *   | Same as Change Reflection Tone command (MZ). target is a character,
+ *   | actor, or $gameMap.
+ *   | Example: KCDev.Mirrors.setReflectTone($gamePlayer, 'floor', -68, 0, -68, 0)
+ * 
+ * setReflectBlend(target, blend_mode)
+ *   | Same as Change Reflection Blend Mode command (MZ). target is a
+ *   | character, actor, or $gameMap.
+ *   | Example: KCDev.Mirrors.setReflectBlend($gameMap, 'add')
+ * 
+ * tweenReflect(target, values, duration, easing)
+ *   | Same as Tween Reflection command (MZ) without waiting. target is a
+ *   | character or actor and values is an object such as
+ *   | { floorOpacity: 0, wallAngle: 45 }.
+ *   | Example: KCDev.Mirrors.tweenReflect($gamePlayer, { floorOpacity: 0 }, 60, 'easeOut')
+ * 
+ * setBattleReflect(enabled)
+ *   | Same as Set Battle Reflections command (MZ)
+ * 
+ * detachReflect(target, direction, pattern, route, repeat)
+ *   | Same as Detach Reflection command (MZ). target is a character or
+ *   | actor, and route is a string of route commands.
+ *   | Example: KCDev.Mirrors.detachReflect($gameMap.event(3), 2, -1, 'wait:60, towardPlayer', false)
+ * 
+ * reattachReflect(target)
+ *   | Same as Reattach Reflection command (MZ)
+ * 
+ * setReflectDelay(target, frames)
+ *   | Same as Set Reflection Delay command (MZ). target is a character or
+ *   | actor.
+ * 
+ * setReflectOnly(target, enabled)
+ *   | Same as Set Reflection Only command (MZ). target is a character or
+ *   | actor.
+ * 
+ * setReflectProfile(target, name)
+ *   | Same as Set Reflection Profile command (MZ). target is a character,
+ *   | actor, or $gameMap.
+ *   | Example: KCDev.Mirrors.setReflectProfile($gameMap.event(4), 'puddle')
+ * 
+ * The following script calls only read reflection information, so they can
+ * be used in the Script box of a Conditional Branch. target is a character
+ * or an actor. Actors are checked using the player or the follower they
+ * are assigned to. These show what was drawn during the last frame.
+ * 
+ * isFloorReflectVisible(target)
+ *   | Returns true if the floor reflection is visible.
+ *   | Example: KCDev.Mirrors.isFloorReflectVisible($gamePlayer)
+ * 
+ * isWallReflectVisible(target, wall_dir)
+ *   | Returns true if a wall reflection is visible. wall_dir is 2, 4, 6, or 8
+ *   | to only check mirrors below, left of, right of, or above the
+ *   | character. Leave it out or use 0 to check every mirror.
+ *   | Example: KCDev.Mirrors.isWallReflectVisible($gameMap.event(2), 8)
+ * 
+ * getFloorReflectInfo(target)
+ * getWallReflectInfo(target, wall_dir)
+ *   | Returns null if the reflection is not visible. Otherwise, returns an
+ *   | object with these properties. For walls, the closest mirror is used.
+ *   - direction: Direction of the mirror from the character. 0 for floors.
+ *   - x, y: Map coordinates of the tile the reflection is drawn on
+ *   - regionId: Region ID of that tile
+ *   - distance: Distance to the mirror in tiles. 0 for floors.
+ *   - scale: Perspective scale of the reflection. 1 is full size.
+ *   | Example: $gameVariables.setValue(5, (KCDev.Mirrors.getWallReflectInfo($gamePlayer) || {}).regionId || 0)
+ * 
+ * The following script calls save and load the reflection settings of the
+ * current map and every character on it. This is useful for bug reports,
+ * setting up cutscenes, or copying settings from one map to another.
+ * 
+ * exportReflectState()
+ *   | Returns an object with the reflection settings of the map, its events,
+ *   | the vehicles, and every actor. Use JSON.stringify on it to get text.
+ *   | Effects from reflection trigger note tags, tweens, and delayed
+ *   | reflections that are in progress are not included.
+ *   | Example: console.log(JSON.stringify(KCDev.Mirrors.exportReflectState(), null, 2))
+ * 
+ * importReflectState(state)
+ *   | Applies settings from exportReflectState. state can be the object or
+ *   | its JSON text. Events are matched by ID, and anything missing from
+ *   | state is left unchanged, so parts of it can be removed to only copy
+ *   | the map's settings, for example. Detached reflections start their
+ *   | routes from the beginning.
+ *   | Example: KCDev.Mirrors.importReflectState($gameVariables.value(10))
+ * 
  * ----------------------------MV Plugin Commands------------------------------
  * Note that all of these commands are case sensitive unless otherwise noted.
  * 
@@ -436,7 +911,7 @@ SOFTWARE.
  *   | Set the current map's wall reflection mode regardless of default setting
  *     and map notes.
  *   * example: forceWallReflectMode perspective
- *   - mode: [perspective/event] Set the map's wall reflection type.
+ *   - mode: [perspective/event/mirror] Set the map's wall reflection type.
  * 
  * refreshReflectMap
  *   | Forces the wall reflection positions to be rebuilt. Mainly useful if
@@ -458,6 +933,119 @@ SOFTWARE.
  *            Positive values rotate the reflection sprite clockwise. 
  *            Negative values rotate the reflection counterclockwise.
  * 
+ * setMapReflectFilter reflect_type wave blur? speed?
+ *   | Change the built-in filters used by reflections on this map.
+ *   * example: setMapReflectFilter floor 2 1 0.5
+ *   - reflect_type: [floor/wall/all] Determines whether the floor or wall
+ *                   reflection filters are being modified. 'all' modifies
+ *                   both.
+ *   - wave: How far the wave distortion pushes the reflection in pixels.
+ *           0 disables the wave.
+ *   - blur: Strength of the blur. 0 or blank disables the blur.
+ *   - speed: How many ripples scroll by every second. Defaults to 1.
+ * 
+ * setReflectTone char_type id reflect_type red green blue gray?
+ *   | Set the color tone of a character's reflections.
+ *   * example: setReflectTone event 0 floor -68 0 -68
+ *   - char_type: [actor/event/vehicle] Set what type of character the
+ *                target is
+ *   - id: [(number)/boat/ship/airship] identifier of the character
+ *     + If char_type is 'actor,' then 0 is the party leader, -1 is the first
+ *       follower, -2 is the second follower, and so on
+ *     + If char_type is 'event,' then 0 is 'this event'
+ *   - reflect_type: [floor/wall/all] Determines whether the floor or wall
+ *                   reflection is being modified. 'all' modifies both.
+ *   - red, green, blue: Numbers between -255 and 255
+ *   - gray: A number between 0 and 255. Defaults to 0.
+ * 
+ * setReflectBlend char_type id blend_mode?
+ *   | Set the blend mode of a character's reflections.
+ *   * example: setReflectBlend actor 0 add
+ *   - char_type: [actor/event/vehicle] Set what type of character the
+ *                target is
+ *   - id: [(number)/boat/ship/airship] identifier of the character
+ *   - blend_mode: [normal/add/multiply/screen] Leave blank to use the map's
+ *                 or the character's blend mode.
+ * 
+ * setMapReflectTone reflect_type red green blue gray?
+ *   | Same as setReflectTone, but for every reflection on the map.
+ *   * example: setMapReflectTone all 0 0 0 255
+ * 
+ * setMapReflectBlend blend_mode?
+ *   | Same as setReflectBlend, but for every reflection on the map.
+ *   * example: setMapReflectBlend screen
+ * 
+ * tweenReflect char_type id property value duration easing? wait?
+ *   | Gradually change a reflection property over a number of frames.
+ *   * example: tweenReflect actor 0 floorOpacity 0 60 easeOut true
+ *   - char_type: [actor/event/vehicle] Set what type of character the
+ *                target is
+ *   - id: [(number)/boat/ship/airship] identifier of the character
+ *   - property: [floorOpacity/wallOpacity/floorXOffset/floorYOffset/
+ *                wallXOffset/wallYOffset/floorAngle/wallAngle]
+ *   - value: The value the property will have once the tween is done
+ *   - duration: Length of the tween in frames
+ *   - easing: [linear/easeIn/easeOut/easeInOut] Defaults to linear
+ *   - wait: [true/false] If true, the event waits for the tween to finish.
+ *           Defaults to false.
+ * 
+ * setBattleReflect is_visible
+ *   | Enable or disable floor reflections in battle. If used during a battle,
+ *     the current battle changes right away.
+ *   * example: setBattleReflect true
+ *   - is_visible: [true/false] Whether battle reflections are drawn
+ * 
+ * detachReflect char_type id direction? pattern? route? repeat?
+ *   | Control a reflection's direction and pattern separately from its
+ *     character.
+ *   * example: detachReflect event 0 0 1 up,wait:60,towardPlayer true
+ *   - char_type: [actor/event/vehicle] Set what type of character the
+ *                target is
+ *   - id: [(number)/boat/ship/airship] identifier of the character
+ *   - direction: [0/2/4/6/8] Direction the reflection acts as if the
+ *                character faced. 0 keeps the current direction.
+ *   - pattern: Pattern to freeze the reflection on. -1 follows the
+ *              character's walking animation. Defaults to -1.
+ *   - route: Route commands separated by commas, with no spaces. See the
+ *            General Information section for the list of commands.
+ *   - repeat: [true/false] If true, the route starts over when it ends.
+ *             Defaults to false.
+ * 
+ * reattachReflect char_type id
+ *   | Make a detached reflection follow its character again.
+ *   * example: reattachReflect actor 0
+ * 
+ * setReflectDelay char_type id frames
+ *   | Make a character's reflections replay its movement a number of frames
+ *     late. 0 disables the delay.
+ *   * example: setReflectDelay event 0 30
+ *   - char_type: [actor/event/vehicle] Set what type of character the
+ *                target is
+ *   - id: [(number)/boat/ship/airship] identifier of the character
+ *   - frames: Number of frames the reflections lag behind the character
+ * 
+ * setReflectOnly char_type id is_enabled
+ *   | Hide a character on the map while still showing its reflections.
+ *   * example: setReflectOnly event 0 true
+ *   - char_type: [actor/event/vehicle] Set what type of character the
+ *                target is
+ *   - id: [(number)/boat/ship/airship] identifier of the character
+ *   - is_enabled: [true/false] If true, the character only appears in its
+ *                 reflections
+ * 
+ * setReflectProfile char_type id profile?
+ *   | Switch a character to a profile from the Reflection Profiles parameter.
+ *   * example: setReflectProfile event 0 puddle
+ *   - char_type: [actor/event/vehicle] Set what type of character the
+ *                target is
+ *   - id: [(number)/boat/ship/airship] identifier of the character
+ *   - profile: Name of the profile. Leave blank to go back to the profile in
+ *              the character's note tags.
+ * 
+ * setMapReflectProfile profile?
+ *   | Same as setReflectProfile, but for the current map.
+ *   * example: setMapReflectProfile flooded
+ * 
  * --------------------MV Plugin Commands Quick Reference----------------------
  * 
  * See above section for details. This is just a list of commands and
@@ -485,6 +1073,32 @@ SOFTWARE.
  * 
  * setReflectMapAngle reflect_type angle
  * 
+ * setMapReflectFilter reflect_type wave blur? speed?
+ * 
+ * setReflectTone char_type id reflect_type red green blue gray?
+ * 
+ * setReflectBlend char_type id blend_mode?
+ * 
+ * setMapReflectTone reflect_type red green blue gray?
+ * 
+ * setMapReflectBlend blend_mode?
+ * 
+ * tweenReflect char_type id property value duration easing? wait?
+ * 
+ * setBattleReflect is_visible
+ * 
+ * detachReflect char_type id direction? pattern? route? repeat?
+ * 
+ * reattachReflect char_type id
+ * 
+ * setReflectDelay char_type id frames
+ * 
+ * setReflectOnly char_type id is_enabled
+ * 
+ * setReflectProfile char_type id profile?
+ * 
+ * setMapReflectProfile profile?
+ * 
  * @param regionsParent
  * @text Regions
  * 
@@ -495,6 +1109,27 @@ SOFTWARE.
  * @type number[]
  * @default ["1"]
  * 
+ * @param wallRegionsLeft
+ * @parent wallRegions
+ * @text Left Wall Region IDs
+ * @desc Side wall reflections are drawn on these regions when they are to the left of a character.
+ * @type number[]
+ * @default []
+ * 
+ * @param wallRegionsRight
+ * @parent wallRegions
+ * @text Right Wall Region IDs
+ * @desc Side wall reflections are drawn on these regions when they are to the right of a character.
+ * @type number[]
+ * @default []
+ * 
+ * @param wallRegionsSouth
+ * @parent wallRegions
+ * @text Bottom Wall Region IDs
+ * @desc Wall reflections are drawn on these regions when they are below a character.
+ * @type number[]
+ * @default []
+ * 
  * @param noReflectRegions
  * @parent regionsParent
  * @text Disable Reflection IDs
@@ -502,6 +1137,85 @@ SOFTWARE.
  * @type number[]
  * @default []
  * 
+ * @param floorRegions
+ * @parent regionsParent
+ * @text Floor Region IDs
+ * @desc If not empty, floor reflections are only drawn on tiles with one of these region IDs.
+ * @type number[]
+ * @default []
+ * 
+ * @param floorTerrainTags
+ * @parent floorRegions
+ * @text Floor Terrain Tags
+ * @desc If not empty, floor reflections are also drawn on tiles with one of these terrain tags.
+ * @type number[]
+ * @min 1
+ * @max 7
+ * @default []
+ * 
+ * @param tileReflectRange
+ * @parent floorRegions
+ * @text Tile Reflection Range
+ * @desc Upper layer tiles within this many tiles of a reflective floor tile are reflected in it. 0 disables this.
+ * @type number
+ * @min 0
+ * @default 0
+ * 
+ * @param terrainTagsParent
+ * @text Terrain Tags
+ * 
+ * @param wallTerrainTags
+ * @parent terrainTagsParent
+ * @text Wall Terrain Tags
+ * @desc A wall reflection sprite will be drawn on tiles with any of these terrain tags.
+ * @type number[]
+ * @min 1
+ * @max 7
+ * @default []
+ * 
+ * @param wallTerrainTagsLeft
+ * @parent wallTerrainTags
+ * @text Left Wall Terrain Tags
+ * @desc Side wall reflections are drawn on these terrain tags when they are to the left of a character.
+ * @type number[]
+ * @min 1
+ * @max 7
+ * @default []
+ * 
+ * @param wallTerrainTagsRight
+ * @parent wallTerrainTags
+ * @text Right Wall Terrain Tags
+ * @desc Side wall reflections are drawn on these terrain tags when they are to the right of a character.
+ * @type number[]
+ * @min 1
+ * @max 7
+ * @default []
+ * 
+ * @param wallTerrainTagsSouth
+ * @parent wallTerrainTags
+ * @text Bottom Wall Terrain Tags
+ * @desc Wall reflections are drawn on these terrain tags when they are below a character.
+ * @type number[]
+ * @min 1
+ * @max 7
+ * @default []
+ * 
+ * @param noReflectTerrainTags
+ * @parent terrainTagsParent
+ * @text Disable Reflection Terrain Tags
+ * @desc Any character standing on a tile with one of these terrain tags will have all reflections disabled.
+ * @type number[]
+ * @min 1
+ * @max 7
+ * @default []
+ * 
+ * @param regionSettings
+ * @parent regionsParent
+ * @text Mirror Region Settings
+ * @desc Wall reflection settings for mirrors marked with specific region IDs.
+ * @type struct<regionSettings>[]
+ * @default []
+ * 
  * @param defaultParent
  * @text Default Settings
  * 
@@ -526,6 +1240,54 @@ SOFTWARE.
  * @parent defaultParent
  * @default {"reflectFloor":"true","reflectWall":"false"}
  * 
+ * @param vehicleRiders
+ * @parent vehicleDefault
+ * @text Show Vehicle Riders
+ * @desc Draw the party leader in the reflections of the vehicle they are riding.
+ * @type boolean
+ * @default false
+ * 
+ * @param vehicleRiderOffset
+ * @parent vehicleRiders
+ * @text Rider Offset
+ * @desc Number of pixels the leader is raised above the bottom of the vehicle in its reflections.
+ * @type number
+ * @min -9999
+ * @default 12
+ * 
+ * @param airshipReflectScale
+ * @parent vehicleDefault
+ * @text Airship Reflection Scale
+ * @desc Size of the airship's floor reflection at full altitude. 1 keeps it the same size.
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @default 0.75
+ * 
+ * @param airshipReflectOpacity
+ * @parent vehicleDefault
+ * @text Airship Reflection Opacity
+ * @desc Opacity multiplier of the airship's floor reflection at full altitude. 1 keeps it fully visible.
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.50
+ * 
+ * @param enemyDefault
+ * @text Enemies
+ * @desc Default setting for enemies in battle. Only floor reflections are used in battle.
+ * @type struct<defaults>
+ * @parent defaultParent
+ * @default {"reflectFloor":"true","reflectWall":"false"}
+ * 
+ * @param reflectProfiles
+ * @text Reflection Profiles
+ * @desc Named groups of reflection settings that can be applied with the REFLECT_PROFILE note tag.
+ * @type struct<profile>[]
+ * @parent defaultParent
+ * @default []
+ * 
  * @param advancedOptsParent
  * @text Other Options
  * 
@@ -549,6 +1311,59 @@ SOFTWARE.
  * @type number
  * @default 20
  * 
+ * @param clipWallReflections
+ * @parent advancedOptsParent
+ * @text Clip Wall Reflections
+ * @desc Crop wall reflections so that they are only drawn on the tiles of the mirror they belong to.
+ * @type boolean
+ * @default false
+ * 
+ * @param wallFadeType
+ * @parent maxWallDistance
+ * @text Wall Fade Type
+ * @desc How wall reflections fade out as characters move away from the mirror.
+ * @type select
+ * @option None
+ * @value none
+ * @option Linear
+ * @value linear
+ * @option Exponential
+ * @value exponential
+ * @default none
+ * 
+ * @param wallFadeStart
+ * @parent wallFadeType
+ * @text Fade Start Distance
+ * @desc Distance from the mirror in tiles where wall reflections start fading.
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @default 1.0
+ * 
+ * @param wallFadeEnd
+ * @parent wallFadeType
+ * @text Fade End Distance
+ * @desc Distance from the mirror in tiles where wall reflections are fully faded. 0 uses Maximum Wall Distance.
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @default 0.0
+ * 
+ * @param maxWallReflections
+ * @parent advancedOptsParent
+ * @text Wall Reflections Per Direction
+ * @desc Maximum number of separate mirrors in each direction that a character can appear in at once.
+ * @type number
+ * @min 1
+ * @default 1
+ * 
+ * @param battleReflect
+ * @parent advancedOptsParent
+ * @text Battle Reflections
+ * @desc Draw floor reflections under actors and enemies in battle. Can be changed with a plugin command.
+ * @type boolean
+ * @default false
+ * 
  * @param wallReflectType
  * @parent advancedOptsParent
  * @text Wall Reflection Mode
@@ -558,6 +1373,8 @@ SOFTWARE.
  * @value perspective
  * @option Event-Like
  * @value event
+ * @option True Mirror
+ * @value mirror
  * @default perspective
  * 
  * @param wallReflectVar
@@ -907,6 +1724,8 @@ SOFTWARE.
  * @value perspective
  * @option Event-Like
  * @value event
+ * @option True Mirror
+ * @value mirror
  * @default perspective
  * 
  * @command refreshReflectMap
@@ -960,6 +1779,8 @@ SOFTWARE.
  * @value perspective
  * @option Event-Like
  * @value event
+ * @option True Mirror
+ * @value mirror
  * @option Match Plugin Params
  * @value plugin params
  * @option Match Map Notes
@@ -967,39 +1788,643 @@ SOFTWARE.
  * @option Unchanged
  * @value 
  * 
- */
-
-/*~struct~defaults:
- * @param reflectFloor
- * @text Floor Reflection
- * @desc Enable floor reflections by default.
+ * @command setMapReflectFilter
+ * @text Set Map Reflection Filter
+ * @desc Changes the built-in filters used by reflections on this map. Resets when the map is left and re-entered.
+ * 
+ * @arg reflectType
+ * @text Reflection Type
+ * @type select
+ * @option Floor
+ * @value floor
+ * @option Wall
+ * @value wall
+ * @option All
+ * @value all
+ * @default floor
+ * 
+ * @arg wave
+ * @text Wave Distortion
+ * @desc How far, in pixels, the reflection is pushed left and right. 0 disables the wave.
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @default 0
+ * 
+ * @arg blur
+ * @text Blur Amount
+ * @desc Strength of the blur. 0 disables the blur.
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @default 0
+ * 
+ * @arg speed
+ * @text Ripple Speed
+ * @desc How many ripples scroll by every second. 0 keeps the wave still.
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @default 1
+ * 
+ * @command changeReflectTone
+ * @text Change Reflection Tone
+ * @desc Changes the color tone of a character's or the map's reflections.
+ * 
+ * @arg targetType
+ * @text Target Type
+ * @type select
+ * @option Event
+ * @value event
+ * @option Actor
+ * @value actor
+ * @option Vehicle
+ * @value vehicle
+ * @option Map
+ * @value map
+ * @default event
+ * 
+ * @arg id
+ * @text Target ID
+ * @type text
+ * @desc Event ID (0 is this event), actor ID (0 is the leader, negative numbers are followers), or boat/ship/airship.
+ * @default 0
+ * 
+ * @arg reflectType
+ * @text Reflection Type
+ * @type select
+ * @option Floor
+ * @value floor
+ * @option Wall
+ * @value wall
+ * @option All
+ * @value all
+ * @default all
+ * 
+ * @arg red
+ * @text Red
+ * @type number
+ * @min -255
+ * @max 255
+ * @default 0
+ * 
+ * @arg green
+ * @text Green
+ * @type number
+ * @min -255
+ * @max 255
+ * @default 0
+ * 
+ * @arg blue
+ * @text Blue
+ * @type number
+ * @min -255
+ * @max 255
+ * @default 0
+ * 
+ * @arg gray
+ * @text Gray
+ * @type number
+ * @min 0
+ * @max 255
+ * @default 0
+ * 
+ * @command changeReflectBlend
+ * @text Change Reflection Blend Mode
+ * @desc Changes the blend mode of a character's or the map's reflections.
+ * 
+ * @arg targetType
+ * @text Target Type
+ * @type select
+ * @option Event
+ * @value event
+ * @option Actor
+ * @value actor
+ * @option Vehicle
+ * @value vehicle
+ * @option Map
+ * @value map
+ * @default event
+ * 
+ * @arg id
+ * @text Target ID
+ * @type text
+ * @desc Event ID (0 is this event), actor ID (0 is the leader, negative numbers are followers), or boat/ship/airship.
+ * @default 0
+ * 
+ * @arg blendMode
+ * @text Blend Mode
+ * @type select
+ * @option Match Character/Map
+ * @value 
+ * @option Normal
+ * @value normal
+ * @option Additive
+ * @value add
+ * @option Multiply
+ * @value multiply
+ * @option Screen
+ * @value screen
+ * @default 
+ * 
+ * @command tweenReflect
+ * @text Tween Reflection
+ * @desc Gradually changes a character's reflection settings. Leave a value blank to keep it unchanged.
+ * 
+ * @arg targetType
+ * @text Target Type
+ * @type select
+ * @option Event
+ * @value event
+ * @option Actor
+ * @value actor
+ * @option Vehicle
+ * @value vehicle
+ * @default event
+ * 
+ * @arg id
+ * @text Target ID
+ * @type text
+ * @desc Event ID (0 is this event), actor ID (0 is the leader, negative numbers are followers), or boat/ship/airship.
+ * @default 0
+ * 
+ * @arg floorOpacity
+ * @text Floor Opacity
+ * @type text
+ * 
+ * @arg wallOpacity
+ * @text Wall Opacity
+ * @type text
+ * 
+ * @arg floorXOffset
+ * @text Floor x Offset
+ * @type text
+ * 
+ * @arg floorYOffset
+ * @text Floor y Offset
+ * @type text
+ * 
+ * @arg wallXOffset
+ * @text Wall x Offset
+ * @type text
+ * 
+ * @arg wallYOffset
+ * @text Wall y Offset
+ * @type text
+ * 
+ * @arg floorAngle
+ * @text Floor Angle
+ * @type text
+ * 
+ * @arg wallAngle
+ * @text Wall Angle
+ * @type text
+ * 
+ * @arg duration
+ * @text Duration
+ * @desc Length of the tween in frames.
+ * @type number
+ * @min 0
+ * @default 60
+ * 
+ * @arg easing
+ * @text Easing Type
+ * @type select
+ * @option Constant speed
+ * @value linear
+ * @option Slow start
+ * @value easeIn
+ * @option Slow end
+ * @value easeOut
+ * @option Slow start and end
+ * @value easeInOut
+ * @default linear
+ * 
+ * @arg wait
+ * @text Wait for Completion
  * @type boolean
  * @default false
  * 
- * @param reflectWall
- * @text Wall Reflection
- * @desc Enable wall reflections by default.
+ * @command setBattleReflect
+ * @text Set Battle Reflections
+ * @desc Enables or disables floor reflections for actors and enemies in battle.
+ * 
+ * @arg enabled
+ * @text Enabled
  * @type boolean
- * @default false
+ * @default true
  * 
- */
-
-// @ts-ignore
-var Imported = Imported || {};
-Imported.KC_Mirrors = true;
-
-// A general namespace for all of my plugins
-
-// @ts-ignore
-var KCDev = KCDev || {};
-
-KCDev.Mirrors = {};
-
-KCDev.Mirrors = {};
+ * @command detachReflect
+ * @text Detach Reflection
+ * @desc Controls a reflection's direction and pattern separately from its character.
+ * 
+ * @arg targetType
+ * @text Target Type
+ * @type select
+ * @option Event
+ * @value event
+ * @option Actor
+ * @value actor
+ * @option Vehicle
+ * @value vehicle
+ * @default event
+ * 
+ * @arg id
+ * @text Target ID
+ * @type text
+ * @desc Event ID (0 is this event), actor ID (0 is the leader, negative numbers are followers), or boat/ship/airship.
+ * @default 0
+ * 
+ * @arg direction
+ * @text Direction
+ * @desc The reflection acts as if its character faced this direction.
+ * @type select
+ * @option Keep Current
+ * @value 0
+ * @option Down
+ * @value 2
+ * @option Left
+ * @value 4
+ * @option Right
+ * @value 6
+ * @option Up
+ * @value 8
+ * @default 0
+ * 
+ * @arg pattern
+ * @text Pattern
+ * @desc Pattern to freeze the reflection on. -1 keeps following the character's walking animation.
+ * @type number
+ * @min -1
+ * @default -1
+ * 
+ * @arg route
+ * @text Route
+ * @desc Commands for the reflection to run, separated by commas. See the help section on detached reflections.
+ * @type multiline_string
+ * @default 
+ * 
+ * @arg repeat
+ * @text Repeat Route
+ * @type boolean
+ * @default false
+ * 
+ * @command setReflectDelay
+ * @text Set Reflection Delay
+ * @desc Makes a character's reflections replay the character's movement a number of frames late.
+ * 
+ * @arg targetType
+ * @text Target Type
+ * @type select
+ * @option Event
+ * @value event
+ * @option Actor
+ * @value actor
+ * @option Vehicle
+ * @value vehicle
+ * @default event
+ * 
+ * @arg id
+ * @text Target ID
+ * @type text
+ * @desc Event ID (0 is this event), actor ID (0 is the leader, negative numbers are followers), or boat/ship/airship.
+ * @default 0
+ * 
+ * @arg frames
+ * @text Delay
+ * @desc Number of frames the reflections lag behind the character. 0 disables the delay.
+ * @type number
+ * @min 0
+ * @default 30
+ * 
+ * @command setReflectOnly
+ * @text Set Reflection Only
+ * @desc Hides a character on the map while its reflections are still shown, or shows it again.
+ * 
+ * @arg targetType
+ * @text Target Type
+ * @type select
+ * @option Event
+ * @value event
+ * @option Actor
+ * @value actor
+ * @option Vehicle
+ * @value vehicle
+ * @default event
+ * 
+ * @arg id
+ * @text Target ID
+ * @type text
+ * @desc Event ID (0 is this event), actor ID (0 is the leader, negative numbers are followers), or boat/ship/airship.
+ * @default 0
+ * 
+ * @arg enabled
+ * @text Reflection Only
+ * @type boolean
+ * @on Only in reflections
+ * @off Everywhere
+ * @default true
+ * 
+ * @command setReflectProfile
+ * @text Set Reflection Profile
+ * @desc Switches a character or the map to a profile from the Reflection Profiles parameter.
+ * 
+ * @arg targetType
+ * @text Target Type
+ * @type select
+ * @option Event
+ * @value event
+ * @option Actor
+ * @value actor
+ * @option Vehicle
+ * @value vehicle
+ * @option Map
+ * @value map
+ * @default event
+ * 
+ * @arg id
+ * @text Target ID
+ * @type text
+ * @desc Event ID (0 is this event), actor ID (0 is the leader, negative numbers are followers), or boat/ship/airship.
+ * @default 0
+ * 
+ * @arg profile
+ * @text Profile Name
+ * @desc Leave blank to go back to the profile in the target's note tags.
+ * @type text
+ * @default 
+ * 
+ * @command reattachReflect
+ * @text Reattach Reflection
+ * @desc Makes a reflection follow its character's direction and pattern again.
+ * 
+ * @arg targetType
+ * @text Target Type
+ * @type select
+ * @option Event
+ * @value event
+ * @option Actor
+ * @value actor
+ * @option Vehicle
+ * @value vehicle
+ * @default event
+ * 
+ * @arg id
+ * @text Target ID
+ * @type text
+ * @desc Event ID (0 is this event), actor ID (0 is the leader, negative numbers are followers), or boat/ship/airship.
+ * @default 0
+ * 
+ */
+
+/*~struct~regionSettings:
+ * @param regionId
+ * @text Region ID
+ * @desc The region ID these settings apply to.
+ * @type number
+ * @min 1
+ * @max 255
+ * @default 1
+ * 
+ * @param mode
+ * @text Wall Mode
+ * @desc The wall reflection mode used by this mirror.
+ * @type select
+ * @option Map Default
+ * @value 
+ * @option Pseudo-Perspective
+ * @value perspective
+ * @option Event-Like
+ * @value event
+ * @option True Mirror
+ * @value mirror
+ * @default 
+ * 
+ * @param opacity
+ * @text Opacity Multiplier
+ * @desc Reflections on this mirror have their opacity multiplied by this value.
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @default 1.00
+ * 
+ * @param xOffset
+ * @text x Offset
+ * @desc Reflections on this mirror are offset horizontally by this many pixels.
+ * @type number
+ * @min -9999
+ * @default 0
+ * 
+ * @param yOffset
+ * @text y Offset
+ * @desc Reflections on this mirror are offset vertically by this many pixels.
+ * @type number
+ * @min -9999
+ * @default 0
+ * 
+ * @param angle
+ * @text Angle
+ * @desc Reflections on this mirror are rotated by this many degrees.
+ * @type number
+ * @min -360
+ * @max 360
+ * @default 0
+ * 
+ * @param maxWallDistance
+ * @text Maximum Wall Distance
+ * @desc Maximum distance for reflections to appear on this mirror in any wall mode. 0 uses the plugin parameter.
+ * @type number
+ * @default 0
+ * 
+ */
+
+/*~struct~profile:
+ * @param name
+ * @text Profile Name
+ * @desc Name used in the REFLECT_PROFILE note tag. Not case sensitive.
+ * @type text
+ * @default 
+ * 
+ * @param reflectType
+ * @text Reflection Type
+ * @desc Same as the REFLECT_TYPE note tag.
+ * @type select
+ * @option Not Set
+ * @value 
+ * @option All
+ * @value ALL
+ * @option Floor
+ * @value FLOOR
+ * @option Wall
+ * @value WALL
+ * @option None
+ * @value NONE
+ * @default 
+ * 
+ * @param reflectChar
+ * @text Reflection Image
+ * @desc Same as the REFLECT_CHAR and REFLECT_ACTOR note tags.
+ * @type file
+ * @dir img/characters/
+ * @default 
+ * 
+ * @param reflectIndex
+ * @text Reflection Index
+ * @desc Same as the REFLECT_INDEX note tag. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param floorOpacity
+ * @text Floor Opacity
+ * @desc Same as the REFLECT_FLOOR_OPACITY note tag. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param wallOpacity
+ * @text Wall Opacity
+ * @desc Same as the REFLECT_WALL_OPACITY note tag. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param floorOffsets
+ * @text Floor Offsets
+ * @desc Same as the REFLECT_FLOOR_OFFSETS note tag, formatted as x,y. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param wallOffsets
+ * @text Wall Offsets
+ * @desc Same as the REFLECT_WALL_OFFSETS note tag, formatted as x,y. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param floorAngle
+ * @text Floor Angle
+ * @desc Same as the REFLECT_FLOOR_ANGLE note tag. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param wallAngle
+ * @text Wall Angle
+ * @desc Same as the REFLECT_WALL_ANGLE note tag. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param floorTone
+ * @text Floor Tone
+ * @desc Same as the REFLECT_FLOOR_TONE note tag, formatted as r,g,b,gray. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param wallTone
+ * @text Wall Tone
+ * @desc Same as the REFLECT_WALL_TONE note tag, formatted as r,g,b,gray. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param blend
+ * @text Blend Mode
+ * @desc Same as the REFLECT_BLEND note tag.
+ * @type select
+ * @option Not Set
+ * @value 
+ * @option Normal
+ * @value normal
+ * @option Additive
+ * @value add
+ * @option Multiply
+ * @value multiply
+ * @option Screen
+ * @value screen
+ * @default 
+ * 
+ * @param delay
+ * @text Delay
+ * @desc Same as the REFLECT_DELAY note tag. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ * @param reflectOnly
+ * @text Reflection Only
+ * @desc Same as the REFLECT_ONLY note tag.
+ * @type select
+ * @option Not Set
+ * @value 
+ * @option Only in reflections
+ * @value true
+ * @option Everywhere
+ * @value false
+ * @default 
+ * 
+ * @param mode
+ * @text Wall Reflection Mode
+ * @desc Same as the REFLECT_MODE map note tag. Only used by maps.
+ * @type select
+ * @option Not Set
+ * @value 
+ * @option Pseudo-Perspective
+ * @value PERSPECTIVE
+ * @option Event-Like
+ * @value EVENT
+ * @option True Mirror
+ * @value MIRROR
+ * @default 
+ * 
+ * @param floorFilter
+ * @text Floor Filter
+ * @desc Same as the REFLECT_FLOOR_FILTER map note tag, formatted as wave,blur,speed. Only used by maps.
+ * @type text
+ * @default 
+ * 
+ * @param wallFilter
+ * @text Wall Filter
+ * @desc Same as the REFLECT_WALL_FILTER map note tag, formatted as wave,blur,speed. Only used by maps.
+ * @type text
+ * @default 
+ * 
+ * @param tiles
+ * @text Tile Reflection Range
+ * @desc Same as the REFLECT_TILES map note tag. Only used by maps. Leave blank to not set it.
+ * @type text
+ * @default 
+ * 
+ */
+
+/*~struct~defaults:
+ * @param reflectFloor
+ * @text Floor Reflection
+ * @desc Enable floor reflections by default.
+ * @type boolean
+ * @default false
+ * 
+ * @param reflectWall
+ * @text Wall Reflection
+ * @desc Enable wall reflections by default.
+ * @type boolean
+ * @default false
+ * 
+ */
+
+// @ts-ignore
+var Imported = Imported || {};
+Imported.KC_Mirrors = true;
+
+// A general namespace for all of my plugins
+
+// @ts-ignore
+var KCDev = KCDev || {};
+
+KCDev.Mirrors = {};
+
+KCDev.Mirrors = {};
 KCDev.Mirrors.zValue = -1;
 KCDev.Mirrors.wallReflectType = 'perspective';
 KCDev.Mirrors.wallReflectVar = 0;
 KCDev.Mirrors.maxWallDistance = 20;
+KCDev.Mirrors.maxWallReflections = 1;
+KCDev.Mirrors.wallFadeType = 'none';
+KCDev.Mirrors.wallFadeStart = 1;
+KCDev.Mirrors.wallFadeEnd = 0;
 KCDev.Mirrors.actorDefault = {};
 KCDev.Mirrors.actorDefault.reflectFloor = true;
 KCDev.Mirrors.actorDefault.reflectWall = true;
@@ -1009,18 +2434,78 @@ KCDev.Mirrors.eventDefault.reflectWall = false;
 KCDev.Mirrors.vehicleDefault = {};
 KCDev.Mirrors.vehicleDefault.reflectFloor = true;
 KCDev.Mirrors.vehicleDefault.reflectWall = true;
+KCDev.Mirrors.enemyDefault = {};
+KCDev.Mirrors.enemyDefault.reflectFloor = true;
+KCDev.Mirrors.enemyDefault.reflectWall = false;
+KCDev.Mirrors.battleReflect = false;
+KCDev.Mirrors.vehicleRiders = false;
+KCDev.Mirrors.vehicleRiderOffset = 12;
+KCDev.Mirrors.airshipReflectScale = 0.75;
+KCDev.Mirrors.airshipReflectOpacity = 0.5;
 KCDev.Mirrors.useZFightFix = false;
+KCDev.Mirrors.clipWallReflections = false;
+KCDev.Mirrors.tileReflectRange = 0;
+/** @type {Map<string, Object<string, string>>} */
+KCDev.Mirrors.reflectProfiles = new Map();
 /** @type {Map<number,number[]>} */
 KCDev.Mirrors.reflectWallPositions = new Map();
+/** @type {Map<number,number[]>} */
+KCDev.Mirrors.reflectWallPositionsLeft = new Map();
+/** @type {Map<number,number[]>} */
+KCDev.Mirrors.reflectWallPositionsRight = new Map();
+/** @type {Map<number,number[]>} */
+KCDev.Mirrors.reflectWallPositionsSouth = new Map();
+/** @type {Map<number,Map<number,KCDev.Mirrors.MirrorArea>>} */
+KCDev.Mirrors.mirrorAreas = new Map();
 KCDev.Mirrors.currMapId = -1;
+KCDev.Mirrors.mirrorAreaCount = 0;
+KCDev.Mirrors.cacheVersion = 0;
 /** @type {Set<number>} */
 KCDev.Mirrors.wallRegions;
 /** @type {Set<number>} */
+KCDev.Mirrors.wallRegionsLeft;
+/** @type {Set<number>} */
+KCDev.Mirrors.wallRegionsRight;
+/** @type {Set<number>} */
+KCDev.Mirrors.wallRegionsSouth;
+/** @type {Set<number>} */
 KCDev.Mirrors.noReflectRegions;
+/** @type {Set<number>} */
+KCDev.Mirrors.wallTerrainTags = new Set();
+/** @type {Set<number>} */
+KCDev.Mirrors.wallTerrainTagsLeft = new Set();
+/** @type {Set<number>} */
+KCDev.Mirrors.wallTerrainTagsRight = new Set();
+/** @type {Set<number>} */
+KCDev.Mirrors.wallTerrainTagsSouth = new Set();
+/** @type {Set<number>} */
+KCDev.Mirrors.noReflectTerrainTags = new Set();
+/** @type {Set<number>} */
+KCDev.Mirrors.floorRegions = new Set();
+/** @type {Set<number>} */
+KCDev.Mirrors.floorTerrainTags = new Set();
+/** @type {Map<number,KCDev.Mirrors.RegionSettings>} */
+KCDev.Mirrors.regionSettings = new Map();
+/** @type {KCDev.Mirrors.ReflectFilterSettings} */
+KCDev.Mirrors.defaultFilterSettings = { wave: 0, blur: 0, speed: 1 };
+KCDev.Mirrors.waveLength = 24;
+KCDev.Mirrors.blendModeNames = ['', 'normal', 'add', 'multiply', 'screen'];
+// maps tween property names to the getter and setter that they tween
+KCDev.Mirrors.tweenProperties = {
+    floorOpacity: ['reflectFloorOpacity', 'setReflectFloorOpacity'],
+    wallOpacity: ['reflectWallOpacity', 'setReflectWallOpacity'],
+    floorXOffset: ['reflectFloorXOffset', 'setReflectFloorXOffset'],
+    floorYOffset: ['reflectFloorYOffset', 'setReflectFloorYOffset'],
+    wallXOffset: ['reflectWallXOffset', 'setReflectWallXOffset'],
+    wallYOffset: ['reflectWallYOffset', 'setReflectWallYOffset'],
+    floorAngle: ['reflectFloorAngle', 'setReflectFloorAngle'],
+    wallAngle: ['reflectWallAngle', 'setReflectWallAngle']
+};
 
 KCDev.Mirrors.wallModes = {};
 KCDev.Mirrors.wallModes.perspective = 0;
 KCDev.Mirrors.wallModes.event = 1;
+KCDev.Mirrors.wallModes.mirror = 2;
 
 /**
  * 
@@ -1042,6 +2527,8 @@ KCDev.Mirrors.findMetaSimple = function (str, target) {
  */
 KCDev.Mirrors.parseMetaValues = function (reflectableObj, target, defaults, isActor = false) {
 
+    target = KCDev.Mirrors.applyReflectProfile(target, reflectableObj.reflectProfile ? reflectableObj.reflectProfile() : '');
+
     /** 
      * @param {string} str
      */
@@ -1074,6 +2561,9 @@ KCDev.Mirrors.parseMetaValues = function (reflectableObj, target, defaults, isAc
     const metaRefFloorOff = findMetaSimple(refFloorOff) || '';
     const metaFloorAngle = parseNumber(refFloorAngle);
     const metaWallAngle = parseNumber(refWallAngle);
+    const metaFloorTone = findMetaSimple('Reflect_Floor_Tone');
+    const metaWallTone = findMetaSimple('Reflect_Wall_Tone');
+    const metaBlend = findMetaSimple('Reflect_Blend');
     const wallOffs = metaRefWallOff.split(',').map(num => Number(num));
     const floorOffs = metaRefFloorOff.split(',').map(num => Number(num));
     const reflectType = findMetaSimple(refType);
@@ -1112,6 +2602,159 @@ KCDev.Mirrors.parseMetaValues = function (reflectableObj, target, defaults, isAc
     reflectableObj.setReflectWallYOffset(wallOffs[1] || 0);
     reflectableObj.setReflectFloorAngle(metaFloorAngle || 0);
     reflectableObj.setReflectWallAngle(metaWallAngle || 0);
+    reflectableObj.setReflectFloorTone(KCDev.Mirrors.parseToneMeta(metaFloorTone));
+    reflectableObj.setReflectWallTone(KCDev.Mirrors.parseToneMeta(metaWallTone));
+    reflectableObj.setReflectBlendMode(KCDev.Mirrors.parseBlendMeta(metaBlend));
+    if (reflectableObj.setReflectDelay) {
+        reflectableObj.setReflectDelay(parseNumber(findMetaSimple('Reflect_Delay')) || 0);
+    }
+    if (reflectableObj.setReflectOnly) {
+        reflectableObj.setReflectOnly(findMetaSimple('Reflect_Only') === true);
+    }
+};
+
+/**
+ * @typedef {Object} KCDev.Mirrors.ReflectOverrides Reflection settings found in note tags. Only settings with a note tag are present.
+ * @property {boolean} [reflectFloor] Floor reflection visibility
+ * @property {boolean} [reflectWall] Wall reflection visibility
+ * @property {string} [reflectName] Reflection character sheet
+ * @property {number} [reflectIndex] Reflection character index
+ * @property {number} [reflectFloorOpacity] Floor reflection opacity
+ * @property {number} [reflectWallOpacity] Wall reflection opacity
+ * @property {number} [reflectFloorXOffset] Floor reflection horizontal offset
+ * @property {number} [reflectFloorYOffset] Floor reflection vertical offset
+ * @property {number} [reflectWallXOffset] Wall reflection horizontal offset
+ * @property {number} [reflectWallYOffset] Wall reflection vertical offset
+ * @property {number} [reflectFloorRotation] Floor reflection rotation (in radians)
+ * @property {number} [reflectWallRotation] Wall reflection rotation (in radians)
+ * @property {number[]} [reflectFloorTone] Floor reflection color tone
+ * @property {number[]} [reflectWallTone] Wall reflection color tone
+ * @property {string} [reflectBlendMode] Reflection blend mode name
+ * @property {number} [reflectDelay] Number of frames the reflections lag behind the character
+ * @property {boolean} [isReflectOnly] Whether the character is only shown in its reflections
+ */
+
+/**
+ * Parses the reflection note tags present on a database object without filling in defaults for missing ones.
+ * Used for database objects that override part of an actor's reflection, like states and equipment.
+ * @param {{meta: Object<string, string | boolean>}} target Database object that will be used to find the note tags
+ * @param {boolean} isActor Actors and events use different reflection characters!
+ * @returns {KCDev.Mirrors.ReflectOverrides}
+ */
+KCDev.Mirrors.parseMetaOverrides = function (target, isActor = false) {
+    target = KCDev.Mirrors.applyReflectProfile(target);
+
+    const findMetaSimple = function (str) {
+        return KCDev.Mirrors.findMetaSimple(str, target);
+    };
+
+    const findNumber = function (str) {
+        const value = findMetaSimple(str);
+        if (value === undefined || value === '' || typeof value === 'boolean') return undefined;
+        const n = Number(value);
+        return isNaN(n) ? undefined : n;
+    };
+
+    /** @type {KCDev.Mirrors.ReflectOverrides} */
+    const overrides = {};
+
+    const reflectType = findMetaSimple('Reflect_Type');
+    switch (typeof reflectType === 'string' ? reflectType.trim().toUpperCase() : '') {
+        case 'FLOOR':
+            overrides.reflectFloor = true;
+            overrides.reflectWall = false;
+            break;
+
+        case 'WALL':
+            overrides.reflectFloor = false;
+            overrides.reflectWall = true;
+            break;
+
+        case 'ALL':
+            overrides.reflectFloor = true;
+            overrides.reflectWall = true;
+            break;
+
+        case 'NONE':
+            overrides.reflectFloor = false;
+            overrides.reflectWall = false;
+            break;
+
+        default:
+            break;
+    }
+
+    const metaChar = findMetaSimple(isActor ? 'Reflect_Actor' : 'Reflect_Char');
+    const metaIdx = findNumber('Reflect_Index');
+    if (metaChar !== undefined && typeof metaChar !== 'boolean') {
+        overrides.reflectName = String(metaChar).trim();
+        overrides.reflectIndex = (metaIdx === undefined) ? -1 : metaIdx;
+    }
+    else if (metaIdx !== undefined) {
+        overrides.reflectIndex = metaIdx;
+    }
+
+    const floorOpacity = findNumber('Reflect_Floor_Opacity');
+    const wallOpacity = findNumber('Reflect_Wall_Opacity');
+    if (floorOpacity !== undefined) overrides.reflectFloorOpacity = floorOpacity;
+    if (wallOpacity !== undefined) overrides.reflectWallOpacity = wallOpacity;
+
+    const floorOffs = findMetaSimple('Reflect_Floor_Offsets');
+    const wallOffs = findMetaSimple('Reflect_Wall_Offsets');
+    if (floorOffs !== undefined && typeof floorOffs !== 'boolean') {
+        const offs = String(floorOffs).split(',').map(num => Number(num));
+        overrides.reflectFloorXOffset = offs[0] || 0;
+        overrides.reflectFloorYOffset = offs[1] || 0;
+    }
+    if (wallOffs !== undefined && typeof wallOffs !== 'boolean') {
+        const offs = String(wallOffs).split(',').map(num => Number(num));
+        overrides.reflectWallXOffset = offs[0] || 0;
+        overrides.reflectWallYOffset = offs[1] || 0;
+    }
+
+    const floorAngle = findNumber('Reflect_Floor_Angle');
+    const wallAngle = findNumber('Reflect_Wall_Angle');
+    if (floorAngle !== undefined) overrides.reflectFloorRotation = KCDev.Mirrors.angleToRadians(floorAngle);
+    if (wallAngle !== undefined) overrides.reflectWallRotation = KCDev.Mirrors.angleToRadians(wallAngle);
+
+    const floorTone = KCDev.Mirrors.parseToneMeta(findMetaSimple('Reflect_Floor_Tone'));
+    const wallTone = KCDev.Mirrors.parseToneMeta(findMetaSimple('Reflect_Wall_Tone'));
+    if (floorTone) overrides.reflectFloorTone = floorTone;
+    if (wallTone) overrides.reflectWallTone = wallTone;
+
+    const blendMode = KCDev.Mirrors.parseBlendMeta(findMetaSimple('Reflect_Blend'));
+    if (blendMode) overrides.reflectBlendMode = blendMode;
+
+    const delay = findNumber('Reflect_Delay');
+    if (delay !== undefined) overrides.reflectDelay = delay;
+
+    const reflectOnly = findMetaSimple('Reflect_Only');
+    if (typeof reflectOnly === 'boolean') overrides.isReflectOnly = reflectOnly;
+
+    return overrides;
+};
+
+/**
+ * Converts a tone note tag value into a color tone
+ * @param {string | undefined} metaValue Value of a tone note tag, formatted as r,g,b,gray
+ * @returns {number[] | null} Color tone, or null if the note tag is not present
+ */
+KCDev.Mirrors.parseToneMeta = function (metaValue) {
+    if (typeof metaValue !== 'string') {
+        return null;
+    }
+    const values = metaValue.split(',').map(num => Number(num));
+    return [0, 1, 2, 3].map(i => values[i] || 0);
+};
+
+/**
+ * Converts a blend note tag value into a blend mode name
+ * @param {string | undefined} metaValue Value of a <REFLECT_BLEND> note tag
+ * @returns {string} Blend mode name, or an empty string if the note tag is not present or invalid
+ */
+KCDev.Mirrors.parseBlendMeta = function (metaValue) {
+    const blendMode = (typeof metaValue === 'string') ? metaValue.trim().toLowerCase() : '';
+    return KCDev.Mirrors.blendModeNames.includes(blendMode) ? blendMode : '';
 };
 
 /**
@@ -1135,6 +2778,10 @@ KCDev.Mirrors.parseMetaValues = function (reflectableObj, target, defaults, isAc
  * @typedef {Object} KCDev.Mirrors.PluginParams
  * @property {number} zValue
  * @property {number} maxWallDistance
+ * @property {number} maxWallReflections
+ * @property {string} wallFadeType
+ * @property {number} wallFadeStart
+ * @property {number} wallFadeEnd
  * @property {object} actorDefault
  * @property {boolean} actorDefault.reflectFloor
  * @property {boolean} actorDefault.reflectWall
@@ -1144,11 +2791,63 @@ KCDev.Mirrors.parseMetaValues = function (reflectableObj, target, defaults, isAc
  * @property {object} vehicleDefault
  * @property {boolean} vehicleDefault.reflectFloor
  * @property {boolean} vehicleDefault.reflectWall
+ * @property {object} enemyDefault
+ * @property {boolean} enemyDefault.reflectFloor
+ * @property {boolean} enemyDefault.reflectWall
+ * @property {boolean} battleReflect
+ * @property {boolean} vehicleRiders
+ * @property {number} vehicleRiderOffset
+ * @property {number} airshipReflectScale
+ * @property {number} airshipReflectOpacity
  * @property {string} wallReflectType
  * @property {number} wallReflectVar
  * @property {boolean} attemptFixZFight
+ * @property {boolean} clipWallReflections
  * @property {number[]} wallRegions
+ * @property {number[]} wallRegionsLeft
+ * @property {number[]} wallRegionsRight
+ * @property {number[]} wallRegionsSouth
  * @property {number[]} noReflectRegions
+ * @property {number[]} wallTerrainTags
+ * @property {number[]} wallTerrainTagsLeft
+ * @property {number[]} wallTerrainTagsRight
+ * @property {number[]} wallTerrainTagsSouth
+ * @property {number[]} noReflectTerrainTags
+ * @property {number[]} floorRegions
+ * @property {number[]} floorTerrainTags
+ * @property {number} tileReflectRange
+ * @property {Array<object | string>} regionSettings
+ * @property {Array<object | string>} reflectProfiles
+ */
+
+/**
+ * @typedef {Object} KCDev.Mirrors.RegionSettings Wall reflection settings for a mirror region
+ * @property {number} regionId Region ID these settings apply to
+ * @property {number | undefined} mode Wall reflection mode, or undefined to use the map's mode
+ * @property {number} opacity Opacity multiplier
+ * @property {number} xOffset Horizontal offset in pixels
+ * @property {number} yOffset Vertical offset in pixels
+ * @property {number} rotation Rotation offset in radians
+ * @property {number} maxWallDistance Maximum wall distance, or 0 to use the plugin parameter
+ */
+
+/**
+ * @typedef {Object} KCDev.Mirrors.MirrorArea A group of touching mirror tiles
+ * @property {number} id Unique ID of this area on the current map
+ * @property {number} wallDir Direction of the mirror relative to characters it reflects
+ * @property {number[][]} tiles List of [x, y] coordinates of every tile in this mirror
+ * @property {number} minX Left edge of the mirror
+ * @property {number} minY Top edge of the mirror
+ * @property {number} maxX Right edge of the mirror
+ * @property {number} maxY Bottom edge of the mirror
+ * @property {number} regionId Region whose Mirror Region Settings this mirror uses
+ */
+
+/**
+ * @typedef {Object} KCDev.Mirrors.ReflectFilterSettings Built-in filters applied to reflections
+ * @property {number} wave Distance in pixels the wave distortion moves the reflection
+ * @property {number} blur Strength of the blur
+ * @property {number} speed Number of ripples that pass every second
  */
 
 /**
@@ -1183,23 +2882,164 @@ KCDev.Mirrors.convertEscapeCharacters = function (text, event = null) {
     return text;
 };
 
-KCDev.Mirrors.tryParseParameter = function (param) {
-    if (typeof param !== 'string') return param;
+/**
+ * Converts the Mirror Region Settings plugin parameter into a map of region IDs to settings
+ * @param {Array<object | string>} list List of structs, either already parsed or as JSON strings
+ * @returns {Map<number, KCDev.Mirrors.RegionSettings>}
+ */
+KCDev.Mirrors.parseRegionSettings = function (list) {
+    const /** @type {Map<number, KCDev.Mirrors.RegionSettings>} */ settings = new Map();
 
-    // first try parsing as an object
-    try {
-        return JsonEx.parse(param);
-    } catch (error) {
+    if (!Array.isArray(list)) {
+        return settings;
+    }
 
+    for (let entry of list) {
+        if (typeof entry === 'string') {
+            entry = JsonEx.parse(entry);
+        }
+        if (!entry) continue;
+
+        const mode = KCDev.Mirrors.wallModes[String(entry.mode || '').trim().toLowerCase()];
+        const opacity = Number(entry.opacity);
+        const regionId = Number(entry.regionId);
+
+        settings.set(regionId, {
+            regionId: regionId,
+            mode: mode,
+            opacity: isNaN(opacity) ? 1 : opacity,
+            xOffset: Number(entry.xOffset) || 0,
+            yOffset: Number(entry.yOffset) || 0,
+            rotation: (Number(entry.angle) || 0) * Math.PI / 180,
+            maxWallDistance: Number(entry.maxWallDistance) || 0
+        });
     }
 
-    // convert \v[x] and \s[x]
-    param = KCDev.Mirrors.convertEscapeCharacters(param);
+    return settings;
+};
 
-    // this ensures param JUST has numbers in it
-    // Number('') returns 0, which is undesirable
-    // parseFloat('123abc') returns 123, which is also not wanted
-    // so we have to use both to ensure whitespace is not parsed and characters are not ignored
+/**
+ * Note tags set by each field of a reflection profile
+ * @type {Object<string, string[]>}
+ */
+KCDev.Mirrors.profileTags = {
+    reflectType: ['REFLECT_TYPE'],
+    reflectChar: ['REFLECT_CHAR', 'REFLECT_ACTOR'],
+    reflectIndex: ['REFLECT_INDEX'],
+    floorOpacity: ['REFLECT_FLOOR_OPACITY'],
+    wallOpacity: ['REFLECT_WALL_OPACITY'],
+    floorOffsets: ['REFLECT_FLOOR_OFFSETS'],
+    wallOffsets: ['REFLECT_WALL_OFFSETS'],
+    floorAngle: ['REFLECT_FLOOR_ANGLE'],
+    wallAngle: ['REFLECT_WALL_ANGLE'],
+    floorTone: ['REFLECT_FLOOR_TONE'],
+    wallTone: ['REFLECT_WALL_TONE'],
+    blend: ['REFLECT_BLEND'],
+    delay: ['REFLECT_DELAY'],
+    reflectOnly: ['REFLECT_ONLY'],
+    mode: ['REFLECT_MODE'],
+    floorFilter: ['REFLECT_FLOOR_FILTER'],
+    wallFilter: ['REFLECT_WALL_FILTER'],
+    tiles: ['REFLECT_TILES']
+};
+
+/**
+ * Converts the Reflection Profiles plugin parameter into a map of profile names to note tag values
+ * @param {Array<object | string>} list List of structs, either already parsed or as JSON strings
+ * @returns {Map<string, Object<string, string>>} Profiles keyed by their lower case names
+ */
+KCDev.Mirrors.parseReflectProfiles = function (list) {
+    const /** @type {Map<string, Object<string, string>>} */ profiles = new Map();
+
+    if (!Array.isArray(list)) {
+        return profiles;
+    }
+
+    for (let entry of list) {
+        if (typeof entry === 'string') {
+            entry = JsonEx.parse(entry);
+        }
+        if (!entry) continue;
+
+        const name = String(entry.name || '').trim().toLowerCase();
+        if (!name) continue;
+
+        const /** @type {Object<string, string>} */ meta = {};
+        for (const field in KCDev.Mirrors.profileTags) {
+            const value = (entry[field] === undefined || entry[field] === null) ? '' : String(entry[field]).trim();
+            if (value === '') continue;
+            for (const tag of KCDev.Mirrors.profileTags[field]) {
+                meta[tag] = value;
+            }
+        }
+        profiles.set(name, meta);
+    }
+
+    return profiles;
+};
+
+/**
+ * Combines two sets of note tags. Tags are not case sensitive, so a tag in overrideMeta
+ * replaces the same tag in baseMeta even if they are written differently.
+ * @param {Object<string, string | boolean>} baseMeta 
+ * @param {Object<string, string | boolean>} overrideMeta 
+ * @returns {Object<string, string | boolean>} New meta object
+ */
+KCDev.Mirrors.mergeMeta = function (baseMeta, overrideMeta) {
+    const meta = Object.assign({}, baseMeta);
+    const overrideKeys = Object.keys(overrideMeta || {}).map(key => key.toUpperCase());
+    Object.keys(meta).forEach(key => {
+        if (overrideKeys.includes(key.toUpperCase())) {
+            delete meta[key];
+        }
+    });
+    return Object.assign(meta, overrideMeta);
+};
+
+/**
+ * Places a reflection profile underneath a database object's own note tags.
+ * @param {{note?: string, meta: Object<string, string | boolean>} | null | undefined} target Database object that will be used to find the note tags
+ * @param {string} profileName Name of the profile to use. If empty, the target's <REFLECT_PROFILE> note tag is used.
+ * @returns {{note?: string, meta: Object<string, string | boolean>} | null | undefined} Target with the profile's settings added, or the target itself if there is no profile
+ */
+KCDev.Mirrors.applyReflectProfile = function (target, profileName = '') {
+    const metaName = KCDev.Mirrors.findMetaSimple('Reflect_Profile', target);
+    const name = String(profileName || (typeof metaName === 'boolean' ? '' : metaName) || '').trim().toLowerCase();
+    if (!name) {
+        return target;
+    }
+
+    const profile = KCDev.Mirrors.reflectProfiles.get(name);
+    if (!profile) {
+        console.error(`\
+        KC_Mirrors: Unknown reflection profile ${name}
+        Add it to the Reflection Profiles plugin parameter.`);
+        return target;
+    }
+
+    return {
+        note: target ? target.note : '',
+        meta: KCDev.Mirrors.mergeMeta(profile, target ? target.meta : null)
+    };
+};
+
+KCDev.Mirrors.tryParseParameter = function (param) {
+    if (typeof param !== 'string') return param;
+
+    // first try parsing as an object
+    try {
+        return JsonEx.parse(param);
+    } catch (error) {
+
+    }
+
+    // convert \v[x] and \s[x]
+    param = KCDev.Mirrors.convertEscapeCharacters(param);
+
+    // this ensures param JUST has numbers in it
+    // Number('') returns 0, which is undesirable
+    // parseFloat('123abc') returns 123, which is also not wanted
+    // so we have to use both to ensure whitespace is not parsed and characters are not ignored
     const num = Number(param);
     if (num === parseFloat(param)) {
         return num;
@@ -1241,16 +3081,58 @@ KCDev.Mirrors.tryParseParameter = function (param) {
         if (parameters.maxWallDistance !== undefined) {
             KCDev.Mirrors.maxWallDistance = parameters.maxWallDistance;
         }
+        if (parameters.maxWallReflections > 0) {
+            KCDev.Mirrors.maxWallReflections = parameters.maxWallReflections;
+        }
+        if (parameters.wallFadeType) {
+            KCDev.Mirrors.wallFadeType = parameters.wallFadeType;
+        }
+        if (parameters.wallFadeStart !== undefined) {
+            KCDev.Mirrors.wallFadeStart = parameters.wallFadeStart;
+        }
+        if (parameters.wallFadeEnd !== undefined) {
+            KCDev.Mirrors.wallFadeEnd = parameters.wallFadeEnd;
+        }
         if (parameters.wallReflectType) {
             KCDev.Mirrors.wallReflectType = parameters.wallReflectType;
         }
 
         KCDev.Mirrors.useZFightFix = parameters.attemptFixZFight;
+        KCDev.Mirrors.clipWallReflections = !!parameters.clipWallReflections;
         KCDev.Mirrors.actorDefault = parameters.actorDefault;
         KCDev.Mirrors.eventDefault = parameters.eventDefault;
         KCDev.Mirrors.vehicleDefault = parameters.vehicleDefault;
+        if (parameters.enemyDefault) {
+            KCDev.Mirrors.enemyDefault = parameters.enemyDefault;
+        }
+        KCDev.Mirrors.battleReflect = !!parameters.battleReflect;
+        KCDev.Mirrors.vehicleRiders = !!parameters.vehicleRiders;
+        if (parameters.vehicleRiderOffset !== undefined) {
+            KCDev.Mirrors.vehicleRiderOffset = parameters.vehicleRiderOffset;
+        }
+        if (parameters.airshipReflectScale !== undefined) {
+            KCDev.Mirrors.airshipReflectScale = parameters.airshipReflectScale;
+        }
+        if (parameters.airshipReflectOpacity !== undefined) {
+            KCDev.Mirrors.airshipReflectOpacity = parameters.airshipReflectOpacity;
+        }
         KCDev.Mirrors.wallRegions = new Set(parameters.wallRegions);
+        KCDev.Mirrors.wallRegionsLeft = new Set(parameters.wallRegionsLeft);
+        KCDev.Mirrors.wallRegionsRight = new Set(parameters.wallRegionsRight);
+        KCDev.Mirrors.wallRegionsSouth = new Set(parameters.wallRegionsSouth);
         KCDev.Mirrors.noReflectRegions = new Set(parameters.noReflectRegions);
+        KCDev.Mirrors.wallTerrainTags = new Set(parameters.wallTerrainTags);
+        KCDev.Mirrors.wallTerrainTagsLeft = new Set(parameters.wallTerrainTagsLeft);
+        KCDev.Mirrors.wallTerrainTagsRight = new Set(parameters.wallTerrainTagsRight);
+        KCDev.Mirrors.wallTerrainTagsSouth = new Set(parameters.wallTerrainTagsSouth);
+        KCDev.Mirrors.noReflectTerrainTags = new Set(parameters.noReflectTerrainTags);
+        KCDev.Mirrors.floorRegions = new Set(parameters.floorRegions);
+        KCDev.Mirrors.floorTerrainTags = new Set(parameters.floorTerrainTags);
+        if (parameters.tileReflectRange > 0) {
+            KCDev.Mirrors.tileReflectRange = parameters.tileReflectRange;
+        }
+        KCDev.Mirrors.regionSettings = KCDev.Mirrors.parseRegionSettings(parameters.regionSettings);
+        KCDev.Mirrors.reflectProfiles = KCDev.Mirrors.parseReflectProfiles(parameters.reflectProfiles);
 
         if (Utils.RPGMAKER_NAME !== 'MZ') return;
 
@@ -1297,6 +3179,57 @@ KCDev.Mirrors.tryParseParameter = function (param) {
         PluginManagerEx.registerCommand(script, 'overrideMapSettings', function (args) {
             KCDev.Mirrors.overrideMapSettings(args.reflectFloor, args.reflectWall, args.mode, args.reflectFloorAngle, args.reflectWallAngle);
         });
+
+        PluginManagerEx.registerCommand(script, 'setMapReflectFilter', function (args) {
+            KCDev.Mirrors.setMapReflectFilter(args.reflectType, args.wave, args.blur, args.speed);
+        });
+
+        PluginManagerEx.registerCommand(script, 'changeReflectTone', function (args) {
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectTone(target, args.reflectType, args.red, args.green, args.blue, args.gray);
+        });
+
+        PluginManagerEx.registerCommand(script, 'changeReflectBlend', function (args) {
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectBlend(target, args.blendMode);
+        });
+
+        PluginManagerEx.registerCommand(script, 'tweenReflect', function (args) {
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.tweenReflect(target, args, args.duration, args.easing);
+            if (args.wait) {
+                KCDev.Mirrors.waitForReflectTween.call(this, args.targetType, args.id);
+            }
+        });
+
+        PluginManagerEx.registerCommand(script, 'setBattleReflect', function (args) {
+            KCDev.Mirrors.setBattleReflect(args.enabled);
+        });
+
+        PluginManagerEx.registerCommand(script, 'detachReflect', function (args) {
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.detachReflect(target, args.direction, args.pattern, args.route, args.repeat);
+        });
+
+        PluginManagerEx.registerCommand(script, 'reattachReflect', function (args) {
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.reattachReflect(target);
+        });
+
+        PluginManagerEx.registerCommand(script, 'setReflectDelay', function (args) {
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectDelay(target, args.frames);
+        });
+
+        PluginManagerEx.registerCommand(script, 'setReflectOnly', function (args) {
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectOnly(target, args.enabled);
+        });
+
+        PluginManagerEx.registerCommand(script, 'setReflectProfile', function (args) {
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectProfile(target, String(args.profile || ''));
+        });
     }
     else {
 
@@ -1314,11 +3247,31 @@ KCDev.Mirrors.tryParseParameter = function (param) {
             KCDev.Mirrors.maxWallDistance = maxWallDistance;
         }
 
+        const maxWallReflections = Number(parameters.maxWallReflections);
+        if (maxWallReflections > 0) {
+            KCDev.Mirrors.maxWallReflections = maxWallReflections;
+        }
+
+        if (parameters.wallFadeType) {
+            KCDev.Mirrors.wallFadeType = parameters.wallFadeType;
+        }
+
+        const wallFadeStart = Number(parameters.wallFadeStart);
+        if (parameters.wallFadeStart && !isNaN(wallFadeStart)) {
+            KCDev.Mirrors.wallFadeStart = wallFadeStart;
+        }
+
+        const wallFadeEnd = Number(parameters.wallFadeEnd);
+        if (parameters.wallFadeEnd && !isNaN(wallFadeEnd)) {
+            KCDev.Mirrors.wallFadeEnd = wallFadeEnd;
+        }
+
         if (parameters.wallReflectType in KCDev.Mirrors.wallModes) {
             KCDev.Mirrors.wallReflectType = parameters.wallReflectType;
         }
 
         KCDev.Mirrors.useZFightFix = parameters.attemptFixZFight.toLowerCase() === 'true';
+        KCDev.Mirrors.clipWallReflections = parameters.clipWallReflections === 'true';
         try {
             const actorDefault = JsonEx.parse(parameters.actorDefault);
             KCDev.Mirrors.actorDefault = { reflectFloor: actorDefault.reflectFloor.toLowerCase() === 'true', reflectWall: actorDefault.reflectWall.toLowerCase() === 'true' };
@@ -1340,16 +3293,108 @@ KCDev.Mirrors.tryParseParameter = function (param) {
             console.error(error.message);
         }
 
+        if (parameters.enemyDefault) {
+            try {
+                const enemyDefault = JsonEx.parse(parameters.enemyDefault);
+                KCDev.Mirrors.enemyDefault = { reflectFloor: enemyDefault.reflectFloor.toLowerCase() === 'true', reflectWall: enemyDefault.reflectWall.toLowerCase() === 'true' };
+            } catch (error) {
+                console.error(error.message);
+            }
+        }
+
+        KCDev.Mirrors.battleReflect = parameters.battleReflect === 'true';
+        KCDev.Mirrors.vehicleRiders = parameters.vehicleRiders === 'true';
+
+        const vehicleRiderOffset = Number(parameters.vehicleRiderOffset);
+        if (parameters.vehicleRiderOffset && !isNaN(vehicleRiderOffset)) {
+            KCDev.Mirrors.vehicleRiderOffset = vehicleRiderOffset;
+        }
+
+        const airshipReflectScale = Number(parameters.airshipReflectScale);
+        if (parameters.airshipReflectScale && !isNaN(airshipReflectScale)) {
+            KCDev.Mirrors.airshipReflectScale = airshipReflectScale;
+        }
+
+        const airshipReflectOpacity = Number(parameters.airshipReflectOpacity);
+        if (parameters.airshipReflectOpacity && !isNaN(airshipReflectOpacity)) {
+            KCDev.Mirrors.airshipReflectOpacity = airshipReflectOpacity;
+        }
+
         try {
             KCDev.Mirrors.wallRegions = new Set(JsonEx.parse(parameters.wallRegions).map(id => Number(id)));
         } catch (error) {
             KCDev.Mirrors.wallRegions = new Set();
         }
+        try {
+            KCDev.Mirrors.wallRegionsLeft = new Set(JsonEx.parse(parameters.wallRegionsLeft).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.wallRegionsLeft = new Set();
+        }
+        try {
+            KCDev.Mirrors.wallRegionsRight = new Set(JsonEx.parse(parameters.wallRegionsRight).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.wallRegionsRight = new Set();
+        }
+        try {
+            KCDev.Mirrors.wallRegionsSouth = new Set(JsonEx.parse(parameters.wallRegionsSouth).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.wallRegionsSouth = new Set();
+        }
         try {
             KCDev.Mirrors.noReflectRegions = new Set(JsonEx.parse(parameters.noReflectRegions).map(id => Number(id)));
         } catch (error) {
             KCDev.Mirrors.noReflectRegions = new Set();
         }
+        try {
+            KCDev.Mirrors.wallTerrainTags = new Set(JsonEx.parse(parameters.wallTerrainTags).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.wallTerrainTags = new Set();
+        }
+        try {
+            KCDev.Mirrors.wallTerrainTagsLeft = new Set(JsonEx.parse(parameters.wallTerrainTagsLeft).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.wallTerrainTagsLeft = new Set();
+        }
+        try {
+            KCDev.Mirrors.wallTerrainTagsRight = new Set(JsonEx.parse(parameters.wallTerrainTagsRight).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.wallTerrainTagsRight = new Set();
+        }
+        try {
+            KCDev.Mirrors.wallTerrainTagsSouth = new Set(JsonEx.parse(parameters.wallTerrainTagsSouth).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.wallTerrainTagsSouth = new Set();
+        }
+        try {
+            KCDev.Mirrors.noReflectTerrainTags = new Set(JsonEx.parse(parameters.noReflectTerrainTags).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.noReflectTerrainTags = new Set();
+        }
+        try {
+            KCDev.Mirrors.floorRegions = new Set(JsonEx.parse(parameters.floorRegions).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.floorRegions = new Set();
+        }
+        try {
+            KCDev.Mirrors.floorTerrainTags = new Set(JsonEx.parse(parameters.floorTerrainTags).map(id => Number(id)));
+        } catch (error) {
+            KCDev.Mirrors.floorTerrainTags = new Set();
+        }
+
+        const tileReflectRange = Number(parameters.tileReflectRange);
+        if (tileReflectRange > 0) {
+            KCDev.Mirrors.tileReflectRange = tileReflectRange;
+        }
+        try {
+            KCDev.Mirrors.regionSettings = KCDev.Mirrors.parseRegionSettings(JsonEx.parse(parameters.regionSettings));
+        } catch (error) {
+            KCDev.Mirrors.regionSettings = new Map();
+        }
+        try {
+            KCDev.Mirrors.reflectProfiles = KCDev.Mirrors.parseReflectProfiles(JsonEx.parse(parameters.reflectProfiles));
+        } catch (error) {
+            KCDev.Mirrors.reflectProfiles = new Map();
+        }
 
         if (Utils.RPGMAKER_NAME !== 'MZ') return;
 
@@ -1416,6 +3461,67 @@ KCDev.Mirrors.tryParseParameter = function (param) {
             args = convertVanillaArgs(args);
             KCDev.Mirrors.overrideMapSettings(args.reflectFloor, args.reflectWall, args.mode, args.reflectFloorAngle, args.reflectWallAngle);
         });
+
+        PluginManager.registerCommand(script, 'setMapReflectFilter', function (args) {
+            args = convertVanillaArgs(args);
+            KCDev.Mirrors.setMapReflectFilter(args.reflectType, Number(args.wave), Number(args.blur), Number(args.speed));
+        });
+
+        PluginManager.registerCommand(script, 'changeReflectTone', function (args) {
+            args = convertVanillaArgs(args);
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectTone(target, args.reflectType, Number(args.red), Number(args.green), Number(args.blue), Number(args.gray));
+        });
+
+        PluginManager.registerCommand(script, 'changeReflectBlend', function (args) {
+            args = convertVanillaArgs(args);
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectBlend(target, args.blendMode);
+        });
+
+        PluginManager.registerCommand(script, 'tweenReflect', function (args) {
+            args = convertVanillaArgs(args);
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.tweenReflect(target, args, Number(args.duration), args.easing);
+            if (args.wait === true) {
+                KCDev.Mirrors.waitForReflectTween.call(this, args.targetType, args.id);
+            }
+        });
+
+        PluginManager.registerCommand(script, 'setBattleReflect', function (args) {
+            args = convertVanillaArgs(args);
+            KCDev.Mirrors.setBattleReflect(args.enabled === true);
+        });
+
+        PluginManager.registerCommand(script, 'detachReflect', function (args) {
+            args = convertVanillaArgs(args);
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.detachReflect(target, Number(args.direction), Number(args.pattern), String(args.route || ''), args.repeat === true);
+        });
+
+        PluginManager.registerCommand(script, 'reattachReflect', function (args) {
+            args = convertVanillaArgs(args);
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.reattachReflect(target);
+        });
+
+        PluginManager.registerCommand(script, 'setReflectDelay', function (args) {
+            args = convertVanillaArgs(args);
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectDelay(target, Number(args.frames));
+        });
+
+        PluginManager.registerCommand(script, 'setReflectOnly', function (args) {
+            args = convertVanillaArgs(args);
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectOnly(target, args.enabled === true);
+        });
+
+        PluginManager.registerCommand(script, 'setReflectProfile', function (args) {
+            args = convertVanillaArgs(args);
+            const target = KCDev.Mirrors.getReflectTarget(args.targetType, args.id, this);
+            KCDev.Mirrors.setReflectProfile(target, String(args.profile || ''));
+        });
     }
 
 })();
@@ -1513,6 +3619,26 @@ KCDev.Mirrors.getCommonMvCommandArgs = function (commandName, args, interpretter
     };
 };
 
+KCDev.Mirrors.Game_Interpreter_updateWaitMode = Game_Interpreter.prototype.updateWaitMode;
+/**
+ * Aliased method: Game_Interpreter.prototype.updateWaitMode
+ * Adds a wait mode for reflection tweens
+ * @returns {boolean}
+ */
+Game_Interpreter.prototype.updateWaitMode = function () {
+    if (this._waitMode === 'reflectTween') {
+        const wait = this._reflectTweenWait || {};
+        const target = KCDev.Mirrors.getReflectTarget(wait.targetType, wait.id, this);
+        if (target && target.isReflectTweening()) {
+            return true;
+        }
+        this._waitMode = '';
+        this._reflectTweenWait = null;
+        return false;
+    }
+    return KCDev.Mirrors.Game_Interpreter_updateWaitMode.apply(this, arguments);
+};
+
 // MV Style Plugin Commands
 KCDev.Mirrors.Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
 /**
@@ -1539,7 +3665,7 @@ Game_Interpreter.prototype.pluginCommand = function (command, args) {
             if (!(arg0 in KCDev.Mirrors.wallModes)) {
                 console.error(`\
                 KC_Mirrors: ${command} received an invalid 1st argument: ${arg0}
-                Valid arguments: 'perspective', 'event'`);
+                Valid arguments: 'perspective', 'event', 'mirror'`);
                 break;
             }
 
@@ -1907,1379 +4033,5177 @@ Game_Interpreter.prototype.pluginCommand = function (command, args) {
             break;
         }
 
-        default:
-            break;
-    };
-};
+        case 'setMapReflectFilter': {
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, 2, 4)) {
+                break;
+            }
 
-/**
- * 
- * @param {number} angle 
- */
-KCDev.Mirrors.angleToRadians = function (angle) {
-    return angle * Math.PI / 180.0;
-};
+            /** @type {string} */
+            let arg0 = KCDev.Mirrors.tryParseParameter(args[0]);
+            arg0 = (typeof arg0 === 'string') ? arg0.toLowerCase() : arg0;
 
-/**
- * 
- * @param {number} radians 
- */
-KCDev.Mirrors.radiansToAngle = function (radians) {
-    return radians * 180.0 / Math.PI;
-};
+            if (arg0 !== 'wall' && arg0 !== 'floor' && arg0 !== 'all') {
+                console.error(`\
+                    KC_Mirrors: ${command} received an invalid 1st argument: ${arg0}
+                    Valid arguments: 'wall', 'floor', 'all'`);
+                break;
+            }
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START CUSTOM CLASS DEFINITIONS                                                                             //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+            const nums = args.slice(1).map(arg => KCDev.Mirrors.tryParseParameter(arg));
+            const badIndex = nums.findIndex(num => typeof num !== 'number');
 
-/**
- * Our reflection sprites are Sprite_Character objects with empty update functions. We remove the update function
- * to allow the "parent" character sprite to handle the this sprite's position, rotation, etc. We cannot just
- * parent this sprite to the parent, as seen with the bush opacity sprites, because we need to draw this sprite
- * behind the tileset layer.
- * 
- */
-KCDev.Mirrors.Sprite_Reflect = class Sprite_Reflect extends Sprite_Character {
+            if (badIndex >= 0) {
+                console.error(`\
+                    KC_Mirrors: ${command} received an invalid argument: ${nums[badIndex]}
+                    Please enter a number.`);
+                break;
+            }
 
-    initMembers() {
-        super.initMembers();
-        this._parentSprite = null;
-        this.z = 2 * KCDev.Mirrors.zValue;
-        this._isReflectionWall = false;
-    }
+            KCDev.Mirrors.setMapReflectFilter(arg0, nums[0], nums[1], nums[2]);
+            break;
+        }
 
-    /**
-     * 
-     * @param {Sprite_Character} parentSprite 
-     */
-    initialize(parentSprite) {
-        super.initialize(parentSprite._character);
-        this._parentSprite = parentSprite;
-    }
+        case 'setReflectTone':
+        case 'setMapReflectTone': {
+            const isMap = command === 'setMapReflectTone';
+            const numTargetArgs = isMap ? 0 : 2;
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, numTargetArgs + 4, numTargetArgs + 5)) {
+                break;
+            }
 
-    // we're letting the parent graphic handle this
-    update() { }
+            let target = $gameMap;
+            if (!isMap) {
+                const commonArgs = KCDev.Mirrors.getCommonMvCommandArgs(command, args, this);
+                if (!commonArgs) {
+                    break;
+                }
+                target = commonArgs.character;
+            }
 
-    refreshGraphic() {
+            const reflectType = String(KCDev.Mirrors.tryParseParameter(args[numTargetArgs])).toLowerCase();
+            if (reflectType !== 'floor' && reflectType !== 'wall' && reflectType !== 'all') {
+                console.error(`\
+                KC_Mirrors: ${command} received invalid argument ${reflectType}
+                Valid arguments: 'floor', 'wall', 'all'`);
+                break;
+            }
 
-        this.setCharacter(this._parentSprite._character);
+            const tone = args.slice(numTargetArgs + 1).map(arg => KCDev.Mirrors.tryParseParameter(arg));
+            const badIndex = tone.findIndex(num => typeof num !== 'number');
 
-        const character = this._character;
+            if (badIndex >= 0) {
+                console.error(`\
+                    KC_Mirrors: ${command} received an invalid argument: ${tone[badIndex]}
+                    Please enter a number.`);
+                break;
+            }
 
-        if (!character) return;
+            KCDev.Mirrors.setReflectTone(target, reflectType, tone[0], tone[1], tone[2], tone[3]);
+            break;
+        }
+
+        case 'setReflectBlend':
+        case 'setMapReflectBlend': {
+            const isMap = command === 'setMapReflectBlend';
+            const numTargetArgs = isMap ? 0 : 2;
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, numTargetArgs, numTargetArgs + 1)) {
+                break;
+            }
+
+            let target = $gameMap;
+            if (!isMap) {
+                const commonArgs = KCDev.Mirrors.getCommonMvCommandArgs(command, args, this);
+                if (!commonArgs) {
+                    break;
+                }
+                target = commonArgs.character;
+            }
+
+            let blendMode = '';
+            if (args.length > numTargetArgs) {
+                blendMode = String(KCDev.Mirrors.tryParseParameter(args[numTargetArgs])).toLowerCase();
+                if (!KCDev.Mirrors.blendModeNames.includes(blendMode)) {
+                    console.error(`\
+                    KC_Mirrors: ${command} received invalid argument ${blendMode}
+                    Valid arguments: ${KCDev.Mirrors.blendModeNames.join(', ')}`);
+                    break;
+                }
+            }
+
+            KCDev.Mirrors.setReflectBlend(target, blendMode);
+            break;
+        }
+
+        case 'tweenReflect': {
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, 5, 7)) {
+                break;
+            }
+
+            const commonArgs = KCDev.Mirrors.getCommonMvCommandArgs(command, args, this);
+            if (!commonArgs) {
+                break;
+            }
+
+            const property = KCDev.Mirrors.tryParseParameter(args[2]);
+            if (!(property in KCDev.Mirrors.tweenProperties)) {
+                console.error(`\
+                KC_Mirrors: ${command} received invalid 3rd argument ${property}
+                Valid arguments: ${Object.keys(KCDev.Mirrors.tweenProperties).join(', ')}`);
+                break;
+            }
+
+            const value = KCDev.Mirrors.tryParseParameter(args[3]);
+            const duration = KCDev.Mirrors.tryParseParameter(args[4]);
+            if (typeof value !== 'number' || typeof duration !== 'number') {
+                console.error(`\
+                KC_Mirrors: ${command} received an invalid value or duration: ${value}, ${duration}
+                Please enter a number.`);
+                break;
+            }
+
+            const easing = args.length > 5 ? KCDev.Mirrors.tryParseParameter(args[5]) : 'linear';
+            const wait = args.length > 6 ? KCDev.Mirrors.tryParseParameter(args[6]) : false;
+
+            KCDev.Mirrors.tweenReflect(commonArgs.character, { [property]: value }, duration, easing);
+            if (wait === true) {
+                KCDev.Mirrors.waitForReflectTween.call(this, commonArgs.type, commonArgs.id);
+            }
+            break;
+        }
+
+        case 'setBattleReflect': {
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, 1)) {
+                break;
+            }
+
+            const arg0 = KCDev.Mirrors.tryParseParameter(args[0]);
+
+            if (typeof arg0 !== 'boolean') {
+                console.error(`\
+                KC_Mirrors: ${command} received an invalid 1st argument: ${arg0}
+                Valid arguments: 'true', 'false'`);
+                break;
+            }
+
+            KCDev.Mirrors.setBattleReflect(arg0);
+            break;
+        }
+
+        case 'detachReflect': {
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, 2, 6)) {
+                break;
+            }
+
+            const commonArgs = KCDev.Mirrors.getCommonMvCommandArgs(command, args, this);
+            if (!commonArgs) {
+                break;
+            }
+
+            const direction = args.length > 2 ? KCDev.Mirrors.tryParseParameter(args[2]) : 0;
+            if (![0, 2, 4, 6, 8].includes(direction)) {
+                console.error(`\
+                KC_Mirrors: ${command} received invalid 3rd argument ${direction}
+                Valid arguments: 0, 2, 4, 6, 8`);
+                break;
+            }
+
+            const pattern = args.length > 3 ? KCDev.Mirrors.tryParseParameter(args[3]) : -1;
+            if (typeof pattern !== 'number') {
+                console.error(`\
+                KC_Mirrors: ${command} received an invalid 4th argument: ${pattern}
+                Please enter a number.`);
+                break;
+            }
+
+            const route = args.length > 4 ? args[4] : '';
+            const repeat = args.length > 5 ? KCDev.Mirrors.tryParseParameter(args[5]) : false;
+
+            KCDev.Mirrors.detachReflect(commonArgs.character, direction, pattern, route, repeat === true);
+            break;
+        }
+
+        case 'reattachReflect': {
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, 2)) {
+                break;
+            }
+
+            const commonArgs = KCDev.Mirrors.getCommonMvCommandArgs(command, args, this);
+            if (!commonArgs) {
+                break;
+            }
+
+            KCDev.Mirrors.reattachReflect(commonArgs.character);
+            break;
+        }
+
+        case 'setReflectDelay': {
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, 3)) {
+                break;
+            }
+
+            const commonArgs = KCDev.Mirrors.getCommonMvCommandArgs(command, args, this);
+            if (!commonArgs) {
+                break;
+            }
+
+            const frames = KCDev.Mirrors.tryParseParameter(args[2]);
+            if (typeof frames !== 'number') {
+                console.error(`\
+                KC_Mirrors: ${command} received an invalid 3rd argument: ${frames}
+                Please enter a number.`);
+                break;
+            }
+
+            KCDev.Mirrors.setReflectDelay(commonArgs.character, frames);
+            break;
+        }
+
+        case 'setReflectOnly': {
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, 3)) {
+                break;
+            }
+
+            const commonArgs = KCDev.Mirrors.getCommonMvCommandArgs(command, args, this);
+            if (!commonArgs) {
+                break;
+            }
+
+            const enabled = KCDev.Mirrors.tryParseParameter(args[2]);
+            if (typeof enabled !== 'boolean') {
+                console.error(`\
+                KC_Mirrors: ${command} received an invalid 3rd argument: ${enabled}
+                Valid arguments: 'true', 'false'`);
+                break;
+            }
+
+            KCDev.Mirrors.setReflectOnly(commonArgs.character, enabled);
+            break;
+        }
+
+        case 'setReflectProfile':
+        case 'setMapReflectProfile': {
+            const isMap = command === 'setMapReflectProfile';
+            const numTargetArgs = isMap ? 0 : 2;
+            if (!KCDev.Mirrors.isNumMvArgsInRange(command, args, numTargetArgs, numTargetArgs + 1)) {
+                break;
+            }
+
+            let target = $gameMap;
+            if (!isMap) {
+                const commonArgs = KCDev.Mirrors.getCommonMvCommandArgs(command, args, this);
+                if (!commonArgs) {
+                    break;
+                }
+                target = commonArgs.character;
+            }
+
+            KCDev.Mirrors.setReflectProfile(target, args.length > numTargetArgs ? args[numTargetArgs] : '');
+            break;
+        }
+
+        default:
+            break;
+    };
+};
+
+/**
+ * 
+ * @param {number} angle 
+ */
+KCDev.Mirrors.angleToRadians = function (angle) {
+    return angle * Math.PI / 180.0;
+};
+
+/**
+ * 
+ * @param {number} radians 
+ */
+KCDev.Mirrors.radiansToAngle = function (radians) {
+    return radians * 180.0 / Math.PI;
+};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START CUSTOM CLASS DEFINITIONS                                                                             //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Our reflection sprites are Sprite_Character objects with empty update functions. We remove the update function
+ * to allow the "parent" character sprite to handle the this sprite's position, rotation, etc. We cannot just
+ * parent this sprite to the parent, as seen with the bush opacity sprites, because we need to draw this sprite
+ * behind the tileset layer.
+ * 
+ */
+KCDev.Mirrors.Sprite_Reflect = class Sprite_Reflect extends Sprite_Character {
+
+    initMembers() {
+        super.initMembers();
+        this._parentSprite = null;
+        this.z = 2 * KCDev.Mirrors.zValue;
+        this._isReflectionWall = false;
+        this._wallDir = 0;
+    }
+
+    /**
+     * 
+     * @param {Sprite_Character} parentSprite 
+     */
+    initialize(parentSprite) {
+        super.initialize(parentSprite._character);
+        this._parentSprite = parentSprite;
+    }
+
+    // we're letting the parent graphic handle this
+    update() { }
+
+    refreshGraphic() {
+
+        this.setCharacter(this._parentSprite._character);
+
+        const character = this._character;
+
+        if (!character) return;
+
+        this._characterName = (character.reflectName() === '') ? character.characterName() : character.reflectName();
+        this._characterIndex = (character.reflectIndex() < 0) ? character.characterIndex() : character.reflectIndex();
+        this.bitmap = ImageManager.loadCharacter(this._characterName);
+        this._isBigCharacter = ImageManager.isBigCharacter(this._characterName);
+        this._tileId = 0;
+    }
+
+    /**
+     * Updates the built-in filters on this reflection
+     * @param {KCDev.Mirrors.ReflectFilterSettings} settings 
+     */
+    updateReflectFilters(settings) {
+        if (settings.wave && !this._reflectWaveFilter) {
+            this._reflectWaveFilter = new KCDev.Mirrors.Filter_ReflectWave();
+        }
+        if (settings.blur && !this._reflectBlurFilter) {
+            this._reflectBlurFilter = new PIXI.filters.BlurFilter();
+        }
+
+        if (this._reflectWaveFilter) {
+            this._reflectWaveFilter.setWave(settings.wave, settings.speed);
+            this.setReflectFilterActive(this._reflectWaveFilter, !!settings.wave);
+        }
+
+        if (this._reflectBlurFilter) {
+            this._reflectBlurFilter.blur = settings.blur;
+            this.setReflectFilterActive(this._reflectBlurFilter, !!settings.blur);
+        }
+    }
+
+    /**
+     * Adds or removes one of this plugin's filters without touching filters added by other plugins
+     * @param {PIXI.Filter} filter 
+     * @param {boolean} active 
+     */
+    setReflectFilterActive(filter, active) {
+        const filters = this.filters || [];
+        const index = filters.indexOf(filter);
+        if (active && index < 0) {
+            this.filters = filters.concat(filter);
+        }
+        else if (!active && index >= 0) {
+            const remaining = filters.filter(f => f !== filter);
+            this.filters = remaining.length > 0 ? remaining : null;
+        }
+    }
+
+    /**
+     * Side mirrors swap the character's frames instead of flipping the sprite, so balloons and
+     * animations drawn on them need to be flipped separately.
+     * @returns {boolean}
+     */
+    isEffectMirrored() {
+        return (this._wallDir === 4 || this._wallDir === 6) && !this._tileId;
+    }
+};
+
+/**
+ * Moves pixels left and right in a sine wave that scrolls vertically over time.
+ * Uses the legacy filter coordinates so that it behaves the same in MV and MZ.
+ */
+KCDev.Mirrors.Filter_ReflectWave = class Filter_ReflectWave extends PIXI.Filter {
+
+    constructor() {
+        const vertex = `
+attribute vec2 aVertexPosition;
+attribute vec2 aTextureCoord;
+uniform mat3 projectionMatrix;
+varying vec2 vTextureCoord;
+
+void main(void) {
+    gl_Position = vec4((projectionMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+    vTextureCoord = aTextureCoord;
+}`;
+        const fragment = `
+precision mediump float;
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform vec4 filterArea;
+uniform vec4 filterClamp;
+uniform float amplitude;
+uniform float waveLength;
+uniform float phase;
+
+void main(void) {
+    vec2 coord = vTextureCoord * filterArea.xy;
+    float screenY = coord.y + filterArea.w;
+    coord.x += amplitude * sin(screenY * 6.2831853 / waveLength - phase);
+    gl_FragColor = texture2D(uSampler, clamp(coord / filterArea.xy, filterClamp.xy, filterClamp.zw));
+}`;
+        // filterArea and filterClamp are filled in by both PIXI v4 and v5, so the texture coordinates are
+        // converted to pixels with filterArea instead of the v5-only inputSize uniform
+        super(vertex, fragment);
+        this.uniforms.amplitude = 0;
+        this.uniforms.waveLength = KCDev.Mirrors.waveLength;
+        this.uniforms.phase = 0;
+    }
+
+    /**
+     * 
+     * @param {number} amplitude Distance in pixels that the wave moves pixels
+     * @param {number} speed Number of ripples that pass every second
+     */
+    setWave(amplitude, speed) {
+        this.uniforms.amplitude = amplitude;
+        this.uniforms.phase = (Graphics.frameCount * speed * 2 * Math.PI / 60) % (2 * Math.PI);
+        this.padding = Math.ceil(amplitude);
+    }
+};
+
+/**
+ * Width and height, in tiles, of each bitmap that the upper layer tile reflections are drawn onto
+ * @type {number}
+ */
+KCDev.Mirrors.reflectTileChunkSize = 16;
+
+/**
+ * Draws upside down copies of the upper layer tiles that are close to reflective floor tiles. All of the
+ * tiles share one sprite so that they can be sorted into the tilemap with the same z value as the character
+ * reflections and cropped by a single mask. The tiles are drawn onto a few large bitmaps instead of having
+ * a sprite each. Each bitmap is only as large as the tiles drawn on it, and bitmaps that are off screen are
+ * hidden.
+ */
+KCDev.Mirrors.Sprite_ReflectTiles = class Sprite_ReflectTiles extends Sprite {
+
+    initialize() {
+        super.initialize();
+        this.z = 2 * KCDev.Mirrors.zValue;
+        // the tilemap sorts its children by these values
+        this.spriteId = -1;
+        this._refreshKey = '';
+        /** @type {PIXI.Graphics} */
+        this._reflectMask = null;
+    }
+
+    update() {
+        super.update();
+        const key = [$gameMap.mapId(), $gameMap.tilesetId(), $gameMap.reflectTileRange(), KCDev.Mirrors.cacheVersion].join();
+        // tiles are copied onto the chunks once, so the tileset has to be loaded first
+        if (this._refreshKey !== key && this.isTilesetReady()) {
+            this._refreshKey = key;
+            this.refresh();
+        }
+
+        this.visible = this.children.length > 0 && $gameMap.reflectFloor();
+        if (!this.visible) return;
+
+        this.x = Math.round($gameMap.adjustX(0) * $gameMap.tileWidth());
+        this.y = Math.round($gameMap.adjustY(0) * $gameMap.tileHeight());
+        this.updateChunkVisibility();
+        KCDev.Mirrors.updateTileMaskPosition(this._reflectMask, 0, 0);
+        this.updateReflectFilters($gameMap.reflectFloorFilter());
+    }
+
+    /**
+     * Returns true once every tileset image used by the upper layer is loaded
+     * @returns {boolean}
+     */
+    isTilesetReady() {
+        const tileset = $gameMap.tileset();
+        if (!tileset) return false;
+        const names = tileset.tilesetNames;
+        return [4, 5, 6, 7, 8].every(i => !names[i] || ImageManager.loadTileset(names[i]).isReady());
+    }
+
+    /**
+     * Hides the chunks that are outside of the screen
+     */
+    updateChunkVisibility() {
+        for (const chunk of this.children) {
+            const x = this.x + chunk.x;
+            const y = this.y + chunk.y;
+            chunk.visible = x + chunk.width > 0 && x < Graphics.width && y + chunk.height > 0 && y < Graphics.height;
+        }
+    }
+
+    /**
+     * Removes the chunks and frees their bitmaps
+     */
+    clearChunks() {
+        for (const chunk of this.removeChildren()) {
+            if (chunk.bitmap && chunk.bitmap.destroy) {
+                chunk.bitmap.destroy();
+            }
+        }
+    }
+
+    /**
+     * Creates a chunk and draws its tiles. The chunk's bitmap only covers the tiles drawn on it.
+     * @param {number[][]} tiles Each entry is the x coordinate, the y coordinate of the tile on the map, and
+     * the row the flipped tile is drawn at
+     */
+    addChunk(tiles) {
+        const tileW = $gameMap.tileWidth();
+        const tileH = $gameMap.tileHeight();
+        const xs = tiles.map(tile => tile[0]);
+        const rows = tiles.map(tile => tile[2]);
+        const minX = Math.min(...xs);
+        const minRow = Math.min(...rows);
+        const width = Math.max(...xs) - minX + 1;
+        const height = Math.max(...rows) - minRow + 1;
+
+        const chunk = new Sprite(new Bitmap(width * tileW, height * tileH));
+        chunk.x = minX * tileW;
+        chunk.y = minRow * tileH;
+        for (const [x, y, row] of tiles) {
+            for (const tileId of KCDev.Mirrors.upperTileIds(x, y)) {
+                KCDev.Mirrors.drawFlippedTile(chunk.bitmap, tileId, (x - minX) * tileW, (row - minRow) * tileH);
+            }
+        }
+        KCDev.Mirrors.updateBitmapTexture(chunk.bitmap);
+        this.addChild(chunk);
+    }
+
+    /**
+     * Redraws the tile reflections for the current map
+     */
+    refresh() {
+        this.clearChunks();
+        const range = $gameMap.reflectTileRange();
+
+        if (range <= 0 || !KCDev.Mirrors.hasFloorTiles() || $gameMap.isLoopHorizontal() || $gameMap.isLoopVertical()) {
+            return;
+        }
+
+        const width = $gameMap.width();
+        const height = $gameMap.height();
+        const size = KCDev.Mirrors.reflectTileChunkSize;
+
+        // mark every tile within range of a reflective floor tile
+        const /** @type {number[][]} */ floorTiles = [];
+        const /** @type {boolean[]} */ inRange = new Array(width * height).fill(false);
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                if (!KCDev.Mirrors.isFloorTile(x, y)) continue;
+                floorTiles.push([x, y]);
+                for (let i = Math.max(0, x - range); i <= Math.min(width - 1, x + range); i++) {
+                    for (let j = Math.max(0, y - range); j <= Math.min(height - 1, y + range); j++) {
+                        inRange[j * width + i] = true;
+                    }
+                }
+            }
+        }
+
+        // tiles stacked in a column are flipped around the bottom of the stack, like a character's feet
+        const /** @type {Map<string, number[][]>} */ chunks = new Map();
+        for (let x = 0; x < width; x++) {
+            let y = 0;
+            while (y < height) {
+                if (KCDev.Mirrors.upperTileIds(x, y).length === 0) {
+                    y++;
+                    continue;
+                }
+
+                const top = y;
+                while (y < height && KCDev.Mirrors.upperTileIds(x, y).length > 0) {
+                    y++;
+                }
+                const bottom = y - 1;
+
+                for (let j = top; j <= bottom; j++) {
+                    if (!inRange[j * width + x]) continue;
+                    const row = 2 * bottom - j + 1;
+                    const key = Math.floor(x / size) + ',' + Math.floor(row / size);
+                    if (!chunks.has(key)) {
+                        chunks.set(key, []);
+                    }
+                    chunks.get(key).push([x, j, row]);
+                }
+            }
+        }
+
+        chunks.forEach(tiles => this.addChunk(tiles));
+
+        if (!this._reflectMask) {
+            this._reflectMask = KCDev.Mirrors.createTileMask(this.z);
+            this.parent.addChild(this._reflectMask);
+            this.mask = this._reflectMask;
+        }
+        KCDev.Mirrors.drawTileMask(this._reflectMask, floorTiles, 0, 0);
+    }
+};
+
+KCDev.Mirrors.Sprite_ReflectTiles.prototype.updateReflectFilters = KCDev.Mirrors.Sprite_Reflect.prototype.updateReflectFilters;
+KCDev.Mirrors.Sprite_ReflectTiles.prototype.setReflectFilterActive = KCDev.Mirrors.Sprite_Reflect.prototype.setReflectFilterActive;
+
+/**
+ * Floor reflection of an actor or enemy in battle. Like Sprite_Reflect, this doesn't update itself; the
+ * battle spriteset updates it after the battler sprites so that it always shows the current frame.
+ */
+KCDev.Mirrors.Sprite_BattlerReflect = class Sprite_BattlerReflect extends Sprite {
+
+    /**
+     * 
+     * @param {Sprite_Battler} battlerSprite Sprite of the actor or enemy being reflected
+     */
+    initialize(battlerSprite) {
+        super.initialize();
+        this._battlerSprite = battlerSprite;
+        this.anchor.x = 0.5;
+        this.anchor.y = 1;
+    }
+
+    update() { }
+
+    /**
+     * Returns the sprite that draws the battler's image. Actors draw theirs on a child sprite.
+     * @returns {Sprite}
+     */
+    bodySprite() {
+        return this._battlerSprite._mainSprite || this._battlerSprite;
+    }
+
+    /**
+     * Gets one of the battler's reflection settings. Actors include the settings from their states,
+     * equipment, and class.
+     * @param {string} key Name of the battler's reflection getter, such as 'reflectFloor'
+     * @returns {any}
+     */
+    battlerValue(key) {
+        const battler = this._battlerSprite._battler;
+        return battler.reflectTraitValue ? battler.reflectTraitValue(key) : battler[key]();
+    }
+
+    /**
+     * Returns true if the battler should have a reflection right now
+     * @returns {boolean}
+     */
+    isReflectVisible() {
+        const sprite = this._battlerSprite;
+        const battler = sprite._battler;
+        const body = this.bodySprite();
+        if (!battler || !this.battlerValue('reflectFloor') || !$gameTroop.reflectFloor()) {
+            return false;
+        }
+        if (battler.isActor() && !$gameSystem.isSideView()) {
+            return false;
+        }
+        return sprite.visible && body.visible && !!body.bitmap;
+    }
+
+    /**
+     * Copies the battler's current frame and places it upside down below the battler's feet
+     */
+    updateReflection() {
+        this.visible = this.isReflectVisible();
+        if (!this.visible) return;
+
+        const sprite = this._battlerSprite;
+        const body = this.bodySprite();
+        const frame = body._frame;
+
+        this.bitmap = body.bitmap;
+        this.setFrame(frame.x, frame.y, frame.width, frame.height);
+        if (body._hue !== undefined && this.setHue) {
+            this.setHue(body._hue);
+        }
+
+        const isBody = body === sprite;
+        this.x = sprite.x + (isBody ? 0 : body.x) + $gameTroop.reflectFloorXOffset() + this.battlerValue('reflectFloorXOffset');
+        this.y = sprite.y + (isBody ? 0 : body.y) + $gameTroop.reflectFloorYOffset() + this.battlerValue('reflectFloorYOffset');
+        this.scale.x = sprite.scale.x * (isBody ? 1 : body.scale.x);
+        this.scale.y = -sprite.scale.y * (isBody ? 1 : body.scale.y);
+
+        // effects like collapsing fade the battler, so its alpha is always applied
+        const battlerOpacity = this.battlerValue('reflectFloorOpacity');
+        const o = battlerOpacity === undefined ? $gameTroop.reflectFloorOpacity() : battlerOpacity;
+        this.opacity = (o === undefined ? 255 : o) * sprite.alpha * (isBody ? 1 : body.alpha);
+
+        this.setBlendColor(body.getBlendColor());
+        this.setColorTone(KCDev.Mirrors.addTones(body.getColorTone(), null, this.battlerValue('reflectFloorTone')));
+        this.blendMode = KCDev.Mirrors.getBlendMode(this.battlerValue('reflectBlendMode'), body.blendMode);
+    }
+};
+
+/**
+ * Wall reflection for mirrors in true mirror mode. The part of the tilemap in front of the mirror is rendered
+ * into a texture every frame, which is then drawn flipped on top of the mirror's tiles.
+ */
+KCDev.Mirrors.Sprite_MirrorScene = class Sprite_MirrorScene extends PIXI.Sprite {
+
+    /**
+     * 
+     * @param {KCDev.Mirrors.MirrorArea} area Mirror that this sprite is drawn on
+     */
+    constructor(area) {
+        const width = (area.maxX - area.minX + 1) * $gameMap.tileWidth();
+        const height = (area.maxY - area.minY + 1) * $gameMap.tileHeight();
+        super(PIXI.RenderTexture.create(width, height));
+        this._area = area;
+        this._sourceTransform = new PIXI.Matrix();
+        /** @type {PIXI.Graphics} */
+        this._reflectMask = null;
+        // the tilemap sorts its children by these values
+        this.z = 2 * KCDev.Mirrors.zValue;
+        this.spriteId = -1;
+
+        if (area.wallDir === 4 || area.wallDir === 6) {
+            this.scale.x = -1;
+        }
+        else {
+            this.scale.y = -1;
+        }
+    }
+
+    /**
+     * Moves this sprite onto its mirror and finds the part of the screen that it reflects.
+     * Hides the sprite if it doesn't need to be drawn this frame.
+     */
+    updatePlacement() {
+        const area = this._area;
+        const width = this.texture.width;
+        const height = this.texture.height;
+        const left = Math.round($gameMap.adjustX(area.minX) * $gameMap.tileWidth());
+        const top = Math.round($gameMap.adjustY(area.minY) * $gameMap.tileHeight());
+        const onScreen = left < Graphics.width && top < Graphics.height && left + width > 0 && top + height > 0;
+
+        this.visible = onScreen && $gameMap.reflectWall();
+        if (!this.visible) return;
+
+        const settings = KCDev.Mirrors.getAreaSettings(area);
+        let sourceX = left;
+        let sourceY = top;
+
+        switch (area.wallDir) {
+            case 2:
+                sourceY -= height;
+                break;
+
+            case 4:
+                sourceX += width;
+                break;
+
+            case 6:
+                sourceX -= width;
+                break;
+
+            default:
+                sourceY += height;
+                break;
+        }
+
+        this._sourceTransform.tx = -sourceX;
+        this._sourceTransform.ty = -sourceY;
+
+        // flipped sprites are drawn from the opposite edge
+        this.x = (this.scale.x < 0 ? left + width : left) + $gameMap.reflectWallXOffset() + settings.xOffset;
+        this.y = (this.scale.y < 0 ? top + height : top) + $gameMap.reflectWallYOffset() + settings.yOffset;
+        this.alpha = settings.opacity.clamp(0, 1);
+
+        this.updateMask();
+        this.updateReflectFilters($gameMap.reflectWallFilter());
+    }
+
+    /**
+     * Crops this sprite to the mirror's tiles if wall reflections are clipped
+     */
+    updateMask() {
+        if (!KCDev.Mirrors.clipWallReflections) {
+            this.mask = null;
+            return;
+        }
+
+        const area = this._area;
+        if (!this._reflectMask) {
+            this._reflectMask = KCDev.Mirrors.createTileMask(this.z);
+            KCDev.Mirrors.drawTileMask(this._reflectMask, area.tiles, area.minX, area.minY);
+            this.parent.addChild(this._reflectMask);
+        }
+
+        KCDev.Mirrors.updateTileMaskPosition(this._reflectMask, area.minX, area.minY);
+        this.mask = this._reflectMask;
+    }
+
+    /**
+     * Renders the part of the tilemap in front of the mirror into this sprite's texture
+     * @param {Tilemap} tilemap 
+     */
+    renderScene(tilemap) {
+        KCDev.Mirrors.getRenderer().render(tilemap, this.texture, true, this._sourceTransform);
+    }
+
+    /**
+     * Removes this sprite and its mask from the tilemap and frees the texture
+     */
+    remove() {
+        if (this._reflectMask && this._reflectMask.parent) {
+            this._reflectMask.parent.removeChild(this._reflectMask);
+        }
+        if (this.parent) {
+            this.parent.removeChild(this);
+        }
+        this.destroy(true);
+    }
+};
+
+KCDev.Mirrors.Sprite_MirrorScene.prototype.updateReflectFilters = KCDev.Mirrors.Sprite_Reflect.prototype.updateReflectFilters;
+KCDev.Mirrors.Sprite_MirrorScene.prototype.setReflectFilterActive = KCDev.Mirrors.Sprite_Reflect.prototype.setReflectFilterActive;
+
+/**
+ * Returns the renderer used to draw the game
+ * @returns {PIXI.Renderer}
+ */
+KCDev.Mirrors.getRenderer = function () {
+    return Utils.RPGMAKER_NAME === 'MZ' ? Graphics.app.renderer : Graphics._renderer;
+};
+
+/**
+ * Returns the settings of the region a mirror area is painted with
+ * @param {KCDev.Mirrors.MirrorArea} area 
+ * @returns {KCDev.Mirrors.RegionSettings}
+ */
+KCDev.Mirrors.getAreaSettings = function (area) {
+    return KCDev.Mirrors.getRegionSettings(area.regionId);
+};
+
+/**
+ * Returns the settings of the mirror containing tile (x,y). Tiles that are not part of a cached mirror use
+ * the settings of their own region.
+ * @param {number} wallDir Direction of the mirror (8 is above, 2 is below, 4 is left, 6 is right)
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {KCDev.Mirrors.RegionSettings}
+ */
+KCDev.Mirrors.getWallTileSettings = function (wallDir, x, y) {
+    const area = KCDev.Mirrors.getMirrorArea(wallDir, x, y);
+    return area ? KCDev.Mirrors.getAreaSettings(area) : KCDev.Mirrors.getRegionSettings($gameMap.regionId(x, y));
+};
+
+/**
+ * Returns the wall reflection mode used by a mirror area
+ * @param {KCDev.Mirrors.MirrorArea} area 
+ * @returns {number}
+ */
+KCDev.Mirrors.getAreaWallMode = function (area) {
+    const mode = KCDev.Mirrors.getAreaSettings(area).mode;
+    return mode === undefined ? $gameMap.reflectMode() : mode;
+};
+
+/**
+ * Returns every mirror area on the current map
+ * @returns {KCDev.Mirrors.MirrorArea[]}
+ */
+KCDev.Mirrors.getMirrorAreaList = function () {
+    KCDev.Mirrors.checkCurrentMapCache();
+    const /** @type {KCDev.Mirrors.MirrorArea[]} */ areas = [];
+    for (const areaMap of KCDev.Mirrors.mirrorAreas.values()) {
+        // every tile of an area points to the same object
+        for (const area of new Set(areaMap.values())) {
+            areas.push(area);
+        }
+    }
+    return areas;
+};
+
+/**
+ * Returns the IDs of the normal (non-autotile) tiles on the upper layers of tile (x,y)
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {number[]}
+ */
+KCDev.Mirrors.upperTileIds = function (x, y) {
+    const tileIds = [];
+    for (let z = 2; z <= 3; z++) {
+        const tileId = $gameMap.tileId(x, y, z);
+        if (tileId > 0 && !Tilemap.isAutotile(tileId)) {
+            tileIds.push(tileId);
+        }
+    }
+    return tileIds;
+};
+
+/**
+ * Draws a single normal tile from the current map's tileset upside down onto a bitmap.
+ * Call KCDev.Mirrors.updateBitmapTexture once all of the tiles are drawn.
+ * @param {Bitmap} bitmap Bitmap to draw on
+ * @param {number} tileId 
+ * @param {number} dx x coordinate of the top left corner of the tile on the bitmap
+ * @param {number} dy y coordinate of the top left corner of the tile on the bitmap
+ */
+KCDev.Mirrors.drawFlippedTile = function (bitmap, tileId, dx, dy) {
+    const tileW = $gameMap.tileWidth();
+    const tileH = $gameMap.tileHeight();
+    // same layout as Tilemap._drawNormalTile
+    const setNumber = Tilemap.isTileA5(tileId) ? 4 : 5 + Math.floor(tileId / 256);
+    const sx = (Math.floor(tileId / 128) % 2 * 8 + tileId % 8) * tileW;
+    const sy = (Math.floor(tileId % 256 / 8) % 16) * tileH;
+    const source = ImageManager.loadTileset($gameMap.tileset().tilesetNames[setNumber]);
+    const context = bitmap.context;
+    context.save();
+    context.translate(dx, dy + tileH);
+    context.scale(1, -1);
+    context.drawImage(source._canvas || source._image, sx, sy, tileW, tileH, 0, 0, tileW, tileH);
+    context.restore();
+};
+
+/**
+ * Uploads changes made directly to a bitmap's canvas
+ * @param {Bitmap} bitmap 
+ */
+KCDev.Mirrors.updateBitmapTexture = function (bitmap) {
+    if (Utils.RPGMAKER_NAME === 'MZ') {
+        bitmap.baseTexture.update();
+    }
+    else {
+        bitmap._setDirty();
+    }
+};
+
+/**
+ * Copy of an MV style animation that is drawn as a child of a reflection sprite. Being a child means
+ * that it is flipped, rotated, scaled, and cropped along with the reflection.
+ */
+KCDev.Mirrors.Sprite_ReflectAnimationMV = class Sprite_ReflectAnimationMV extends (Utils.RPGMAKER_NAME === 'MZ' ? Sprite_AnimationMV : Sprite_Animation) {
+
+    /**
+     * 
+     * @param {KCDev.Mirrors.Sprite_Reflect} r Reflection sprite this animation is drawn on
+     * @param {object} animation 
+     * @param {boolean} mirror 
+     * @param {number} delay 
+     */
+    setupReflection(r, animation, mirror, delay) {
+        if (Utils.RPGMAKER_NAME === 'MZ') {
+            this.setup([r], animation, mirror, delay);
+        }
+        else {
+            this.setup(r, animation, mirror, delay);
+        }
+    }
+
+    // position is relative to the reflection sprite
+    updatePosition() {
+        const r = this.parent;
+        if (!r) return;
+        const position = this._animation.position;
+        this.x = 0;
+        this.y = (position === 0) ? -r.patternHeight() : (position === 1) ? -r.patternHeight() / 2 : 0;
+    }
+
+    // the character's own animation already plays the sound effects and flashes the screen
+    processTimingData(timing) {
+        if (timing.flashScope === 1) {
+            this.startFlash(timing.flashColor, timing.flashDuration * this._rate);
+        }
+    }
+};
+
+if (Utils.RPGMAKER_NAME === 'MZ') {
+    /**
+     * Copy of an Effekseer animation that is drawn on a reflection sprite. Effekseer draws outside of
+     * PIXI, so the reflection's flips and rotation are applied through the projection matrix instead.
+     */
+    KCDev.Mirrors.Sprite_ReflectAnimation = class Sprite_ReflectAnimation extends Sprite_Animation {
+
+        /**
+         * 
+         * @param {KCDev.Mirrors.Sprite_Reflect} r Reflection sprite this animation is drawn on
+         * @param {object} animation 
+         * @param {boolean} mirror 
+         * @param {number} delay 
+         */
+        setupReflection(r, animation, mirror, delay) {
+            this.targetObjects = [];
+            this.setup([r], animation, mirror, delay, null);
+        }
+
+        // the character's own animation already plays the sound effects
+        processSoundTimings() { }
+
+        setProjectionMatrix(renderer) {
+            /** @type {KCDev.Mirrors.Sprite_Reflect} */
+            const r = this._targets[0];
+            const parent = r._parentSprite;
+            const flipX = (Math.sign(r.scale.x * parent.scale.x) || 1) * (r.isEffectMirrored() ? -1 : 1);
+            const flipY = Math.sign(r.scale.y * parent.scale.y) || 1;
+            const rotation = r.rotation - parent.rotation;
+            const cos = Math.cos(rotation);
+            const sin = Math.sin(rotation);
+            const x = (this._mirror ? -1 : 1) * flipX;
+            const y = -1 * flipY;
+            const p = -(this._viewportSize / renderer.view.height);
+            // same as the base matrix, but rotated and flipped like the reflection
+            Graphics.effekseer.setProjectionMatrix([
+                cos * x, -sin * x, 0, 0,
+                sin * y, cos * y, 0, 0,
+                0, 0, 1, p,
+                0, 0, 0, 1,
+            ]);
+        }
+    };
+}
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END CUSTOM CLASS DEFINITIONS                                                                               //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START EVENT COMMAND DEFINITIONS                                                                            //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Set reflection properties of a reflectable object
+ * @param {Game_Character | Game_Actor} char Reference to the character to be modified
+ * @param {string} reflectChar File name of the new graphic to use as a reflection.
+ * @param {number} reflectIndex Index of the character in the file to use as a reflection.
+ * @param {boolean} enableFloor If true, enable floor reflections for the target actor.
+ * @param {boolean} enableWall If true, enable wall reflections for the target actor.
+ * @param {number | undefined} floorOpacity Set floor reflection opacity
+ * @param {number | undefined} wallOpacity Set wall reflection opacity
+ * @param {number | undefined} floorXOffset x offset of the floor reflection
+ * @param {number | undefined} floorYOffset y offset of the floor reflection
+ * @param {number | undefined} wallXOffset x offset of the wall reflection
+ * @param {number | undefined} wallYOffset y offset of the wall reflection
+ * @param {number | undefined} floorAngle Set floor reflection angle
+ * @param {number | undefined} floorAngle Set wall reflection angle
+ */
+KCDev.Mirrors.setCharacterReflect = function (char, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle) {
+    if (char) {
+        char.setReflectImage(reflectChar, reflectIndex);
+        char.reflectFloorToggle(enableFloor);
+        char.reflectWallToggle(enableWall);
+        char.setReflectFloorOpacity(floorOpacity);
+        char.setReflectWallOpacity(wallOpacity);
+        char.setReflectFloorXOffset(floorXOffset);
+        char.setReflectFloorYOffset(floorYOffset);
+        char.setReflectWallXOffset(wallXOffset);
+        char.setReflectWallYOffset(wallYOffset);
+        char.setReflectFloorAngle(floorAngle);
+        char.setReflectWallAngle(wallAngle);
+    }
+};
+
+/**
+ * 
+ * @param {Game_Character | Game_Actor} char 
+ */
+KCDev.Mirrors.resetCharacterReflectImage = function (char) {
+    if (char) {
+        char.setReflectImage();
+    }
+};
+
+/**
+ * Set reflection properties of an event on the map.
+ * @param {number} eventId ID of the event to change the reflection properties of.
+ * @param {string} reflectChar File name of the new graphic to use as a reflection.
+ * @param {number} reflectIndex Index of the character in the file to use as a reflection.
+ * @param {boolean} enableFloor If true, enable floor reflections for the target actor.
+ * @param {boolean} enableWall If true, enable wall reflections for the target actor.
+ * @param {number | undefined} floorOpacity Set floor reflection opacity
+ * @param {number | undefined} wallOpacity Set wall reflection opacity
+ * @param {number | undefined} floorXOffset x offset of the floor reflection
+ * @param {number | undefined} floorYOffset y offset of the floor reflection
+ * @param {number | undefined} wallXOffset x offset of the wall reflection
+ * @param {number | undefined} wallYOffset y offset of the wall reflection
+ * @param {number | undefined} floorAngle Set floor reflection angle
+ * @param {number | undefined} floorAngle Set wall reflection angle
+ */
+KCDev.Mirrors.setEventReflect = function (eventId, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle) {
+    const event = $gameMap.event(eventId === 0 ? this.eventId() : eventId);
+    if (event) {
+        KCDev.Mirrors.setCharacterReflect(event, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle);
+    }
+
+};
+
+/**
+ * Makes the event's reflection the same as the event graphic.
+ * @param {number} eventId Event to target
+ */
+KCDev.Mirrors.resetEventReflectImage = function (eventId) {
+    const event = $gameMap.event(eventId === 0 ? this.eventId() : eventId);
+    if (event) {
+        KCDev.Mirrors.resetCharacterReflectImage(event);
+    }
+
+};
+
+/**
+ * Takes an actor ID and converts 0 to the party leader's actor ID and negative numbers to
+ * the follower actors' IDs.
+ * @param {number} actorId ID of the actor or party member index
+ * @returns {number}
+ */
+KCDev.Mirrors.getRealActorId = function (actorId) {
+    if (actorId < 1) {
+        if (actorId === 0) {
+            if ($gameParty.size() > 0) {
+                return $gameParty.leader().actorId();
+            }
+            else return -1;
+        }
+        else {
+            const followers = $gamePlayer.followers();
+            const follower = followers.follower(Math.abs(actorId) - 1);
+            if (follower && follower.actor()) {
+                return follower.actor().actorId();
+            }
+            else {
+                return -1;
+            }
+        }
+    }
+    return actorId;
+};
+
+/**
+ * Set reflection properties of an actor.
+ * @param {number} actorId ID the actor to target.
+ * @param {string} reflectChar File name of the new graphic to use as a reflection.
+ * @param {number} reflectIndex Index of the character in the file to use as a reflection.
+ * @param {boolean} enableFloor If true, enable floor reflections for the target actor.
+ * @param {boolean} enableWall If true, enable wall reflections for the target actor.
+ * @param {number | undefined} floorOpacity Set floor reflection opacity
+ * @param {number | undefined} wallOpacity Set wall reflection opacity
+ * @param {number | undefined} floorXOffset x offset of the floor reflection
+ * @param {number | undefined} floorYOffset y offset of the floor reflection
+ * @param {number | undefined} wallXOffset x offset of the wall reflection
+ * @param {number | undefined} wallYOffset y offset of the wall reflection
+ * @param {number | undefined} floorAngle Set floor reflection angle
+ * @param {number | undefined} floorAngle Set wall reflection angle
+ */
+KCDev.Mirrors.setActorReflect = function (actorId, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle) {
+    const realId = KCDev.Mirrors.getRealActorId(actorId);
+    if (realId < 0) return;
+    const actor = $gameActors.actor(realId);
+    if (actor) {
+        KCDev.Mirrors.setCharacterReflect(actor, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle);
+    }
+};
+
+/**
+ * Sets the target actor's reflection graphic to be the same as their character graphic.
+ * @param {number} actorId Targetted actor's ID
+ * @returns {void}
+ */
+KCDev.Mirrors.resetActorReflectImage = function (actorId) {
+    const realId = KCDev.Mirrors.getRealActorId(actorId);
+    if (realId < 0) return;
+    const actor = $gameActors.actor(realId);
+    if (actor) {
+        KCDev.Mirrors.resetCharacterReflectImage(actor);
+    }
+};
+
+/**
+ * 
+ * @param {'boat' | 'ship' | 'airship'} vehicleName 
+ */
+KCDev.Mirrors.getVehicleCharacter = function (vehicleName) {
+    switch (vehicleName) {
+        case 'boat':
+            return $gameMap.boat();
+            break;
+
+        case 'airship':
+            return $gameMap.airship();
+            break;
+
+        case 'ship':
+            return $gameMap.ship();
+            break;
+
+        default:
+            break;
+    }
+
+    return null;
+};
+
+/**
+ * Set reflection properties of an actor.
+ * @param {'boat' | 'ship' | 'airship'} vehicleName Name of the vehicle to target.
+ * @param {string} reflectChar File name of the new graphic to use as a reflection.
+ * @param {number} reflectIndex Index of the character in the file to use as a reflection.
+ * @param {boolean} enableFloor If true, enable floor reflections for the target actor.
+ * @param {boolean} enableWall If true, enable wall reflections for the target actor.
+ * @param {number | undefined} floorOpacity Set floor reflection opacity
+ * @param {number | undefined} wallOpacity Set wall reflection opacity
+ * @param {number | undefined} floorXOffset x offset of the floor reflection
+ * @param {number | undefined} floorYOffset y offset of the floor reflection
+ * @param {number | undefined} wallXOffset x offset of the wall reflection
+ * @param {number | undefined} wallYOffset y offset of the wall reflection
+ * @param {number | undefined} floorAngle Set floor reflection angle
+ * @param {number | undefined} floorAngle Set wall reflection angle
+ */
+KCDev.Mirrors.setVehicleReflect = function (vehicleName, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle) {
+    const vehicle = KCDev.Mirrors.getVehicleCharacter(vehicleName);
+
+    if (vehicle) {
+        KCDev.Mirrors.setCharacterReflect(vehicle, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle);
+    }
+
+};
+
+/**
+ * Sets the target vehicle's reflection graphic to be the same as their character graphic.
+ * @param {string} vehicleName Targetted actor's ID
+ * @returns {void}
+ */
+KCDev.Mirrors.resetVehicleReflectImage = function (vehicleName) {
+    const vehicle = KCDev.Mirrors.getVehicleCharacter(vehicleName);
+
+    if (vehicle) {
+        KCDev.Mirrors.resetCharacterReflectImage(vehicle);
+    }
+};
+
+/**
+ * Sets the wall reflection variable type to a new value.
+ * @param {string} mode New wall reflection mode.
+ */
+KCDev.Mirrors.setWallReflectMode = function (mode = KCDev.Mirrors.wallReflectType) {
+    if (KCDev.Mirrors.wallReflectVar) {
+        $gameVariables.setValue(KCDev.Mirrors.wallReflectVar, mode);
+    }
+};
+
+/**
+ * Get current wall reflection mode in the plugin config
+ * This can be overwritten by map settings
+ * @returns {number}
+ */
+KCDev.Mirrors.getWallReflectMode = function () {
+    if (KCDev.Mirrors.wallReflectVar) {
+        const val = $gameVariables.value(KCDev.Mirrors.wallReflectVar);
+        if (KCDev.Mirrors.wallModes[val] !== undefined) {
+            return KCDev.Mirrors.wallModes[val];
+        }
+    }
+    return KCDev.Mirrors.wallModes[KCDev.Mirrors.wallReflectType];
+};
+
+/**
+ * Returns a list of arguments to set the target's reflection properties and substitutes values that are
+ * unchanged for the current values.
+ * @param {Game_Character} char Character that is being updated
+ * @param {KCDev.Mirrors.GeneralCommandArgs} args Plugin command arguments
+ * @returns {Array<any>}
+ */
+KCDev.Mirrors.convertChangeReflectArgs = function (char, args) {
+    if (!char) {
+        return null;
+    }
+
+    // backwards compatibility
+    for (const key in args) {
+        if (args[key] === 'unchanged') {
+            args[key] = '';
+        }
+    }
+
+    const id = args.id;
+    const character = args.character === '' ? char._reflectName : args.character;
+    const index = args.index === '' ? char._reflectIndex : args.index;
+    const reflectFloor = args.reflectFloor === '' ? char._reflectFloor : args.reflectFloor;
+    const reflectWall = args.reflectWall === '' ? char._reflectWall : args.reflectWall;
+    const reflectFloorOpacity = typeof (args.reflectFloorOpacity) !== 'number' ? char._reflectFloorOpacity : (args.reflectFloorOpacity === -1 ? undefined : args.reflectFloorOpacity);
+    const reflectWallOpacity = typeof (args.reflectWallOpacity) !== 'number' ? char._reflectWallOpacity : (args.reflectWallOpacity === -1 ? undefined : args.reflectWallOpacity);
+    const reflectFloorXOff = typeof (args.reflectFloorXOffset) !== 'number' ? char._reflectFloorXOff : args.reflectFloorXOffset;
+    const reflectFloorYOff = typeof (args.reflectFloorYOffset) !== 'number' ? char._reflectFloorYOff : args.reflectFloorYOffset;
+    const reflectWallXOff = typeof (args.reflectWallXOffset) !== 'number' ? char._reflectWallXOff : args.reflectWallXOffset;
+    const reflectWallYOff = typeof (args.reflectWallYOffset) !== 'number' ? char._reflectWallYOff : args.reflectWallYOffset;
+    const reflectFloorAngle = typeof (args.reflectFloorAngle) !== 'number' ? char._reflectFloorAngle : args.reflectFloorAngle;
+    const reflectWallAngle = typeof (args.reflectWallAngle) !== 'number' ? char._reflectWallAngle : args.reflectWallAngle;
+    return [id, character.trim(), index, reflectFloor, reflectWall, reflectFloorOpacity, reflectWallOpacity, reflectFloorXOff, reflectFloorYOff, reflectWallXOff, reflectWallYOff, reflectFloorAngle, reflectWallAngle];
+};
+
+/**
+ * Overrides map settings. These params are usually controlled through note tags
+ * @param {boolean | string} floorEnabled If false globally disable floor reflections for current map
+ * @param {boolean | string} wallEnabled If false globally disable wall reflections for current map
+ * @param {string} mode Reflection mode
+ * @param {number | string} floorAngle
+ * @param {number | string} wallAngle
+ */
+KCDev.Mirrors.overrideMapSettings = function (floorEnabled = '', wallEnabled = '', mode = '', floorAngle = '', wallAngle = '') {
+
+    // backwards compatibility
+    if (floorEnabled === 'unchanged') {
+        floorEnabled = '';
+    }
+    if (wallEnabled === 'unchanged') {
+        wallEnabled = '';
+    }
+    if (mode === 'unchanged') {
+        mode = '';
+    }
+
+
+    const refType = 'Reflect_Type';
+    const metaRefType = KCDev.Mirrors.findMetaSimple(refType, $dataMap);
+    const reflect = (typeof metaRefType === 'string') ? metaRefType.trim().toUpperCase() : undefined;
+    if (floorEnabled !== '') $gameMap.setReflectFloor(floorEnabled === 'map notes' ? reflect === 'FLOOR' || reflect === 'ALL' || reflect === undefined : floorEnabled === 'allow');
+    if (wallEnabled !== '') $gameMap.setReflectWall(wallEnabled === 'map notes' ? reflect === 'WALL' || reflect === 'ALL' || reflect === undefined : wallEnabled === 'allow');
+
+    if (mode !== '') {
+        if (mode === 'map notes') {
+            const refMode = 'Reflect_Mode';
+            const metaRefMode = KCDev.Mirrors.findMetaSimple(refMode, $dataMap);
+            mode = (typeof metaRefMode === 'string') ? metaRefMode.toLowerCase().trim() : undefined;
+        }
+        switch (mode) {
+            case 'perspective':
+                $gameMap.setReflectMode(KCDev.Mirrors.wallModes.perspective);
+                break;
+
+            case 'event':
+                $gameMap.setReflectMode(KCDev.Mirrors.wallModes.event);
+                break;
+
+            case 'mirror':
+                $gameMap.setReflectMode(KCDev.Mirrors.wallModes.mirror);
+                break;
+
+            default:
+                $gameMap.setReflectMode(KCDev.Mirrors.getWallReflectMode());
+                break;
+        }
+    }
+
+    if (typeof floorAngle === 'number') {
+        $gameMap.setReflectFloorAngle(floorAngle);
+    }
+
+    if (typeof wallAngle === 'number') {
+        $gameMap.setReflectWallAngle(wallAngle);
+    }
+};
+
+/**
+ * Changes the built-in filters applied to reflections on the current map
+ * @param {string} reflectType Reflections to change ('floor', 'wall', or 'all')
+ * @param {number} wave Distance in pixels the wave distortion moves the reflection
+ * @param {number} blur Strength of the blur
+ * @param {number} speed Number of ripples that pass every second
+ */
+KCDev.Mirrors.setMapReflectFilter = function (reflectType = 'all', wave = 0, blur = 0, speed = 1) {
+    if (reflectType === 'floor' || reflectType === 'all') {
+        $gameMap.setReflectFloorFilter(wave, blur, speed);
+    }
+    if (reflectType === 'wall' || reflectType === 'all') {
+        $gameMap.setReflectWallFilter(wave, blur, speed);
+    }
+};
+
+/**
+ * Finds the object whose reflection settings a plugin command should change
+ * @param {string} targetType 'event', 'actor', 'vehicle', or 'map'
+ * @param {number | string} id Event ID, actor ID, or vehicle name. Ignored for the map.
+ * @param {Game_Interpreter} interpreter Interpreter running the command
+ * @returns {Game_CharacterBase | Game_Actor | Game_Map | null}
+ */
+KCDev.Mirrors.getReflectTarget = function (targetType, id, interpreter) {
+    switch (targetType) {
+        case 'event':
+            return $gameMap.event(Number(id) || interpreter.eventId()) || null;
+
+        case 'actor':
+            return $gameActors.actor(KCDev.Mirrors.getRealActorId(Number(id)));
+
+        case 'vehicle':
+            return KCDev.Mirrors.getVehicleCharacter(id);
+
+        case 'map':
+            return $gameMap;
+
+        default:
+            return null;
+    }
+};
+
+/**
+ * Sets the color tone of a character's or the map's reflections
+ * @param {Game_CharacterBase | Game_Actor | Game_Map} target Object to change
+ * @param {string} reflectType Reflections to change ('floor', 'wall', or 'all')
+ * @param {number} red 
+ * @param {number} green 
+ * @param {number} blue 
+ * @param {number} gray 
+ */
+KCDev.Mirrors.setReflectTone = function (target, reflectType = 'all', red = 0, green = 0, blue = 0, gray = 0) {
+    if (!target) return;
+    const tone = [red || 0, green || 0, blue || 0, gray || 0];
+    if (reflectType === 'floor' || reflectType === 'all') {
+        target.setReflectFloorTone(tone);
+    }
+    if (reflectType === 'wall' || reflectType === 'all') {
+        target.setReflectWallTone(tone.clone());
+    }
+};
+
+/**
+ * Sets the blend mode of a character's or the map's reflections
+ * @param {Game_CharacterBase | Game_Actor | Game_Map} target Object to change
+ * @param {string} blendMode 'normal', 'add', 'multiply', 'screen', or an empty string to stop overriding it
+ */
+KCDev.Mirrors.setReflectBlend = function (target, blendMode = '') {
+    if (target) {
+        target.setReflectBlendMode(blendMode);
+    }
+};
+
+/**
+ * Starts tweening a character's reflection settings. Properties that are not numbers are left unchanged.
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor to change
+ * @param {Object<string, number | string>} values New values keyed by tween property name
+ * @param {number} duration Length of the tween in frames
+ * @param {string} easing 'linear', 'easeIn', 'easeOut', or 'easeInOut'
+ */
+KCDev.Mirrors.tweenReflect = function (target, values, duration = 60, easing = 'linear') {
+    if (!target) return;
+    for (const property in KCDev.Mirrors.tweenProperties) {
+        if (typeof values[property] === 'number') {
+            target.startReflectTween(property, values[property], duration, easing);
+        }
+    }
+};
+
+/**
+ * Makes an interpreter wait until a character's reflection tweens are finished
+ * @this {Game_Interpreter}
+ * @param {string} targetType 'event', 'actor', or 'vehicle'
+ * @param {number | string} id Event ID, actor ID, or vehicle name
+ */
+KCDev.Mirrors.waitForReflectTween = function (targetType, id) {
+    this._reflectTweenWait = { targetType: targetType, id: id };
+    this.setWaitMode('reflectTween');
+};
+
+/**
+ * Enables or disables floor reflections in battle
+ * @param {boolean} enabled 
+ */
+KCDev.Mirrors.setBattleReflect = function (enabled) {
+    $gameSystem.setReflectBattle(!!enabled);
+    if ($gameParty.inBattle()) {
+        $gameTroop.setReflectFloor(!!enabled);
+    }
+};
+
+/**
+ * @typedef {Object} KCDev.Mirrors.ReflectRouteCommand Command run by a detached reflection
+ * @property {string} name Name of the command in KCDev.Mirrors.reflectRouteCommands
+ * @property {number} value Value of the command, if it takes one
+ */
+
+/**
+ * Names of the commands that can be used in a detached reflection's route.
+ * Commands marked true take a number, like wait:60.
+ * @type {Object<string, boolean>}
+ */
+KCDev.Mirrors.reflectRouteCommands = {
+    down: false,
+    left: false,
+    right: false,
+    up: false,
+    turnright: false,
+    turnleft: false,
+    turnaround: false,
+    random: false,
+    towardplayer: false,
+    awayfromplayer: false,
+    follow: false,
+    walk: false,
+    pattern: true,
+    wait: true
+};
+
+/**
+ * Converts route text like "up, wait:60, pattern:1, towardPlayer" into a list of route commands
+ * @param {string} text Route commands separated by commas or new lines
+ * @returns {KCDev.Mirrors.ReflectRouteCommand[] | null} Route commands, or null if any of them are invalid
+ */
+KCDev.Mirrors.parseReflectRoute = function (text = '') {
+    const list = [];
+    const tokens = String(text).split(/[,\n]/).map(token => token.trim()).filter(token => token.length > 0);
+    for (const token of tokens) {
+        const [name, value] = token.split(':').map(part => part.trim());
+        const key = name.toLowerCase();
+        const takesValue = KCDev.Mirrors.reflectRouteCommands[key];
+        const num = Number(value);
+        if (takesValue === undefined || (takesValue && (value === undefined || value === '' || isNaN(num)))) {
+            console.error(`\
+            KC_Mirrors: Invalid reflection route command: ${token}
+            Valid commands: ${Object.keys(KCDev.Mirrors.reflectRouteCommands).join(', ')}`);
+            return null;
+        }
+        list.push({ name: key, value: takesValue ? num : 0 });
+    }
+    return list;
+};
+
+/**
+ * Runs a single route command on a detached reflection
+ * @param {KCDev.Mirrors.ReflectDoppel} doppel Detached reflection state
+ * @param {KCDev.Mirrors.ReflectRouteCommand} command Command to run
+ * @param {Game_CharacterBase} owner Character that owns the reflection
+ */
+KCDev.Mirrors.runReflectRouteCommand = function (doppel, command, owner) {
+    const d = doppel.direction || owner.direction();
+    switch (command.name) {
+        case 'down':
+            doppel.direction = 2;
+            break;
+
+        case 'left':
+            doppel.direction = 4;
+            break;
+
+        case 'right':
+            doppel.direction = 6;
+            break;
+
+        case 'up':
+            doppel.direction = 8;
+            break;
+
+        case 'turnright':
+            doppel.direction = [0, 0, 4, 0, 8, 0, 2, 0, 6][d] || d;
+            break;
+
+        case 'turnleft':
+            doppel.direction = [0, 0, 6, 0, 2, 0, 8, 0, 4][d] || d;
+            break;
+
+        case 'turnaround':
+            doppel.direction = 10 - d;
+            break;
+
+        case 'random':
+            doppel.direction = 2 + Math.randomInt(4) * 2;
+            break;
+
+        case 'towardplayer':
+        case 'awayfromplayer': {
+            const sx = owner.deltaXFrom($gamePlayer.x);
+            const sy = owner.deltaYFrom($gamePlayer.y);
+            let dir = d;
+            if (Math.abs(sx) > Math.abs(sy)) {
+                dir = sx > 0 ? 4 : 6;
+            }
+            else if (sy !== 0) {
+                dir = sy > 0 ? 8 : 2;
+            }
+            const samePosition = sx === 0 && sy === 0;
+            doppel.direction = (command.name === 'awayfromplayer' && !samePosition) ? 10 - dir : dir;
+            break;
+        }
+
+        case 'follow':
+            doppel.direction = owner.direction();
+            break;
+
+        case 'walk':
+            doppel.pattern = -1;
+            break;
+
+        case 'pattern':
+            doppel.pattern = command.value;
+            break;
+
+        case 'wait':
+            doppel.waitCount = Math.max(0, command.value);
+            break;
+
+        default:
+            break;
+    }
+};
+
+/**
+ * Detaches a character's reflection so that its direction and pattern are controlled separately from the character
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor whose reflection is detached
+ * @param {number} direction Direction the reflection acts as if its character is facing. 0 keeps the current direction.
+ * @param {number} pattern Pattern to freeze the reflection on. -1 keeps following the character's walking animation.
+ * @param {string} route Route commands for the reflection to run, separated by commas
+ * @param {boolean} repeat Whether the route starts over when it ends
+ */
+KCDev.Mirrors.detachReflect = function (target, direction = 0, pattern = -1, route = '', repeat = false) {
+    if (!target) return;
+    const list = KCDev.Mirrors.parseReflectRoute(route);
+    if (!list) return;
+    target.detachReflection();
+    if (direction) {
+        target.setReflectDirection(direction);
+    }
+    target.setReflectPattern(typeof pattern === 'number' ? pattern : -1);
+    target.setReflectRoute(list, !!repeat);
+};
+
+/**
+ * Gets the character that represents a target on the map.
+ * Actors are represented by the player or the follower they are assigned to.
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor
+ * @returns {Game_CharacterBase | null}
+ */
+KCDev.Mirrors.getQueryCharacter = function (target) {
+    if (!(target instanceof Game_Actor)) {
+        return target || null;
+    }
+    if ($gameParty.leader() === target) {
+        return $gamePlayer;
+    }
+    return $gamePlayer.followers().data().find(follower => follower.actor() === target) || null;
+};
+
+/**
+ * Checks if a character's floor reflection was drawn during the last frame
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor
+ * @returns {boolean}
+ */
+KCDev.Mirrors.isFloorReflectVisible = function (target) {
+    return !!KCDev.Mirrors.getFloorReflectInfo(target);
+};
+
+/**
+ * Checks if any of a character's wall reflections were drawn during the last frame
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor
+ * @param {number} wallDir Only check mirrors in this direction (2, 4, 6, or 8). 0 checks every direction.
+ * @returns {boolean}
+ */
+KCDev.Mirrors.isWallReflectVisible = function (target, wallDir = 0) {
+    return !!KCDev.Mirrors.getWallReflectInfo(target, wallDir);
+};
+
+/**
+ * Gets where a character's floor reflection was drawn during the last frame
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor
+ * @returns {KCDev.Mirrors.ReflectStatus | null} Reflection info, or null if it is not visible
+ */
+KCDev.Mirrors.getFloorReflectInfo = function (target) {
+    const char = KCDev.Mirrors.getQueryCharacter(target);
+    return char ? char.reflectFloorStatus() : null;
+};
+
+/**
+ * Gets where the closest of a character's wall reflections was drawn during the last frame
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor
+ * @param {number} wallDir Only check mirrors in this direction (2, 4, 6, or 8). 0 checks every direction.
+ * @returns {KCDev.Mirrors.ReflectStatus | null} Reflection info, or null if no wall reflection is visible
+ */
+KCDev.Mirrors.getWallReflectInfo = function (target, wallDir = 0) {
+    const char = KCDev.Mirrors.getQueryCharacter(target);
+    if (!char) return null;
+    let closest = null;
+    for (const status of char.reflectWallStatus()) {
+        if ((!wallDir || status.direction === wallDir) && (!closest || status.distance < closest.distance)) {
+            closest = status;
+        }
+    }
+    return closest;
+};
+
+/**
+ * Switches a character or the map to a reflection profile. The target's own note tags still override the profile.
+ * @param {Game_CharacterBase | Game_Actor | Game_Map} target Character, actor, or $gameMap to change
+ * @param {string} name Name of the profile. An empty string goes back to the profile in the target's note tags.
+ */
+KCDev.Mirrors.setReflectProfile = function (target, name = '') {
+    if (!target) return;
+    name = String(name || '').trim();
+    if (name && !KCDev.Mirrors.reflectProfiles.has(name.toLowerCase())) {
+        console.error(`\
+        KC_Mirrors: Unknown reflection profile ${name}
+        Add it to the Reflection Profiles plugin parameter.`);
+        return;
+    }
+
+    target.setReflectProfile(name);
+    if (target instanceof Game_Map) {
+        KCDev.Mirrors.setupMapReflectOptions();
+    }
+    else if (target instanceof Game_Event) {
+        KCDev.Mirrors.parseMetaValues(target, target.reflectMetaTarget(), KCDev.Mirrors.eventDefault);
+        target.requestReflectRefresh();
+    }
+    else if (target instanceof Game_Actor) {
+        KCDev.Mirrors.parseMetaValues(target, $dataActors[target.actorId()], KCDev.Mirrors.actorDefault, true);
+    }
+    else if (target instanceof Game_Vehicle) {
+        KCDev.Mirrors.parseMetaValues(target, null, KCDev.Mirrors.vehicleDefault);
+        target.requestReflectRefresh();
+    }
+};
+
+/**
+ * Hides a character on the map while still showing its reflections, or shows it again
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor to change
+ * @param {boolean} enabled True to only show the character in its reflections
+ */
+KCDev.Mirrors.setReflectOnly = function (target, enabled = true) {
+    if (target) {
+        target.setReflectOnly(enabled);
+    }
+};
+
+/**
+ * Makes a character's reflections lag behind the character
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor to change
+ * @param {number} frames Number of frames the reflections lag behind. 0 disables the delay.
+ */
+KCDev.Mirrors.setReflectDelay = function (target, frames = 0) {
+    if (target) {
+        target.setReflectDelay(frames);
+    }
+};
+
+/**
+ * Makes a character's reflection follow the character's direction and pattern again
+ * @param {Game_CharacterBase | Game_Actor} target Character or actor whose reflection is reattached
+ */
+KCDev.Mirrors.reattachReflect = function (target) {
+    if (target) {
+        target.reattachReflection();
+    }
+};
+
+/**
+ * @typedef {Object} KCDev.Mirrors.ReflectCharacterState Reflection settings of a character or actor
+ * @property {string} profile Name of the profile set by a command
+ * @property {boolean} floor Whether the floor reflection is enabled
+ * @property {boolean} wall Whether wall reflections are enabled
+ * @property {string} name Reflection image file name
+ * @property {number} index Reflection image index
+ * @property {number | null} floorOpacity Forced floor opacity, or null to use the character's opacity
+ * @property {number | null} wallOpacity Forced wall opacity, or null to use the character's opacity
+ * @property {number[]} floorOffsets x and y offset of the floor reflection
+ * @property {number[]} wallOffsets x and y offset of wall reflections
+ * @property {number} floorAngle Angle in degrees
+ * @property {number} wallAngle Angle in degrees
+ * @property {number[] | null} floorTone 
+ * @property {number[] | null} wallTone 
+ * @property {string} blend Blend mode name
+ * @property {number} delay Frames the reflections lag behind
+ * @property {boolean} reflectOnly Whether the character only appears in its reflections
+ * @property {{direction: number, pattern: number, route: KCDev.Mirrors.ReflectRouteCommand[], repeat: boolean} | null} detached Detached reflection settings
+ */
+
+/**
+ * @typedef {Object} KCDev.Mirrors.ReflectMapState Reflection settings of the map
+ * @property {string} profile Name of the profile set by a command
+ * @property {boolean} floor Whether floor reflections are allowed
+ * @property {boolean} wall Whether wall reflections are allowed
+ * @property {string} mode Wall reflection mode: perspective, event, or mirror
+ * @property {number} tiles Tile reflection range
+ * @property {number[]} floorOffsets 
+ * @property {number[]} wallOffsets 
+ * @property {number} floorAngle Angle in degrees
+ * @property {number} wallAngle Angle in degrees
+ * @property {number[] | null} floorTone 
+ * @property {number[] | null} wallTone 
+ * @property {string} blend Blend mode name
+ * @property {KCDev.Mirrors.ReflectFilterSettings} floorFilter 
+ * @property {KCDev.Mirrors.ReflectFilterSettings} wallFilter 
+ */
+
+/**
+ * @typedef {Object} KCDev.Mirrors.ReflectState Reflection settings of the current map and its characters
+ * @property {number} mapId Map the settings were exported from
+ * @property {KCDev.Mirrors.ReflectMapState} map 
+ * @property {Object<string, KCDev.Mirrors.ReflectCharacterState>} events Settings keyed by event ID
+ * @property {Object<string, KCDev.Mirrors.ReflectCharacterState>} actors Settings keyed by actor ID
+ * @property {Object<string, KCDev.Mirrors.ReflectCharacterState>} vehicles Settings keyed by boat, ship, and airship
+ */
+
+/**
+ * Converts a reflection opacity into a value that survives JSON.stringify
+ * @param {number | undefined} opacity Forced opacity, or undefined if the character's opacity is used
+ * @returns {number | null}
+ */
+KCDev.Mirrors.makeOpacityState = function (opacity) {
+    return (typeof opacity === 'number') ? opacity : null;
+};
+
+/**
+ * Converts an exported reflection opacity back into a value for setReflectFloorOpacity or setReflectWallOpacity
+ * @param {number | null} opacity 
+ * @returns {number | undefined} Forced opacity, or undefined to use the character's opacity
+ */
+KCDev.Mirrors.loadOpacityState = function (opacity) {
+    return (opacity === null || isNaN(Number(opacity))) ? undefined : Number(opacity);
+};
+
+/**
+ * Copies the reflection settings of a character or actor into a plain object
+ * @param {Game_CharacterBase | Game_Actor} target 
+ * @returns {KCDev.Mirrors.ReflectCharacterState}
+ */
+KCDev.Mirrors.makeCharacterReflectState = function (target) {
+    const doppel = target.reflectDoppel();
+    return {
+        profile: target.reflectProfile(),
+        floor: target.reflectFloor(),
+        wall: target.reflectWall(),
+        name: target.reflectName(),
+        index: target.reflectIndex(),
+        floorOpacity: KCDev.Mirrors.makeOpacityState(target.reflectFloorOpacity()),
+        wallOpacity: KCDev.Mirrors.makeOpacityState(target.reflectWallOpacity()),
+        floorOffsets: [target.reflectFloorXOffset(), target.reflectFloorYOffset()],
+        wallOffsets: [target.reflectWallXOffset(), target.reflectWallYOffset()],
+        floorAngle: target.reflectFloorAngle(),
+        wallAngle: target.reflectWallAngle(),
+        floorTone: JsonEx.makeDeepCopy(target.reflectFloorTone()),
+        wallTone: JsonEx.makeDeepCopy(target.reflectWallTone()),
+        blend: target.reflectBlendMode(),
+        delay: target.reflectDelay(),
+        reflectOnly: target.isReflectOnly(),
+        detached: doppel ? {
+            direction: doppel.direction,
+            pattern: doppel.pattern,
+            route: JsonEx.makeDeepCopy(doppel.list),
+            repeat: doppel.repeat
+        } : null
+    };
+};
+
+/**
+ * Applies settings made by makeCharacterReflectState to a character or actor. Missing settings are left unchanged.
+ * @param {Game_CharacterBase | Game_Actor} target 
+ * @param {KCDev.Mirrors.ReflectCharacterState} state 
+ */
+KCDev.Mirrors.loadCharacterReflectState = function (target, state) {
+    if (!target || !state) return;
+
+    const has = key => state[key] !== undefined;
+
+    if (has('profile')) target.setReflectProfile(String(state.profile || ''));
+    if (has('floor')) target.reflectFloorToggle(!!state.floor);
+    if (has('wall')) target.reflectWallToggle(!!state.wall);
+    if (has('name') || has('index')) {
+        target.setReflectImage(has('name') ? String(state.name || '') : target.reflectName(), has('index') ? Number(state.index) : target.reflectIndex());
+    }
+    if (has('floorOpacity')) target.setReflectFloorOpacity(KCDev.Mirrors.loadOpacityState(state.floorOpacity));
+    if (has('wallOpacity')) target.setReflectWallOpacity(KCDev.Mirrors.loadOpacityState(state.wallOpacity));
+    if (Array.isArray(state.floorOffsets)) {
+        target.setReflectFloorXOffset(Number(state.floorOffsets[0]) || 0);
+        target.setReflectFloorYOffset(Number(state.floorOffsets[1]) || 0);
+    }
+    if (Array.isArray(state.wallOffsets)) {
+        target.setReflectWallXOffset(Number(state.wallOffsets[0]) || 0);
+        target.setReflectWallYOffset(Number(state.wallOffsets[1]) || 0);
+    }
+    if (has('floorAngle')) target.setReflectFloorAngle(Number(state.floorAngle) || 0);
+    if (has('wallAngle')) target.setReflectWallAngle(Number(state.wallAngle) || 0);
+    if (has('floorTone')) target.setReflectFloorTone(JsonEx.makeDeepCopy(state.floorTone));
+    if (has('wallTone')) target.setReflectWallTone(JsonEx.makeDeepCopy(state.wallTone));
+    if (has('blend')) target.setReflectBlendMode(String(state.blend || ''));
+    if (has('delay')) target.setReflectDelay(Number(state.delay) || 0);
+    if (has('reflectOnly')) target.setReflectOnly(!!state.reflectOnly);
+    if (has('detached')) {
+        target.reattachReflection();
+        const detached = state.detached;
+        if (detached) {
+            target.setReflectRoute(JsonEx.makeDeepCopy(detached.route || []), !!detached.repeat);
+            target.setReflectDirection(Number(detached.direction) || 0);
+            target.setReflectPattern(isNaN(Number(detached.pattern)) ? -1 : Number(detached.pattern));
+        }
+    }
+};
+
+/**
+ * Copies the reflection settings of the current map into a plain object
+ * @returns {KCDev.Mirrors.ReflectMapState}
+ */
+KCDev.Mirrors.makeMapReflectState = function () {
+    const modes = KCDev.Mirrors.wallModes;
+    const mode = Object.keys(modes).find(key => modes[key] === $gameMap.reflectMode());
+    return {
+        profile: $gameMap.reflectProfile(),
+        floor: $gameMap.reflectFloor(),
+        wall: $gameMap.reflectWall(),
+        mode: mode || '',
+        tiles: $gameMap.reflectTileRange(),
+        floorOffsets: [$gameMap.reflectFloorXOffset(), $gameMap.reflectFloorYOffset()],
+        wallOffsets: [$gameMap.reflectWallXOffset(), $gameMap.reflectWallYOffset()],
+        floorAngle: $gameMap.reflectFloorAngle(),
+        wallAngle: $gameMap.reflectWallAngle(),
+        floorTone: JsonEx.makeDeepCopy($gameMap.reflectFloorTone()),
+        wallTone: JsonEx.makeDeepCopy($gameMap.reflectWallTone()),
+        blend: $gameMap.reflectBlendMode(),
+        floorFilter: JsonEx.makeDeepCopy($gameMap.reflectFloorFilter()),
+        wallFilter: JsonEx.makeDeepCopy($gameMap.reflectWallFilter())
+    };
+};
+
+/**
+ * Applies settings made by makeMapReflectState to the current map. Missing settings are left unchanged.
+ * @param {KCDev.Mirrors.ReflectMapState} state 
+ */
+KCDev.Mirrors.loadMapReflectState = function (state) {
+    if (!state) return;
+
+    const has = key => state[key] !== undefined;
+
+    if (has('profile')) {
+        $gameMap.setReflectProfile(String(state.profile || ''));
+        KCDev.Mirrors.setupMapReflectOptions();
+    }
+    if (has('floor')) $gameMap.setReflectFloor(!!state.floor);
+    if (has('wall')) $gameMap.setReflectWall(!!state.wall);
+    if (has('mode')) {
+        const mode = KCDev.Mirrors.wallModes[String(state.mode).toLowerCase()];
+        $gameMap.setReflectMode(mode === undefined ? KCDev.Mirrors.getWallReflectMode() : mode);
+    }
+    if (has('tiles')) $gameMap.setReflectTileRange(Number(state.tiles) || 0);
+    if (Array.isArray(state.floorOffsets)) {
+        $gameMap.setReflectFloorXOffset(Number(state.floorOffsets[0]) || 0);
+        $gameMap.setReflectFloorYOffset(Number(state.floorOffsets[1]) || 0);
+    }
+    if (Array.isArray(state.wallOffsets)) {
+        $gameMap.setReflectWallXOffset(Number(state.wallOffsets[0]) || 0);
+        $gameMap.setReflectWallYOffset(Number(state.wallOffsets[1]) || 0);
+    }
+    if (has('floorAngle')) $gameMap.setReflectFloorAngle(Number(state.floorAngle) || 0);
+    if (has('wallAngle')) $gameMap.setReflectWallAngle(Number(state.wallAngle) || 0);
+    if (has('floorTone')) $gameMap.setReflectFloorTone(JsonEx.makeDeepCopy(state.floorTone));
+    if (has('wallTone')) $gameMap.setReflectWallTone(JsonEx.makeDeepCopy(state.wallTone));
+    if (has('blend')) $gameMap.setReflectBlendMode(String(state.blend || ''));
+    if (state.floorFilter) $gameMap.setReflectFloorFilter(state.floorFilter.wave, state.floorFilter.blur, state.floorFilter.speed);
+    if (state.wallFilter) $gameMap.setReflectWallFilter(state.wallFilter.wave, state.wallFilter.blur, state.wallFilter.speed);
+};
+
+/**
+ * Copies the reflection settings of the current map, its events, the vehicles, and every actor into a plain object
+ * that can be converted to JSON
+ * @returns {KCDev.Mirrors.ReflectState}
+ */
+KCDev.Mirrors.exportReflectState = function () {
+    const /** @type {KCDev.Mirrors.ReflectState} */ state = {
+        mapId: $gameMap.mapId(),
+        map: KCDev.Mirrors.makeMapReflectState(),
+        events: {},
+        actors: {},
+        vehicles: {}
+    };
+
+    for (const event of $gameMap.events()) {
+        state.events[event.eventId()] = KCDev.Mirrors.makeCharacterReflectState(event);
+    }
+
+    $gameActors._data.forEach((actor, id) => {
+        if (actor) {
+            state.actors[id] = KCDev.Mirrors.makeCharacterReflectState(actor);
+        }
+    });
+
+    for (const vehicle of $gameMap.vehicles()) {
+        state.vehicles[vehicle._type] = KCDev.Mirrors.makeCharacterReflectState(vehicle);
+    }
+
+    return state;
+};
+
+/**
+ * Applies reflection settings made by exportReflectState to the current map and its characters
+ * @param {KCDev.Mirrors.ReflectState | string} state State object or its JSON text
+ */
+KCDev.Mirrors.importReflectState = function (state) {
+    if (typeof state === 'string') {
+        try {
+            state = JSON.parse(state);
+        } catch (error) {
+            console.error(`\
+            KC_Mirrors: importReflectState received invalid JSON
+            ${error.message}`);
+            return;
+        }
+    }
+
+    if (!state || typeof state !== 'object') {
+        console.error(`\
+        KC_Mirrors: importReflectState received an invalid state: ${state}
+        Use the value returned by exportReflectState.`);
+        return;
+    }
+
+    KCDev.Mirrors.loadMapReflectState(state.map);
+
+    const events = state.events || {};
+    for (const id in events) {
+        KCDev.Mirrors.loadCharacterReflectState($gameMap.event(Number(id)), events[id]);
+    }
+
+    const actors = state.actors || {};
+    for (const id in actors) {
+        if ($dataActors[Number(id)]) {
+            KCDev.Mirrors.loadCharacterReflectState($gameActors.actor(Number(id)), actors[id]);
+        }
+    }
+
+    const vehicles = state.vehicles || {};
+    for (const type in vehicles) {
+        KCDev.Mirrors.loadCharacterReflectState($gameMap.vehicle(type), vehicles[type]);
+    }
+};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END EVENT COMMAND DEFINITIONS                                                                              //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_CharacterBase edits                                                                             //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+KCDev.Mirrors.Game_CharacterBase_initMembers = Game_CharacterBase.prototype.initMembers;
+/**
+ * Aliased method: Game_CharacterBase.prototype.initMembers
+ * Adds default values for the reflection name and index. These values tell this plugin that
+ * the reflection should use the character graphic.
+ */
+Game_CharacterBase.prototype.initMembers = function () {
+    KCDev.Mirrors.Game_CharacterBase_initMembers.apply(this, arguments);
+    this._reflectName = '';
+    this._reflectIndex = -1;
+};
+
+KCDev.Mirrors.Game_CharacterBase_setImage = Game_CharacterBase.prototype.setImage;
+/**
+ * Aliased method: Game_CharacterBase.prototype.setImage
+ * Added a reflection refresh whenever the event's character image changes.
+ * @param {string} characterName New character file name
+ * @param {number} characterIndex Index of the character to use
+ */
+Game_CharacterBase.prototype.setImage = function (characterName, characterIndex) {
+    KCDev.Mirrors.Game_CharacterBase_setImage.apply(this, arguments);
+    this.requestReflectRefresh();
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectImage
+ * Sets the reflection graphic for a character
+ * @param {string} filename New reflection image's file name
+ * @param {number} index Index of the character to use in the file name
+ */
+Game_CharacterBase.prototype.setReflectImage = function (filename = '', index = -1) {
+    this._reflectName = filename.trim();
+    this._reflectIndex = index;
+    this.requestReflectRefresh();
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectName
+ * Returns the reflection graphic's filename.
+ * Returns an empty string if the reflection is mapped to the regular character graphic.
+ * @returns {string}
+ */
+Game_CharacterBase.prototype.reflectName = function () {
+    return this._reflectName || '';
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectIndex
+ * Returns the index of the reflection graphic. Returns -1 if the graphic is regular character graphic's index
+ * @returns {number}
+ */
+Game_CharacterBase.prototype.reflectIndex = function () {
+    return (typeof this._reflectIndex === 'number') ? this._reflectIndex : -1;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectWallToggle
+ * Enables or disables the wall reflection.
+ * @param {boolean} reflect True if wall reflection is on, false otherwise
+ */
+Game_CharacterBase.prototype.reflectWallToggle = function (reflect = !this.reflectWall()) {
+    this._reflectWall = !!reflect;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectWall
+ * Returns the current state of the wall reflection, true for enabled and false for disabled.
+ * @returns {boolean}
+ */
+Game_CharacterBase.prototype.reflectWall = function () {
+    return this._reflectWall;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloorToggle
+ * Set state of floor reflection
+ * @param {boolean} reflect True if floor reflection is on, false otherwise
+ */
+Game_CharacterBase.prototype.reflectFloorToggle = function (reflect = !this.reflectFloor()) {
+    this._reflectFloor = !!reflect;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloor
+ * Returns true if the floor reflection is on for this character, false otherwise.
+ * @returns {boolean}
+ */
+Game_CharacterBase.prototype.reflectFloor = function () {
+    return this._reflectFloor;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectDisable
+ * Disables wall and floor reflections for this character.
+ */
+Game_CharacterBase.prototype.reflectDisable = function () {
+    this.reflectFloorToggle(false);
+    this.reflectWallToggle(false);
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectEnable
+ * Enables wall and floor reflections for this character.
+ */
+Game_CharacterBase.prototype.reflectEnable = function () {
+    this.reflectFloorToggle(true);
+    this.reflectWallToggle(true);
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectRefreshRequested
+ * Returns true if a refresh has been requested for the reflection graphic.
+ * @returns {boolean}
+ */
+Game_CharacterBase.prototype.reflectRefreshRequested = function () {
+    return this._reflectRefreshRequested;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.requestReflectRefresh
+ * Requests for the reflection graphic to be updated on the next update
+ */
+Game_CharacterBase.prototype.requestReflectRefresh = function () {
+    this._reflectRefreshRequested = true;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.clearReflectRefresh
+ * Clears reflection graphic refresh requests.
+ */
+Game_CharacterBase.prototype.clearReflectRefresh = function () {
+    this._reflectRefreshRequested = false;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectOpacity
+ * Returns floor reflection opacity for this character
+ * @returns {number | undefined}
+ */
+Game_CharacterBase.prototype.reflectFloorOpacity = function () {
+    return this._reflectFloorOpacity;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectWallOpacity
+ * Returns wall reflection opacity for this character
+ * @returns {number | undefined}
+ */
+Game_CharacterBase.prototype.reflectWallOpacity = function () {
+    return this._reflectWallOpacity;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectFloorOpacity
+ * @param {number | undefined} opacity New opacity
+ */
+Game_CharacterBase.prototype.setReflectFloorOpacity = function (opacity) {
+    this._reflectFloorOpacity = opacity;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectWallOpacity
+ * @param {number | undefined} opacity New opacity
+ */
+Game_CharacterBase.prototype.setReflectWallOpacity = function (opacity) {
+    this._reflectWallOpacity = opacity;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloorXOffset
+ */
+Game_CharacterBase.prototype.reflectFloorXOffset = function () {
+    return this._reflectFloorXOff || 0;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectFloorXOffset
+ * @param {number} x New x offset
+ */
+Game_CharacterBase.prototype.setReflectFloorXOffset = function (x = 0) {
+    this._reflectFloorXOff = x;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloorYOffset
+ */
+Game_CharacterBase.prototype.reflectFloorYOffset = function () {
+    return this._reflectFloorYOff || 0;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectFloorYOffset
+ * @param {number} y New y offset
+ */
+Game_CharacterBase.prototype.setReflectFloorYOffset = function (y = 0) {
+    this._reflectFloorYOff = y;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloorRotation
+ */
+Game_CharacterBase.prototype.reflectFloorRotation = function () {
+    return this._reflectFloorRotation || 0;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloorRotation
+ * @param {number} r New rotation (in radians)
+ */
+Game_CharacterBase.prototype.setReflectFloorRotation = function (r = 0) {
+    this._reflectFloorRotation = r;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloorAngle
+ */
+Game_CharacterBase.prototype.reflectFloorAngle = function () {
+    return KCDev.Mirrors.radiansToAngle(this.reflectFloorRotation());
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloorAngle
+ * @param {number} a New angle (in degrees)
+ */
+Game_CharacterBase.prototype.setReflectFloorAngle = function (a = 0) {
+    this.setReflectFloorRotation(KCDev.Mirrors.angleToRadians(a));
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectWallXOffset
+ */
+Game_CharacterBase.prototype.reflectWallXOffset = function () {
+    return this._reflectWallXOff || 0;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectFloorXOffset
+ * @param {number} x New x offset
+ */
+Game_CharacterBase.prototype.setReflectWallXOffset = function (x = 0) {
+    this._reflectWallXOff = x;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectWallYOffset
+ */
+Game_CharacterBase.prototype.reflectWallYOffset = function () {
+    return this._reflectWallYOff || 0;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectWallYOffset
+ * @param {number} y New y offset
+ */
+Game_CharacterBase.prototype.setReflectWallYOffset = function (y = 0) {
+    this._reflectWallYOff = y;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectWallRotation
+ */
+Game_CharacterBase.prototype.reflectWallRotation = function () {
+    return this._reflectWallRotation || 0;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectWallRotation
+ * @param {number} r New rotation (in radians)
+ */
+Game_CharacterBase.prototype.setReflectWallRotation = function (r = 0) {
+    this._reflectWallRotation = r;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectWallAngle
+ */
+Game_CharacterBase.prototype.reflectWallAngle = function () {
+    return KCDev.Mirrors.radiansToAngle(this.reflectWallRotation());
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectWallAngle
+ * @param {number} a New angle (in degrees)
+ */
+Game_CharacterBase.prototype.setReflectWallAngle = function (a = 0) {
+    this.setReflectWallRotation(KCDev.Mirrors.angleToRadians(a));
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.startReflectTween
+ * Gradually changes a reflection setting over time
+ * @param {string} property Name of a property in KCDev.Mirrors.tweenProperties
+ * @param {number} target Value the property will have at the end of the tween
+ * @param {number} duration Length of the tween in frames
+ * @param {string} easing 'linear', 'easeIn', 'easeOut', or 'easeInOut'
+ */
+Game_CharacterBase.prototype.startReflectTween = function (property, target, duration, easing = 'linear') {
+    const [getter, setter] = KCDev.Mirrors.tweenProperties[property];
+    if (!this._reflectTweens) {
+        this._reflectTweens = {};
+    }
+    if (!(duration > 0)) {
+        delete this._reflectTweens[property];
+        this[setter](target);
+        return;
+    }
+    // use the base getter so that values added by subclasses (e.g. vehicle altitude) are not included
+    const start = Game_CharacterBase.prototype[getter].call(this);
+    this._reflectTweens[property] = {
+        start: start === undefined ? 255 : start,
+        target: target,
+        duration: duration,
+        elapsed: 0,
+        easing: easing
+    };
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.updateReflectTweens
+ * Advances all reflection tweens by one frame
+ */
+Game_CharacterBase.prototype.updateReflectTweens = function () {
+    const tweens = this._reflectTweens;
+    if (!tweens) return;
+    for (const property in tweens) {
+        const tween = tweens[property];
+        tween.elapsed++;
+        const t = KCDev.Mirrors.applyEasing(Math.min(tween.elapsed / tween.duration, 1), tween.easing);
+        this[KCDev.Mirrors.tweenProperties[property][1]](tween.start + (tween.target - tween.start) * t);
+        if (tween.elapsed >= tween.duration) {
+            delete tweens[property];
+        }
+    }
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.isReflectTweening
+ * @returns {boolean} True if any reflection settings are still being tweened
+ */
+Game_CharacterBase.prototype.isReflectTweening = function () {
+    return !!this._reflectTweens && Object.keys(this._reflectTweens).length > 0;
+};
+
+KCDev.Mirrors.Game_CharacterBase_update = Game_CharacterBase.prototype.update;
+/**
+ * Aliased method: Game_CharacterBase.prototype.update
+ * Advances reflection tweens and detached reflection routes
+ */
+Game_CharacterBase.prototype.update = function () {
+    KCDev.Mirrors.Game_CharacterBase_update.apply(this, arguments);
+    this.updateReflectTweens();
+    this.updateReflectRoute(this);
+    this.updateReflectHistory();
+};
+
+KCDev.Mirrors.Game_CharacterBase_locate = Game_CharacterBase.prototype.locate;
+/**
+ * Aliased method: Game_CharacterBase.prototype.locate
+ * Clears the reflection history so that delayed reflections do not trail across transfers
+ * @param {number} x
+ * @param {number} y
+ */
+Game_CharacterBase.prototype.locate = function (x, y) {
+    KCDev.Mirrors.Game_CharacterBase_locate.apply(this, arguments);
+    this._reflectHistory = [];
+};
+
+/**
+ * @typedef {Object} KCDev.Mirrors.ReflectStatus Where a reflection was drawn during the last frame
+ * @property {number} direction Direction of the mirror from the character (2, 4, 6, or 8), or 0 for floor reflections
+ * @property {number} x x coordinate of the tile the reflection is anchored to
+ * @property {number} y y coordinate of the tile the reflection is anchored to
+ * @property {number} regionId Region ID of the tile the reflection is anchored to
+ * @property {number} distance Distance from the character to the mirror in tiles. Always 0 for floor reflections.
+ * @property {number} scale Scale of the reflection relative to the character
+ */
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloorStatus
+ * @returns {KCDev.Mirrors.ReflectStatus | null} Where the floor reflection was drawn, or null if it is not visible
+ */
+Game_CharacterBase.prototype.reflectFloorStatus = function () {
+    return this._reflectFloorStatus || null;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectFloorStatus
+ * Called by the character's sprite every frame
+ * @param {KCDev.Mirrors.ReflectStatus | null} status
+ */
+Game_CharacterBase.prototype.setReflectFloorStatus = function (status = null) {
+    this._reflectFloorStatus = status;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectWallStatus
+ * @returns {KCDev.Mirrors.ReflectStatus[]} Where each visible wall reflection was drawn
+ */
+Game_CharacterBase.prototype.reflectWallStatus = function () {
+    return this._reflectWallStatus || [];
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectWallStatus
+ * Called by the character's sprite every frame
+ * @param {KCDev.Mirrors.ReflectStatus[]} status
+ */
+Game_CharacterBase.prototype.setReflectWallStatus = function (status = []) {
+    this._reflectWallStatus = status;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectProfile
+ * @returns {string} Name of the reflection profile set by a plugin command, or an empty string to use the note tags
+ */
+Game_CharacterBase.prototype.reflectProfile = function () {
+    return this._reflectProfile || '';
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectProfile
+ * @param {string} name Name of a reflection profile, or an empty string to use the note tags
+ */
+Game_CharacterBase.prototype.setReflectProfile = function (name = '') {
+    this._reflectProfile = name;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.isReflectOnly
+ * @returns {boolean} True if the character is hidden on the map but still shown in its reflections
+ */
+Game_CharacterBase.prototype.isReflectOnly = function () {
+    return !!this._reflectOnly;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectOnly
+ * @param {boolean} reflectOnly Whether the character is hidden on the map but still shown in its reflections
+ */
+Game_CharacterBase.prototype.setReflectOnly = function (reflectOnly = false) {
+    this._reflectOnly = !!reflectOnly;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectDelay
+ * @returns {number} Number of frames the reflections lag behind the character
+ */
+Game_CharacterBase.prototype.reflectDelay = function () {
+    return this._reflectDelay || 0;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectDelay
+ * @param {number} frames Number of frames the reflections lag behind the character. 0 disables the delay.
+ */
+Game_CharacterBase.prototype.setReflectDelay = function (frames = 0) {
+    this._reflectDelay = Math.max(0, Math.floor(frames) || 0);
+    if (this._reflectDelay === 0) {
+        this._reflectHistory = [];
+    }
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.makeReflectEchoState
+ * @returns {number[]} Position, direction, pattern, and jump state of the character
+ */
+Game_CharacterBase.prototype.makeReflectEchoState = function () {
+    return [this._x, this._y, this._realX, this._realY, this._direction, this._pattern, this._jumpCount, this._jumpPeak];
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.loadReflectEchoState
+ * @param {number[]} state State created by makeReflectEchoState
+ */
+Game_CharacterBase.prototype.loadReflectEchoState = function (state) {
+    [this._x, this._y, this._realX, this._realY, this._direction, this._pattern, this._jumpCount, this._jumpPeak] = state;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.updateReflectHistory
+ * Records the character's state so that delayed reflections can replay it later
+ */
+Game_CharacterBase.prototype.updateReflectHistory = function () {
+    const delay = this.reflectDelay();
+    if (delay <= 0) return;
+    if (!this._reflectHistory) {
+        this._reflectHistory = [];
+    }
+    const history = this._reflectHistory;
+    history.push(this.makeReflectEchoState());
+    if (history.length > delay + 1) {
+        history.splice(0, history.length - delay - 1);
+    }
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectEchoState
+ * Gets the state the reflections should show. When the history is not full yet, the oldest state is used.
+ * @returns {number[] | null} State from reflectDelay() frames ago, or null if the reflections are not delayed
+ */
+Game_CharacterBase.prototype.reflectEchoState = function () {
+    const history = this._reflectHistory;
+    if (this.reflectDelay() <= 0 || !history || history.length === 0) return null;
+    return history[0];
+};
+
+/**
+ * @typedef {Object} KCDev.Mirrors.ReflectDoppel State of a reflection that is detached from its character
+ * @property {number} direction Direction the reflection acts as if its character is facing. 0 uses the character's direction.
+ * @property {number} pattern Pattern shown by the reflection. -1 uses the character's pattern.
+ * @property {KCDev.Mirrors.ReflectRouteCommand[]} list Route commands run by the reflection
+ * @property {number} index Index of the next route command
+ * @property {number} waitCount Frames left before the next route command runs
+ * @property {boolean} repeat Whether the route starts over when it ends
+ */
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectDoppel
+ * @returns {KCDev.Mirrors.ReflectDoppel | null} Detached reflection state, or null if the reflection follows its character
+ */
+Game_CharacterBase.prototype.reflectDoppel = function () {
+    return this._reflectDoppel || null;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.isReflectionDetached
+ * @returns {boolean} True if the reflection's direction and pattern are controlled separately from the character
+ */
+Game_CharacterBase.prototype.isReflectionDetached = function () {
+    return !!this._reflectDoppel;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.detachReflection
+ * Stops the reflection from following the character's direction. The reflection keeps facing the
+ * direction the character currently faces until it is changed.
+ */
+Game_CharacterBase.prototype.detachReflection = function () {
+    if (this._reflectDoppel) return;
+    this._reflectDoppel = {
+        direction: this.direction ? this.direction() : 0,
+        pattern: -1,
+        list: [],
+        index: 0,
+        waitCount: 0,
+        repeat: false
+    };
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reattachReflection
+ * Makes the reflection follow the character's direction and pattern again
+ */
+Game_CharacterBase.prototype.reattachReflection = function () {
+    this._reflectDoppel = null;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectDirection
+ * @returns {number} Direction used to pick the reflection's frame, before it is reversed for walls
+ */
+Game_CharacterBase.prototype.reflectDirection = function () {
+    const doppel = this._reflectDoppel;
+    return (doppel && doppel.direction) ? doppel.direction : this._direction;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectDirection
+ * Detaches the reflection if needed and makes it act as if the character faced another direction
+ * @param {number} d New direction. 0 uses the character's direction.
+ */
+Game_CharacterBase.prototype.setReflectDirection = function (d = 0) {
+    this.detachReflection();
+    this._reflectDoppel.direction = d;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectPattern
+ * @returns {number} Pattern used to pick the reflection's frame
+ */
+Game_CharacterBase.prototype.reflectPattern = function () {
+    const doppel = this._reflectDoppel;
+    return (doppel && doppel.pattern >= 0) ? doppel.pattern : this._pattern;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectPattern
+ * Detaches the reflection if needed and freezes it on a pattern
+ * @param {number} pattern New pattern. -1 uses the character's pattern.
+ */
+Game_CharacterBase.prototype.setReflectPattern = function (pattern = -1) {
+    this.detachReflection();
+    this._reflectDoppel.pattern = pattern;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectRoute
+ * Detaches the reflection if needed and starts running a list of route commands on it
+ * @param {KCDev.Mirrors.ReflectRouteCommand[]} list Route commands to run
+ * @param {boolean} repeat Whether the route starts over when it ends
+ */
+Game_CharacterBase.prototype.setReflectRoute = function (list = [], repeat = false) {
+    this.detachReflection();
+    const doppel = this._reflectDoppel;
+    doppel.list = list;
+    doppel.index = 0;
+    doppel.waitCount = 0;
+    doppel.repeat = repeat;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.updateReflectRoute
+ * Runs the detached reflection's route commands until one of them waits
+ * @param {Game_CharacterBase} owner Character whose position and direction are used by the route commands
+ */
+Game_CharacterBase.prototype.updateReflectRoute = function (owner) {
+    const doppel = this._reflectDoppel;
+    if (!doppel || !owner) return;
+    if (!doppel.direction) {
+        doppel.direction = owner.direction();
+    }
+    if (doppel.waitCount > 0) {
+        doppel.waitCount--;
+        return;
+    }
+
+    const list = doppel.list;
+    let ran = 0;
+    while (doppel.index < list.length && doppel.waitCount === 0 && ran < list.length) {
+        KCDev.Mirrors.runReflectRouteCommand(doppel, list[doppel.index], owner);
+        doppel.index++;
+        ran++;
+        if (doppel.index >= list.length && doppel.repeat) {
+            doppel.index = 0;
+        }
+    }
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectFloorTone
+ * @returns {number[] | null}
+ */
+Game_CharacterBase.prototype.reflectFloorTone = function () {
+    return this._reflectFloorTone || null;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectFloorTone
+ * @param {number[] | null} tone New color tone, or null to remove it
+ */
+Game_CharacterBase.prototype.setReflectFloorTone = function (tone = null) {
+    this._reflectFloorTone = tone;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectWallTone
+ * @returns {number[] | null}
+ */
+Game_CharacterBase.prototype.reflectWallTone = function () {
+    return this._reflectWallTone || null;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectWallTone
+ * @param {number[] | null} tone New color tone, or null to remove it
+ */
+Game_CharacterBase.prototype.setReflectWallTone = function (tone = null) {
+    this._reflectWallTone = tone;
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.reflectBlendMode
+ * @returns {string} Blend mode name, or an empty string if it is not overridden
+ */
+Game_CharacterBase.prototype.reflectBlendMode = function () {
+    return this._reflectBlendMode || '';
+};
+
+/**
+ * New method: Game_CharacterBase.prototype.setReflectBlendMode
+ * @param {string} blendMode 'normal', 'add', 'multiply', 'screen', or an empty string
+ */
+Game_CharacterBase.prototype.setReflectBlendMode = function (blendMode = '') {
+    this._reflectBlendMode = blendMode;
+};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_CharacterBase edits                                                                               //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_Actor edits                                                                                     //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Updates reflection properties for characters that represent actors.
+ * @param {Game_Actor} actor Target actor to update reflection properties for
+ * @param {Game_Character} character Current character representing the actor
+ * @returns {void}
+ */
+KCDev.Mirrors.updateActorCharacterReflect = function (actor, character) {
+    if (!actor) return;
+
+    const value = key => actor.reflectTraitValue(key);
+
+    let needsUpdate = false;
+    let reflectName = character.reflectName();
+    let reflectIndex = character.reflectIndex();
+    if (reflectName !== value('reflectName')) {
+        reflectName = value('reflectName');
+        needsUpdate = true;
+    }
+    if (reflectIndex !== value('reflectIndex')) {
+        reflectIndex = value('reflectIndex');
+        needsUpdate = true;
+    }
+    if (needsUpdate) {
+        character.setReflectImage(reflectName, reflectIndex);
+    }
+    character.reflectFloorToggle(value('reflectFloor'));
+    character.reflectWallToggle(value('reflectWall'));
+    character.setReflectFloorOpacity(value('reflectFloorOpacity'));
+    character.setReflectWallOpacity(value('reflectWallOpacity'));
+    character.setReflectFloorXOffset(value('reflectFloorXOffset'));
+    character.setReflectFloorYOffset(value('reflectFloorYOffset'));
+    character.setReflectWallXOffset(value('reflectWallXOffset'));
+    character.setReflectWallYOffset(value('reflectWallYOffset'));
+    character.setReflectFloorRotation(value('reflectFloorRotation'));
+    character.setReflectWallRotation(value('reflectWallRotation'));
+    character.setReflectFloorTone(value('reflectFloorTone'));
+    character.setReflectWallTone(value('reflectWallTone'));
+    character.setReflectBlendMode(value('reflectBlendMode'));
+    if (character.reflectDelay() !== value('reflectDelay')) {
+        character.setReflectDelay(value('reflectDelay'));
+    }
+    character.setReflectOnly(value('isReflectOnly'));
+
+    // actors run their reflection routes using the character that represents them
+    actor.updateReflectRoute(character);
+    const doppel = actor.reflectDoppel();
+    if (doppel) {
+        character.setReflectDirection(doppel.direction);
+        character.setReflectPattern(doppel.pattern);
+    }
+    else if (character.isReflectionDetached()) {
+        character.reattachReflection();
+    }
+};
+
+KCDev.Mirrors.Game_Actor_setup = Game_Actor.prototype.setup;
+/**
+ * Aliased Method: Game_Actor.prototype.setup
+ * Add note tag parsing to determine reflection visibility and appearance. Also set up default values.
+ * @param {number} actorId ID of the actor to set default values for
+ */
+Game_Actor.prototype.setup = function (actorId) {
+    KCDev.Mirrors.Game_Actor_setup.apply(this, arguments);
+    const actor = $dataActors[actorId];
+    KCDev.Mirrors.parseMetaValues(this, actor, KCDev.Mirrors.actorDefault, true);
+};
+
+/**
+ * New method: Game_Actor.prototype.reflectTraitObjects
+ * Gets the database objects that can override this actor's reflection, from highest to lowest priority.
+ * States come first, then equipment, then the actor's class.
+ * @returns {Object[]} States, weapons, armors, and class of the actor
+ */
+Game_Actor.prototype.reflectTraitObjects = function () {
+    return [].concat(this.states(), this.equips().filter(item => !!item), [this.currentClass()]);
+};
+
+/**
+ * New method: Game_Actor.prototype.reflectTraitKey
+ * @returns {string} Key that changes whenever the actor's states, equipment, or class change
+ */
+Game_Actor.prototype.reflectTraitKey = function () {
+    const stateIds = this._states.join(',');
+    const equipIds = this.equips().map(item => {
+        if (!item) return 0;
+        return (DataManager.isWeapon(item) ? 'w' : 'a') + item.id;
+    }).join(',');
+    return [stateIds, equipIds, this._classId].join('|');
+};
+
+/**
+ * New method: Game_Actor.prototype.reflectTraitOverrides
+ * Gets the reflection settings set by note tags on this actor's states, equipment, and class.
+ * These are recomputed only when the states, equipment, or class change.
+ * @returns {KCDev.Mirrors.ReflectOverrides}
+ */
+Game_Actor.prototype.reflectTraitOverrides = function () {
+    const key = this.reflectTraitKey();
+    if (this._reflectTraitKey !== key || !this._reflectTraitOverrides) {
+        this._reflectTraitKey = key;
+        this._reflectTraitOverrides = {};
+        for (const obj of this.reflectTraitObjects()) {
+            const overrides = KCDev.Mirrors.parseMetaOverrides(obj, true);
+            for (const prop in overrides) {
+                if (!this._reflectTraitOverrides.hasOwnProperty(prop)) {
+                    this._reflectTraitOverrides[prop] = overrides[prop];
+                }
+            }
+        }
+    }
+    return this._reflectTraitOverrides;
+};
+
+/**
+ * New method: Game_Actor.prototype.reflectTraitValue
+ * @param {string} key Name of the actor's reflection getter, such as 'reflectFloor'
+ * @returns {any} Value from the highest priority state, equipment, or class, or the actor's own value
+ */
+Game_Actor.prototype.reflectTraitValue = function (key) {
+    const traits = this.reflectTraitOverrides();
+    return traits.hasOwnProperty(key) ? traits[key] : this[key]();
+};
+
+// Add reflection methods to Game_Actor for convenience
+Game_Actor.prototype.reflectEnable = Game_CharacterBase.prototype.reflectEnable;
+Game_Actor.prototype.reflectDisable = Game_CharacterBase.prototype.reflectDisable;
+Game_Actor.prototype.reflectFloor = Game_CharacterBase.prototype.reflectFloor;
+Game_Actor.prototype.reflectFloorToggle = Game_CharacterBase.prototype.reflectFloorToggle;
+Game_Actor.prototype.reflectWall = Game_CharacterBase.prototype.reflectWall;
+Game_Actor.prototype.reflectWallToggle = Game_CharacterBase.prototype.reflectWallToggle;
+Game_Actor.prototype.reflectName = Game_CharacterBase.prototype.reflectName;
+Game_Actor.prototype.reflectIndex = Game_CharacterBase.prototype.reflectIndex;
+Game_Actor.prototype.setReflectFloorOpacity = Game_CharacterBase.prototype.setReflectFloorOpacity;
+Game_Actor.prototype.setReflectWallOpacity = Game_CharacterBase.prototype.setReflectWallOpacity;
+Game_Actor.prototype.reflectFloorOpacity = Game_CharacterBase.prototype.reflectFloorOpacity;
+Game_Actor.prototype.reflectWallOpacity = Game_CharacterBase.prototype.reflectWallOpacity;
+Game_Actor.prototype.reflectFloorXOffset = Game_CharacterBase.prototype.reflectFloorXOffset;
+Game_Actor.prototype.setReflectFloorXOffset = Game_CharacterBase.prototype.setReflectFloorXOffset;
+Game_Actor.prototype.reflectFloorYOffset = Game_CharacterBase.prototype.reflectFloorYOffset;
+Game_Actor.prototype.setReflectFloorYOffset = Game_CharacterBase.prototype.setReflectFloorYOffset;
+Game_Actor.prototype.reflectFloorRotation = Game_CharacterBase.prototype.reflectFloorRotation;
+Game_Actor.prototype.setReflectFloorRotation = Game_CharacterBase.prototype.setReflectFloorRotation;
+Game_Actor.prototype.reflectFloorAngle = Game_CharacterBase.prototype.reflectFloorAngle;
+Game_Actor.prototype.setReflectFloorAngle = Game_CharacterBase.prototype.setReflectFloorAngle;
+Game_Actor.prototype.reflectWallXOffset = Game_CharacterBase.prototype.reflectWallXOffset;
+Game_Actor.prototype.setReflectWallXOffset = Game_CharacterBase.prototype.setReflectWallXOffset;
+Game_Actor.prototype.reflectWallYOffset = Game_CharacterBase.prototype.reflectWallYOffset;
+Game_Actor.prototype.setReflectWallYOffset = Game_CharacterBase.prototype.setReflectWallYOffset;
+Game_Actor.prototype.reflectWallRotation = Game_CharacterBase.prototype.reflectWallRotation;
+Game_Actor.prototype.setReflectWallRotation = Game_CharacterBase.prototype.setReflectWallRotation;
+Game_Actor.prototype.reflectWallAngle = Game_CharacterBase.prototype.reflectWallAngle;
+Game_Actor.prototype.setReflectWallAngle = Game_CharacterBase.prototype.setReflectWallAngle;
+Game_Actor.prototype.reflectFloorTone = Game_CharacterBase.prototype.reflectFloorTone;
+Game_Actor.prototype.setReflectFloorTone = Game_CharacterBase.prototype.setReflectFloorTone;
+Game_Actor.prototype.reflectWallTone = Game_CharacterBase.prototype.reflectWallTone;
+Game_Actor.prototype.setReflectWallTone = Game_CharacterBase.prototype.setReflectWallTone;
+Game_Actor.prototype.reflectBlendMode = Game_CharacterBase.prototype.reflectBlendMode;
+Game_Actor.prototype.setReflectBlendMode = Game_CharacterBase.prototype.setReflectBlendMode;
+Game_Actor.prototype.startReflectTween = Game_CharacterBase.prototype.startReflectTween;
+Game_Actor.prototype.updateReflectTweens = Game_CharacterBase.prototype.updateReflectTweens;
+Game_Actor.prototype.isReflectTweening = Game_CharacterBase.prototype.isReflectTweening;
+Game_Actor.prototype.reflectDoppel = Game_CharacterBase.prototype.reflectDoppel;
+Game_Actor.prototype.isReflectionDetached = Game_CharacterBase.prototype.isReflectionDetached;
+Game_Actor.prototype.detachReflection = Game_CharacterBase.prototype.detachReflection;
+Game_Actor.prototype.reattachReflection = Game_CharacterBase.prototype.reattachReflection;
+Game_Actor.prototype.setReflectDirection = Game_CharacterBase.prototype.setReflectDirection;
+Game_Actor.prototype.setReflectPattern = Game_CharacterBase.prototype.setReflectPattern;
+Game_Actor.prototype.setReflectRoute = Game_CharacterBase.prototype.setReflectRoute;
+Game_Actor.prototype.updateReflectRoute = Game_CharacterBase.prototype.updateReflectRoute;
+Game_Actor.prototype.reflectDelay = Game_CharacterBase.prototype.reflectDelay;
+Game_Actor.prototype.isReflectOnly = Game_CharacterBase.prototype.isReflectOnly;
+Game_Actor.prototype.reflectProfile = Game_CharacterBase.prototype.reflectProfile;
+Game_Actor.prototype.setReflectProfile = Game_CharacterBase.prototype.setReflectProfile;
+Game_Actor.prototype.setReflectOnly = Game_CharacterBase.prototype.setReflectOnly;
+Game_Actor.prototype.setReflectDelay = function (frames = 0) { // same as Game_CharacterBase but actors have no history
+    this._reflectDelay = Math.max(0, Math.floor(frames) || 0);
+};
+Game_Actor.prototype.setReflectImage = function (filename = '', index = -1) { // same as Game_CharacterBase but without sprite refresh request
+    this._reflectName = filename.trim();
+    this._reflectIndex = index;
+};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_Actor edits                                                                                       //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_Follower edits                                                                                  //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+KCDev.Mirrors.Game_Follower_update = Game_Follower.prototype.update;
+/**
+ * Aliased method: Game_Follower.prototype.update
+ * Adds a check to update the reflection to the update function.
+ */
+Game_Follower.prototype.update = function () {
+    KCDev.Mirrors.Game_Follower_update.apply(this, arguments);
+    KCDev.Mirrors.updateActorCharacterReflect(this.actor(), this);
+};
+
+Game_Follower.prototype.reflectWall = function () {
+    return Game_Character.prototype.reflectWall.call(this) && (!$gamePlayer.isInVehicle() || $gamePlayer.areFollowersGathering());
+};
+
+Game_Follower.prototype.reflectFloor = function () {
+    return Game_Character.prototype.reflectFloor.call(this) && (!$gamePlayer.isInVehicle() || $gamePlayer.areFollowersGathering());
+};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_Follower edits                                                                                    //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_Player edits                                                                                    //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+KCDev.Mirrors.Game_Player_update = Game_Player.prototype.update;
+/**
+ * Aliased method: Game_Player.prototype.update
+ * Adds a check to update the reflection to the update function.
+ */
+Game_Player.prototype.update = function () {
+    KCDev.Mirrors.Game_Player_update.apply(this, arguments);
+    if ($gameParty.size() > 0) {
+        const actor = $gameParty.leader();
+        KCDev.Mirrors.updateActorCharacterReflect(actor, this);
+    }
+};
+
+Game_Player.prototype.reflectWall = function () {
+    return Game_Character.prototype.reflectWall.call(this) && (!this.isInVehicle() || this.areFollowersGathering());
+};
+
+Game_Player.prototype.reflectFloor = function () {
+    return Game_Character.prototype.reflectFloor.call(this) && (!this.isInVehicle() || this.areFollowersGathering());
+};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_Player edits                                                                                      //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_Vehicle edits                                                                                   //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+KCDev.Mirrors.Game_Vehicle_update = Game_Vehicle.prototype.update;
+Game_Vehicle.prototype.update = function () {
+    if (this._reflectFloor === undefined) {
+        this.reflectFloorToggle(KCDev.Mirrors.vehicleDefault.reflectFloor);
+        this.reflectWallToggle(KCDev.Mirrors.vehicleDefault.reflectWall);
+    }
+    KCDev.Mirrors.Game_Vehicle_update.apply(this, arguments);
+};
+
+Game_Vehicle.prototype.reflectFloorYOffset = function () {
+    return Game_Character.prototype.reflectFloorYOffset.call(this) + this._altitude;
+};
+
+/**
+ * New method: Game_Vehicle.prototype.reflectAltitudeRate
+ * Returns how high the vehicle is flying, from 0 on the ground to 1 at full altitude
+ * @returns {number}
+ */
+Game_Vehicle.prototype.reflectAltitudeRate = function () {
+    return this.isAirship() ? this._altitude / this.maxAltitude() : 0;
+};
+
+/**
+ * New method: Game_Vehicle.prototype.isReflectRiderVisible
+ * Returns true if the party leader should be drawn in this vehicle's reflections
+ * @returns {boolean}
+ */
+Game_Vehicle.prototype.isReflectRiderVisible = function () {
+    return KCDev.Mirrors.vehicleRiders && this._driving && $gamePlayer.vehicle() === this;
+};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_Vehicle edits                                                                                     //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_Event edits                                                                                     //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+KCDev.Mirrors.Game_Event_setupPage = Game_Event.prototype.setupPage;
+/**
+ * Aliased method: Game_Event.prototype.setupPage
+ * Adds note tag parsing to override default event reflection settings.
+ */
+Game_Event.prototype.setupPage = function () {
+    KCDev.Mirrors.Game_Event_setupPage.apply(this, arguments);
+    KCDev.Mirrors.parseMetaValues(this, this.reflectMetaTarget(), KCDev.Mirrors.eventDefault);
+};
+
+/**
+ * New method: Game_Event.prototype.reflectPageComment
+ * Gets the text of the first Comment command on the current page.
+ * @returns {string} Comment text, or an empty string if the page has no comment
+ */
+Game_Event.prototype.reflectPageComment = function () {
+    const page = this.page();
+    const list = page ? page.list : [];
+    const start = list.findIndex(command => command.code === 108);
+    if (start < 0) return '';
+
+    const lines = [list[start].parameters[0]];
+    for (let i = start + 1; i < list.length && list[i].code === 408; i++) {
+        lines.push(list[i].parameters[0]);
+    }
+    return lines.join('\n');
+};
+
+/**
+ * New method: Game_Event.prototype.reflectMetaTarget
+ * Merges the reflection note tags in the first Comment of the current page over the event's note tags.
+ * @returns {{meta: Object<string, string | boolean>}} Object with the combined meta data
+ */
+Game_Event.prototype.reflectMetaTarget = function () {
+    const event = this.event();
+    const pageData = { note: this.reflectPageComment() };
+    DataManager.extractMetadata(pageData);
+
+    if (Object.keys(pageData.meta).length === 0) return event;
+
+    return { note: event.note, meta: KCDev.Mirrors.mergeMeta(event.meta, pageData.meta) };
+};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_Event edits                                                                                       //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_Map edits                                                                                       //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} KCDev.Mirrors.ReflectTrigger Action that runs when a reflection appears on a mirror
+ * @property {string} targetType 'player' or 'event'
+ * @property {number} targetId ID of the target event
+ * @property {string} reflectType 'floor' or 'wall'
+ * @property {number} wallDir Direction of the mirror from the target (2, 4, 6, or 8), or 0 for any direction
+ * @property {string} condition 'any', 'region', or 'tile'
+ * @property {number} regionId Region ID the reflection must be on for the 'region' condition
+ * @property {number} x x coordinate the reflection must be on for the 'tile' condition
+ * @property {number} y y coordinate the reflection must be on for the 'tile' condition
+ * @property {string} action 'switch', 'self', or 'common'
+ * @property {number} actionId Switch ID, common event ID, or ID of the event with the self switch
+ * @property {string} selfSwitch Self switch letter for the 'self' action
+ * @property {boolean} met Whether the condition was met the last time it was checked
+ */
+
+/**
+ * Parses every <REFLECT_TRIGGER:target,reflection,condition,action> note tag in a note
+ * @param {string} note Note of a map or event
+ * @param {number} eventId ID of the event the note belongs to, or 0 for the map
+ * @returns {KCDev.Mirrors.ReflectTrigger[]}
+ */
+KCDev.Mirrors.parseReflectTriggers = function (note = '', eventId = 0) {
+    const /** @type {KCDev.Mirrors.ReflectTrigger[]} */ triggers = [];
+    const regex = /<REFLECT_TRIGGER:([^>]*)>/gi;
+    const dirNames = { down: 2, left: 4, right: 6, up: 8 };
+    let match;
+
+    while ((match = regex.exec(note || '')) !== null) {
+        const fields = match[1].split(',').map(field => field.trim().toLowerCase().split(/\s+/));
+        const error = function (reason) {
+            console.error(`\
+            KC_Mirrors: Invalid reflection trigger ${match[0]}${eventId ? ` on event ${eventId}` : ''}
+            ${reason}`);
+        };
+
+        if (fields.length !== 4) {
+            error('Expected 4 values separated by commas: target, reflection, condition, action');
+            continue;
+        }
+
+        const [target, reflection, condition, action] = fields;
+
+        /** @type {KCDev.Mirrors.ReflectTrigger} */
+        const trigger = {
+            targetType: 'player',
+            targetId: 0,
+            reflectType: 'floor',
+            wallDir: 0,
+            condition: 'any',
+            regionId: 0,
+            x: 0,
+            y: 0,
+            action: 'switch',
+            actionId: 0,
+            selfSwitch: 'A',
+            met: false
+        };
 
-        this._characterName = (character.reflectName() === '') ? character.characterName() : character.reflectName();
-        this._characterIndex = (character.reflectIndex() < 0) ? character.characterIndex() : character.reflectIndex();
-        this.bitmap = ImageManager.loadCharacter(this._characterName);
-        this._isBigCharacter = ImageManager.isBigCharacter(this._characterName);
-        this._tileId = 0;
+        if (target[0] === 'this' && eventId > 0) {
+            trigger.targetType = 'event';
+            trigger.targetId = eventId;
+        }
+        else if (target[0] === 'event' && Number(target[1]) > 0) {
+            trigger.targetType = 'event';
+            trigger.targetId = Number(target[1]);
+        }
+        else if (target[0] !== 'player') {
+            error(`Invalid target: ${target.join(' ')}. Should be 'player', 'event [id]', or 'this' for event notes.`);
+            continue;
+        }
+
+        if (reflection[0] !== 'floor' && reflection[0] !== 'wall') {
+            error(`Invalid reflection: ${reflection.join(' ')}. Should be 'floor' or 'wall'.`);
+            continue;
+        }
+        trigger.reflectType = reflection[0];
+        if (reflection[0] === 'wall' && reflection.length > 1) {
+            const wallDir = dirNames[reflection[1]] || Number(reflection[1]);
+            if (![2, 4, 6, 8].includes(wallDir)) {
+                error(`Invalid wall direction: ${reflection[1]}. Should be up, down, left, or right.`);
+                continue;
+            }
+            trigger.wallDir = wallDir;
+        }
+
+        trigger.condition = condition[0];
+        if (condition[0] === 'region' && Number(condition[1]) > 0) {
+            trigger.regionId = Number(condition[1]);
+        }
+        else if (condition[0] === 'tile' && condition.length === 3 && !isNaN(Number(condition[1])) && !isNaN(Number(condition[2]))) {
+            trigger.x = Number(condition[1]);
+            trigger.y = Number(condition[2]);
+        }
+        else if (condition[0] !== 'any') {
+            error(`Invalid condition: ${condition.join(' ')}. Should be 'any', 'region [id]', or 'tile [x] [y]'.`);
+            continue;
+        }
+
+        trigger.action = action[0];
+        if ((action[0] === 'switch' || action[0] === 'common') && Number(action[1]) > 0) {
+            trigger.actionId = Number(action[1]);
+        }
+        else if (action[0] === 'self' && ['a', 'b', 'c', 'd'].includes(action[1]) && (Number(action[2]) > 0 || (action.length === 2 && eventId > 0))) {
+            trigger.selfSwitch = action[1].toUpperCase();
+            trigger.actionId = action.length > 2 ? Number(action[2]) : eventId;
+        }
+        else {
+            error(`Invalid action: ${action.join(' ')}. Should be 'switch [id]', 'self [A/B/C/D] [event id]', or 'common [id]'.`);
+            continue;
+        }
+
+        triggers.push(trigger);
     }
+
+    return triggers;
 };
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// END CUSTOM CLASS DEFINITIONS                                                                               //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * Checks if a reflection trigger's condition is met using only the game state
+ * @param {KCDev.Mirrors.ReflectTrigger} trigger 
+ * @returns {boolean}
+ */
+KCDev.Mirrors.isReflectTriggerMet = function (trigger) {
+    const char = trigger.targetType === 'event' ? $gameMap.event(trigger.targetId) : $gamePlayer;
+    if (!char || char._erased) {
+        return false;
+    }
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START EVENT COMMAND DEFINITIONS                                                                            //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    return KCDev.Mirrors.findReflectStatus(char, trigger.reflectType, trigger.wallDir).some(status => {
+        switch (trigger.condition) {
+            case 'region':
+                return status.regionId === trigger.regionId;
+
+            case 'tile':
+                return status.x === trigger.x && status.y === trigger.y;
+
+            default:
+                return true;
+        }
+    });
+};
 
 /**
- * Set reflection properties of a reflectable object
- * @param {Game_Character | Game_Actor} char Reference to the character to be modified
- * @param {string} reflectChar File name of the new graphic to use as a reflection.
- * @param {number} reflectIndex Index of the character in the file to use as a reflection.
- * @param {boolean} enableFloor If true, enable floor reflections for the target actor.
- * @param {boolean} enableWall If true, enable wall reflections for the target actor.
- * @param {number | undefined} floorOpacity Set floor reflection opacity
- * @param {number | undefined} wallOpacity Set wall reflection opacity
- * @param {number | undefined} floorXOffset x offset of the floor reflection
- * @param {number | undefined} floorYOffset y offset of the floor reflection
- * @param {number | undefined} wallXOffset x offset of the wall reflection
- * @param {number | undefined} wallYOffset y offset of the wall reflection
- * @param {number | undefined} floorAngle Set floor reflection angle
- * @param {number | undefined} floorAngle Set wall reflection angle
+ * Runs a reflection trigger's action. Switches follow the condition, while common events only
+ * run when the condition starts being met.
+ * @param {KCDev.Mirrors.ReflectTrigger} trigger 
+ * @param {boolean} met Whether the condition is met now
  */
-KCDev.Mirrors.setCharacterReflect = function (char, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle) {
-    if (char) {
-        char.setReflectImage(reflectChar, reflectIndex);
-        char.reflectFloorToggle(enableFloor);
-        char.reflectWallToggle(enableWall);
-        char.setReflectFloorOpacity(floorOpacity);
-        char.setReflectWallOpacity(wallOpacity);
-        char.setReflectFloorXOffset(floorXOffset);
-        char.setReflectFloorYOffset(floorYOffset);
-        char.setReflectWallXOffset(wallXOffset);
-        char.setReflectWallYOffset(wallYOffset);
-        char.setReflectFloorAngle(floorAngle);
-        char.setReflectWallAngle(wallAngle);
+KCDev.Mirrors.runReflectTrigger = function (trigger, met) {
+    switch (trigger.action) {
+        case 'switch':
+            $gameSwitches.setValue(trigger.actionId, met);
+            break;
+
+        case 'self':
+            $gameSelfSwitches.setValue([$gameMap.mapId(), trigger.actionId, trigger.selfSwitch], met);
+            break;
+
+        case 'common':
+            if (met) {
+                $gameTemp.reserveCommonEvent(trigger.actionId);
+            }
+            break;
+
+        default:
+            break;
+    }
+};
+
+KCDev.Mirrors.setupMapReflectOptions = function () {
+
+    if (!$dataMap.meta) {
+        return;
+    }
+
+    const mapTarget = KCDev.Mirrors.applyReflectProfile($dataMap, $gameMap.reflectProfile());
+
+    const findMetaSimple = function (str) {
+        return KCDev.Mirrors.findMetaSimple(str, mapTarget);
+    };
+
+    const refType = 'Reflect_Type';
+    const refWallOff = 'Reflect_Wall_Offsets';
+    const refFloorOff = 'Reflect_Floor_Offsets';
+    const refFloorAngle = 'Reflect_Floor_Angle';
+    const refWallAngle = 'Reflect_Wall_Angle';
+    const metaFloorAngle = findMetaSimple(refFloorAngle);
+    const metaWallAngle = findMetaSimple(refWallAngle);
+    const metaRefType = findMetaSimple(refType);
+    const reflect = (typeof metaRefType === 'string') ? metaRefType.trim().toUpperCase() : undefined;
+    $gameMap.setReflectWall(reflect === 'WALL' || reflect === 'ALL' || reflect === undefined);
+    $gameMap.setReflectFloor(reflect === 'FLOOR' || reflect === 'ALL' || reflect === undefined);
+    const refMode = 'Reflect_Mode';
+    const metaRefMode = findMetaSimple(refMode);
+    const reflectMode = (typeof metaRefMode === 'string') ? metaRefMode.toUpperCase().trim() : undefined;
+    const metaRefWallOff = findMetaSimple(refWallOff) || '';
+    const metaRefFloorOff = findMetaSimple(refFloorOff) || '';
+    const wallOffs = metaRefWallOff.split(',').map(num => parseInt(num));
+    const floorOffs = metaRefFloorOff.split(',').map(num => parseInt(num));
+    $gameMap.setReflectFloorXOffset(floorOffs[0] || 0);
+    $gameMap.setReflectFloorYOffset(floorOffs[1] || 0);
+    $gameMap.setReflectWallXOffset(wallOffs[0] || 0);
+    $gameMap.setReflectWallYOffset(wallOffs[1] || 0);
+    $gameMap.setReflectFloorAngle(metaFloorAngle || 0);
+    $gameMap.setReflectWallAngle(metaWallAngle || 0);
+    const floorFilter = KCDev.Mirrors.parseFilterMeta(findMetaSimple('Reflect_Floor_Filter'));
+    const wallFilter = KCDev.Mirrors.parseFilterMeta(findMetaSimple('Reflect_Wall_Filter'));
+    $gameMap.setReflectFloorFilter(floorFilter.wave, floorFilter.blur, floorFilter.speed);
+    $gameMap.setReflectWallFilter(wallFilter.wave, wallFilter.blur, wallFilter.speed);
+    $gameMap.setReflectFloorTone(KCDev.Mirrors.parseToneMeta(findMetaSimple('Reflect_Floor_Tone')));
+    $gameMap.setReflectWallTone(KCDev.Mirrors.parseToneMeta(findMetaSimple('Reflect_Wall_Tone')));
+    $gameMap.setReflectBlendMode(KCDev.Mirrors.parseBlendMeta(findMetaSimple('Reflect_Blend')));
+    const tileRange = parseInt(findMetaSimple('Reflect_Tiles'));
+    $gameMap.setReflectTileRange(isNaN(tileRange) ? KCDev.Mirrors.tileReflectRange : tileRange);
+    switch (reflectMode) {
+        case 'PERSPECTIVE':
+            $gameMap.setReflectMode(KCDev.Mirrors.wallModes.perspective);
+            break;
+
+        case 'EVENT':
+            $gameMap.setReflectMode(KCDev.Mirrors.wallModes.event);
+            break;
+
+        case 'MIRROR':
+            $gameMap.setReflectMode(KCDev.Mirrors.wallModes.mirror);
+            break;
+
+        default:
+            $gameMap.setReflectMode(KCDev.Mirrors.getWallReflectMode());
+            break;
     }
 };
 
 /**
- * 
- * @param {Game_Character | Game_Actor} char 
+ * Converts a filter note tag value into filter settings
+ * @param {string | undefined} metaValue Value of a <REFLECT_FLOOR_FILTER> or <REFLECT_WALL_FILTER> tag
+ * @returns {KCDev.Mirrors.ReflectFilterSettings}
  */
-KCDev.Mirrors.resetCharacterReflectImage = function (char) {
-    if (char) {
-        char.setReflectImage();
-    }
+KCDev.Mirrors.parseFilterMeta = function (metaValue) {
+    const values = (typeof metaValue === 'string') ? metaValue.split(',').map(num => parseFloat(num)) : [];
+    return {
+        wave: values[0] || 0,
+        blur: values[1] || 0,
+        speed: isNaN(values[2]) ? 1 : values[2]
+    };
 };
 
 /**
- * Set reflection properties of an event on the map.
- * @param {number} eventId ID of the event to change the reflection properties of.
- * @param {string} reflectChar File name of the new graphic to use as a reflection.
- * @param {number} reflectIndex Index of the character in the file to use as a reflection.
- * @param {boolean} enableFloor If true, enable floor reflections for the target actor.
- * @param {boolean} enableWall If true, enable wall reflections for the target actor.
- * @param {number | undefined} floorOpacity Set floor reflection opacity
- * @param {number | undefined} wallOpacity Set wall reflection opacity
- * @param {number | undefined} floorXOffset x offset of the floor reflection
- * @param {number | undefined} floorYOffset y offset of the floor reflection
- * @param {number | undefined} wallXOffset x offset of the wall reflection
- * @param {number | undefined} wallYOffset y offset of the wall reflection
- * @param {number | undefined} floorAngle Set floor reflection angle
- * @param {number | undefined} floorAngle Set wall reflection angle
+ * New method: Game_Map.prototype.reflectFloorFilter
+ * @returns {KCDev.Mirrors.ReflectFilterSettings}
  */
-KCDev.Mirrors.setEventReflect = function (eventId, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle) {
-    const event = $gameMap.event(eventId === 0 ? this.eventId() : eventId);
-    if (event) {
-        KCDev.Mirrors.setCharacterReflect(event, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle);
-    }
+Game_Map.prototype.reflectFloorFilter = function () {
+    return this._reflectFloorFilter || KCDev.Mirrors.defaultFilterSettings;
+};
 
+/**
+ * New method: Game_Map.prototype.setReflectFloorFilter
+ * @param {number} wave Distance in pixels the wave distortion moves the reflection
+ * @param {number} blur Strength of the blur
+ * @param {number} speed Number of ripples that pass every second
+ */
+Game_Map.prototype.setReflectFloorFilter = function (wave = 0, blur = 0, speed = 1) {
+    this._reflectFloorFilter = { wave: wave, blur: blur, speed: speed };
 };
 
 /**
- * Makes the event's reflection the same as the event graphic.
- * @param {number} eventId Event to target
+ * New method: Game_Map.prototype.reflectWallFilter
+ * @returns {KCDev.Mirrors.ReflectFilterSettings}
  */
-KCDev.Mirrors.resetEventReflectImage = function (eventId) {
-    const event = $gameMap.event(eventId === 0 ? this.eventId() : eventId);
-    if (event) {
-        KCDev.Mirrors.resetCharacterReflectImage(event);
-    }
+Game_Map.prototype.reflectWallFilter = function () {
+    return this._reflectWallFilter || KCDev.Mirrors.defaultFilterSettings;
+};
 
+/**
+ * New method: Game_Map.prototype.setReflectWallFilter
+ * @param {number} wave Distance in pixels the wave distortion moves the reflection
+ * @param {number} blur Strength of the blur
+ * @param {number} speed Number of ripples that pass every second
+ */
+Game_Map.prototype.setReflectWallFilter = function (wave = 0, blur = 0, speed = 1) {
+    this._reflectWallFilter = { wave: wave, blur: blur, speed: speed };
 };
 
 /**
- * Takes an actor ID and converts 0 to the party leader's actor ID and negative numbers to
- * the follower actors' IDs.
- * @param {number} actorId ID of the actor or party member index
- * @returns {number}
+ * New method: Game_Map.prototype.reflectFloorXOffset
  */
-KCDev.Mirrors.getRealActorId = function (actorId) {
-    if (actorId < 1) {
-        if (actorId === 0) {
-            if ($gameParty.size() > 0) {
-                return $gameParty.leader().actorId();
-            }
-            else return -1;
-        }
-        else {
-            const followers = $gamePlayer.followers();
-            const follower = followers.follower(Math.abs(actorId) - 1);
-            if (follower && follower.actor()) {
-                return follower.actor().actorId();
-            }
-            else {
-                return -1;
-            }
-        }
-    }
-    return actorId;
+Game_Map.prototype.reflectFloorXOffset = function () {
+    return this._reflectFloorXOff || 0;
 };
 
 /**
- * Set reflection properties of an actor.
- * @param {number} actorId ID the actor to target.
- * @param {string} reflectChar File name of the new graphic to use as a reflection.
- * @param {number} reflectIndex Index of the character in the file to use as a reflection.
- * @param {boolean} enableFloor If true, enable floor reflections for the target actor.
- * @param {boolean} enableWall If true, enable wall reflections for the target actor.
- * @param {number | undefined} floorOpacity Set floor reflection opacity
- * @param {number | undefined} wallOpacity Set wall reflection opacity
- * @param {number | undefined} floorXOffset x offset of the floor reflection
- * @param {number | undefined} floorYOffset y offset of the floor reflection
- * @param {number | undefined} wallXOffset x offset of the wall reflection
- * @param {number | undefined} wallYOffset y offset of the wall reflection
- * @param {number | undefined} floorAngle Set floor reflection angle
- * @param {number | undefined} floorAngle Set wall reflection angle
+ * New method: Game_Map.prototype.setReflectFloorXOffset
+ * @param {number} x New x offset
  */
-KCDev.Mirrors.setActorReflect = function (actorId, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle) {
-    const realId = KCDev.Mirrors.getRealActorId(actorId);
-    if (realId < 0) return;
-    const actor = $gameActors.actor(realId);
-    if (actor) {
-        KCDev.Mirrors.setCharacterReflect(actor, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle);
-    }
+Game_Map.prototype.setReflectFloorXOffset = function (x = 0) {
+    this._reflectFloorXOff = x;
+};
+
+/**
+ * New method: Game_Map.prototype.reflectFloorYOffset
+ */
+Game_Map.prototype.reflectFloorYOffset = function () {
+    return this._reflectFloorYOff || 0;
+};
+
+/**
+ * New method: Game_Map.prototype.setReflectFloorYOffset
+ * @param {number} y New y offset
+ */
+Game_Map.prototype.setReflectFloorYOffset = function (y = 0) {
+    this._reflectFloorYOff = y;
+};
+
+/**
+ * New method: Game_Map.prototype.reflectWallXOffset
+ */
+Game_Map.prototype.reflectWallXOffset = function () {
+    return this._reflectWallXOff || 0;
+};
+
+/**
+ * New method: Game_Map.prototype.setReflectFloorXOffset
+ * @param {number} x New x offset
+ */
+Game_Map.prototype.setReflectWallXOffset = function (x = 0) {
+    this._reflectWallXOff = x;
+};
+
+/**
+ * New method: Game_Map.prototype.reflectWallYOffset
+ */
+Game_Map.prototype.reflectWallYOffset = function () {
+    return this._reflectWallYOff || 0;
 };
 
 /**
- * Sets the target actor's reflection graphic to be the same as their character graphic.
- * @param {number} actorId Targetted actor's ID
- * @returns {void}
+ * New method: Game_Map.prototype.setReflectWallYOffset
+ * @param {number} y New y offset
  */
-KCDev.Mirrors.resetActorReflectImage = function (actorId) {
-    const realId = KCDev.Mirrors.getRealActorId(actorId);
-    if (realId < 0) return;
-    const actor = $gameActors.actor(realId);
-    if (actor) {
-        KCDev.Mirrors.resetCharacterReflectImage(actor);
-    }
+Game_Map.prototype.setReflectWallYOffset = function (y = 0) {
+    this._reflectWallYOff = y;
 };
 
 /**
- * 
- * @param {'boat' | 'ship' | 'airship'} vehicleName 
+ * New method: Game_Map.prototype.reflectTileRange
+ * Returns how close upper layer tiles must be to a reflective floor tile to be reflected
+ * @returns {number}
  */
-KCDev.Mirrors.getVehicleCharacter = function (vehicleName) {
-    switch (vehicleName) {
-        case 'boat':
-            return $gameMap.boat();
-            break;
-
-        case 'airship':
-            return $gameMap.airship();
-            break;
+Game_Map.prototype.reflectTileRange = function () {
+    return this._reflectTileRange || 0;
+};
 
-        case 'ship':
-            return $gameMap.ship();
-            break;
+/**
+ * New method: Game_Map.prototype.setReflectTileRange
+ * @param {number} range Distance in tiles. 0 disables tile reflections.
+ */
+Game_Map.prototype.setReflectTileRange = function (range = 0) {
+    this._reflectTileRange = range;
+};
 
-        default:
-            break;
+KCDev.Mirrors.Game_Map_refresh = Game_Map.prototype.refresh;
+/**
+ * Aliased method: Game_Map.prototype.refresh
+ */
+Game_Map.prototype.refresh = function () {
+    KCDev.Mirrors.Game_Map_refresh.apply(this, arguments);
+    if ($gameMap._reflectMode === undefined) {
+        KCDev.Mirrors.setupMapReflectOptions();
+        $gameMap.setupReflectTriggers();
+        for (const event of $gameMap.events()) {
+            if (event && event._reflectName === undefined) {
+                KCDev.Mirrors.parseMetaValues(event, event.event(), KCDev.Mirrors.eventDefault, false);
+            }
+        }
     }
-
-    return null;
 };
 
+KCDev.Mirrors.Game_Map_update = Game_Map.prototype.update;
 /**
- * Set reflection properties of an actor.
- * @param {'boat' | 'ship' | 'airship'} vehicleName Name of the vehicle to target.
- * @param {string} reflectChar File name of the new graphic to use as a reflection.
- * @param {number} reflectIndex Index of the character in the file to use as a reflection.
- * @param {boolean} enableFloor If true, enable floor reflections for the target actor.
- * @param {boolean} enableWall If true, enable wall reflections for the target actor.
- * @param {number | undefined} floorOpacity Set floor reflection opacity
- * @param {number | undefined} wallOpacity Set wall reflection opacity
- * @param {number | undefined} floorXOffset x offset of the floor reflection
- * @param {number | undefined} floorYOffset y offset of the floor reflection
- * @param {number | undefined} wallXOffset x offset of the wall reflection
- * @param {number | undefined} wallYOffset y offset of the wall reflection
- * @param {number | undefined} floorAngle Set floor reflection angle
- * @param {number | undefined} floorAngle Set wall reflection angle
+ * Aliased method: Game_Map.prototype.update
+ * Advances reflection tweens on actors. These are copied to the player and followers when they update.
+ * Also checks the reflection triggers on this map.
  */
-KCDev.Mirrors.setVehicleReflect = function (vehicleName, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle) {
-    const vehicle = KCDev.Mirrors.getVehicleCharacter(vehicleName);
-
-    if (vehicle) {
-        KCDev.Mirrors.setCharacterReflect(vehicle, reflectChar, reflectIndex, enableFloor, enableWall, floorOpacity, wallOpacity, floorXOffset, floorYOffset, wallXOffset, wallYOffset, floorAngle, wallAngle);
+Game_Map.prototype.update = function () {
+    KCDev.Mirrors.Game_Map_update.apply(this, arguments);
+    for (const actor of $gameActors._data) {
+        if (actor) {
+            actor.updateReflectTweens();
+        }
     }
-
+    this.updateReflectTriggers();
 };
 
+KCDev.Mirrors.Game_Map_setup = Game_Map.prototype.setup;
 /**
- * Sets the target vehicle's reflection graphic to be the same as their character graphic.
- * @param {string} vehicleName Targetted actor's ID
- * @returns {void}
+ * Aliased method: Game_Map.prototype.setup
+ * Parse map information from note tags
+ * @param {number} mapId 
  */
-KCDev.Mirrors.resetVehicleReflectImage = function (vehicleName) {
-    const vehicle = KCDev.Mirrors.getVehicleCharacter(vehicleName);
+Game_Map.prototype.setup = function (mapId) {
+    KCDev.Mirrors.Game_Map_setup.apply(this, arguments);
+    this.setReflectProfile('');
+    KCDev.Mirrors.setupMapReflectOptions();
+    this.setupReflectTriggers();
+};
 
-    if (vehicle) {
-        KCDev.Mirrors.resetCharacterReflectImage(vehicle);
-    }
+/**
+ * New method: Game_Map.prototype.reflectProfile
+ * @returns {string} Name of the reflection profile set by a plugin command, or an empty string to use the map's note tags
+ */
+Game_Map.prototype.reflectProfile = function () {
+    return this._reflectProfile || '';
 };
 
 /**
- * Sets the wall reflection variable type to a new value.
- * @param {string} mode New wall reflection mode.
+ * New method: Game_Map.prototype.setReflectProfile
+ * @param {string} name Name of a reflection profile, or an empty string to use the map's note tags
  */
-KCDev.Mirrors.setWallReflectMode = function (mode = KCDev.Mirrors.wallReflectType) {
-    if (KCDev.Mirrors.wallReflectVar) {
-        $gameVariables.setValue(KCDev.Mirrors.wallReflectVar, mode);
-    }
+Game_Map.prototype.setReflectProfile = function (name = '') {
+    this._reflectProfile = name;
 };
 
 /**
- * Get current wall reflection mode in the plugin config
- * This can be overwritten by map settings
- * @returns {number}
+ * New method: Game_Map.prototype.setupReflectTriggers
+ * Reads the <REFLECT_TRIGGER> note tags of the map and its events
  */
-KCDev.Mirrors.getWallReflectMode = function () {
-    if (KCDev.Mirrors.wallReflectVar) {
-        const val = $gameVariables.value(KCDev.Mirrors.wallReflectVar);
-        if (KCDev.Mirrors.wallModes[val] !== undefined) {
-            return KCDev.Mirrors.wallModes[val];
+Game_Map.prototype.setupReflectTriggers = function () {
+    this._reflectTriggers = $dataMap ? KCDev.Mirrors.parseReflectTriggers($dataMap.note, 0) : [];
+    if ($dataMap && $dataMap.events) {
+        for (const event of $dataMap.events) {
+            if (event) {
+                this._reflectTriggers.push(...KCDev.Mirrors.parseReflectTriggers(event.note, event.id));
+            }
         }
     }
-    return KCDev.Mirrors.wallModes[KCDev.Mirrors.wallReflectType];
 };
 
 /**
- * Returns a list of arguments to set the target's reflection properties and substitutes values that are
- * unchanged for the current values.
- * @param {Game_Character} char Character that is being updated
- * @param {KCDev.Mirrors.GeneralCommandArgs} args Plugin command arguments
- * @returns {Array<any>}
+ * New method: Game_Map.prototype.reflectTriggers
+ * @returns {KCDev.Mirrors.ReflectTrigger[]}
  */
-KCDev.Mirrors.convertChangeReflectArgs = function (char, args) {
-    if (!char) {
-        return null;
-    }
+Game_Map.prototype.reflectTriggers = function () {
+    return this._reflectTriggers || [];
+};
 
-    // backwards compatibility
-    for (const key in args) {
-        if (args[key] === 'unchanged') {
-            args[key] = '';
+/**
+ * New method: Game_Map.prototype.updateReflectTriggers
+ * Checks every reflection trigger and runs its action when its condition starts or stops being met.
+ * Only game objects are checked, so the result does not depend on what is drawn on screen.
+ */
+Game_Map.prototype.updateReflectTriggers = function () {
+    for (const trigger of this.reflectTriggers()) {
+        const met = KCDev.Mirrors.isReflectTriggerMet(trigger);
+        if (met !== trigger.met) {
+            trigger.met = met;
+            KCDev.Mirrors.runReflectTrigger(trigger, met);
         }
     }
-
-    const id = args.id;
-    const character = args.character === '' ? char._reflectName : args.character;
-    const index = args.index === '' ? char._reflectIndex : args.index;
-    const reflectFloor = args.reflectFloor === '' ? char._reflectFloor : args.reflectFloor;
-    const reflectWall = args.reflectWall === '' ? char._reflectWall : args.reflectWall;
-    const reflectFloorOpacity = typeof (args.reflectFloorOpacity) !== 'number' ? char._reflectFloorOpacity : (args.reflectFloorOpacity === -1 ? undefined : args.reflectFloorOpacity);
-    const reflectWallOpacity = typeof (args.reflectWallOpacity) !== 'number' ? char._reflectWallOpacity : (args.reflectWallOpacity === -1 ? undefined : args.reflectWallOpacity);
-    const reflectFloorXOff = typeof (args.reflectFloorXOffset) !== 'number' ? char._reflectFloorXOff : args.reflectFloorXOffset;
-    const reflectFloorYOff = typeof (args.reflectFloorYOffset) !== 'number' ? char._reflectFloorYOff : args.reflectFloorYOffset;
-    const reflectWallXOff = typeof (args.reflectWallXOffset) !== 'number' ? char._reflectWallXOff : args.reflectWallXOffset;
-    const reflectWallYOff = typeof (args.reflectWallYOffset) !== 'number' ? char._reflectWallYOff : args.reflectWallYOffset;
-    const reflectFloorAngle = typeof (args.reflectFloorAngle) !== 'number' ? char._reflectFloorAngle : args.reflectFloorAngle;
-    const reflectWallAngle = typeof (args.reflectWallAngle) !== 'number' ? char._reflectWallAngle : args.reflectWallAngle;
-    return [id, character.trim(), index, reflectFloor, reflectWall, reflectFloorOpacity, reflectWallOpacity, reflectFloorXOff, reflectFloorYOff, reflectWallXOff, reflectWallYOff, reflectFloorAngle, reflectWallAngle];
 };
 
 /**
- * Overrides map settings. These params are usually controlled through note tags
- * @param {boolean | string} floorEnabled If false globally disable floor reflections for current map
- * @param {boolean | string} wallEnabled If false globally disable wall reflections for current map
- * @param {string} mode Reflection mode
- * @param {number | string} floorAngle
- * @param {number | string} wallAngle
+ * New method: Game_Map.prototype.reflectWall
+ * Returns whether wall reflections are enabled for the current map
+ * We need to invert this to maintain backwards compatibility with
+ * older versions of the plugin
+ * @returns {boolean}
  */
-KCDev.Mirrors.overrideMapSettings = function (floorEnabled = '', wallEnabled = '', mode = '', floorAngle = '', wallAngle = '') {
-
-    // backwards compatibility
-    if (floorEnabled === 'unchanged') {
-        floorEnabled = '';
-    }
-    if (wallEnabled === 'unchanged') {
-        wallEnabled = '';
-    }
-    if (mode === 'unchanged') {
-        mode = '';
-    }
-
-
-    const refType = 'Reflect_Type';
-    const metaRefType = KCDev.Mirrors.findMetaSimple(refType, $dataMap);
-    const reflect = (typeof metaRefType === 'string') ? metaRefType.trim().toUpperCase() : undefined;
-    if (floorEnabled !== '') $gameMap.setReflectFloor(floorEnabled === 'map notes' ? reflect === 'FLOOR' || reflect === 'ALL' || reflect === undefined : floorEnabled === 'allow');
-    if (wallEnabled !== '') $gameMap.setReflectWall(wallEnabled === 'map notes' ? reflect === 'WALL' || reflect === 'ALL' || reflect === undefined : wallEnabled === 'allow');
-
-    if (mode !== '') {
-        if (mode === 'map notes') {
-            const refMode = 'Reflect_Mode';
-            const metaRefMode = KCDev.Mirrors.findMetaSimple(refMode, $dataMap);
-            mode = (typeof metaRefMode === 'string') ? metaRefMode.toLowerCase().trim() : undefined;
-        }
-        switch (mode) {
-            case 'perspective':
-                $gameMap.setReflectMode(KCDev.Mirrors.wallModes.perspective);
-                break;
-
-            case 'event':
-                $gameMap.setReflectMode(KCDev.Mirrors.wallModes.event);
-                break;
+Game_Map.prototype.reflectWall = function () {
+    return this._reflectWall;
+};
 
-            default:
-                $gameMap.setReflectMode(KCDev.Mirrors.getWallReflectMode());
-                break;
-        }
-    }
+/**
+ * New method: Game_Map.prototype.reflectFloor
+ * Returns whether floor reflections are enabled for the current map
+ * We need to invert this to maintain backwards compatibility with
+ * older versions of the plugin
+ * @returns {boolean}
+ */
+Game_Map.prototype.reflectFloor = function () {
+    return this._reflectFloor;
+};
 
-    if (typeof floorAngle === 'number') {
-        $gameMap.setReflectFloorAngle(floorAngle);
-    }
+/**
+ * New method: Game_Map.prototype.setReflectWall
+ * Globally enable or disable wall reflections for the map
+ * @param {boolean} reflectWall 
+ */
+Game_Map.prototype.setReflectWall = function (reflectWall = false) {
+    this._reflectWall = reflectWall;
+};
 
-    if (typeof wallAngle === 'number') {
-        $gameMap.setReflectWallAngle(wallAngle);
-    }
+/**
+ * New method: Game_Map.prototype.setReflectFloor
+ * Globally enable or disable floor reflections for the map
+ * @param {boolean} reflectFloor 
+ */
+Game_Map.prototype.setReflectFloor = function (reflectFloor = false) {
+    this._reflectFloor = reflectFloor;
 };
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// END EVENT COMMAND DEFINITIONS                                                                              //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * New method: Game_Map.prototype.reflectMode
+ */
+Game_Map.prototype.reflectMode = function () {
+    return this._reflectMode;
+};
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START Game_CharacterBase edits                                                                             //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * New method: Game_Map.prototype.setReflectMode
+ * @param {number} mode 
+ */
+Game_Map.prototype.setReflectMode = function (mode) {
+    this._reflectMode = mode;
+};
 
-KCDev.Mirrors.Game_CharacterBase_initMembers = Game_CharacterBase.prototype.initMembers;
 /**
- * Aliased method: Game_CharacterBase.prototype.initMembers
- * Adds default values for the reflection name and index. These values tell this plugin that
- * the reflection should use the character graphic.
+ * New method: Game_Map.prototype.reflectFloorRotation
  */
-Game_CharacterBase.prototype.initMembers = function () {
-    KCDev.Mirrors.Game_CharacterBase_initMembers.apply(this, arguments);
-    this._reflectName = '';
-    this._reflectIndex = -1;
+Game_Map.prototype.reflectFloorRotation = function () {
+    return this._reflectFloorRotation || 0;
+};
+
+/**
+ * New method: Game_Map.prototype.reflectFloorRotation
+ * @param {number} r New rotation (in radians)
+ */
+Game_Map.prototype.setReflectFloorRotation = function (r = 0) {
+    this._reflectFloorRotation = r;
 };
 
-KCDev.Mirrors.Game_CharacterBase_setImage = Game_CharacterBase.prototype.setImage;
 /**
- * Aliased method: Game_CharacterBase.prototype.setImage
- * Added a reflection refresh whenever the event's character image changes.
- * @param {string} characterName New character file name
- * @param {number} characterIndex Index of the character to use
+ * New method: Game_Map.prototype.reflectFloorAngle
  */
-Game_CharacterBase.prototype.setImage = function (characterName, characterIndex) {
-    KCDev.Mirrors.Game_CharacterBase_setImage.apply(this, arguments);
-    this.requestReflectRefresh();
+Game_Map.prototype.reflectFloorAngle = function () {
+    return KCDev.Mirrors.radiansToAngle(this.reflectFloorRotation());
 };
 
 /**
- * New method: Game_CharacterBase.prototype.setReflectImage
- * Sets the reflection graphic for a character
- * @param {string} filename New reflection image's file name
- * @param {number} index Index of the character to use in the file name
+ * New method: Game_Map.prototype.reflectFloorAngle
+ * @param {number} a New angle (in degrees)
  */
-Game_CharacterBase.prototype.setReflectImage = function (filename = '', index = -1) {
-    this._reflectName = filename.trim();
-    this._reflectIndex = index;
-    this.requestReflectRefresh();
+Game_Map.prototype.setReflectFloorAngle = function (a = 0) {
+    this.setReflectFloorRotation(KCDev.Mirrors.angleToRadians(a));
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectName
- * Returns the reflection graphic's filename.
- * Returns an empty string if the reflection is mapped to the regular character graphic.
- * @returns {string}
+ * New method: Game_Map.prototype.reflectWallRotation
  */
-Game_CharacterBase.prototype.reflectName = function () {
-    return this._reflectName || '';
+Game_Map.prototype.reflectWallRotation = function () {
+    return this._reflectWallRotation || 0;
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectIndex
- * Returns the index of the reflection graphic. Returns -1 if the graphic is regular character graphic's index
- * @returns {number}
+ * New method: Game_Map.prototype.reflectWallRotation
+ * @param {number} r New rotation (in radians)
  */
-Game_CharacterBase.prototype.reflectIndex = function () {
-    return this._reflectIndex || -1;
+Game_Map.prototype.setReflectWallRotation = function (r = 0) {
+    this._reflectWallRotation = r;
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectWallToggle
- * Enables or disables the wall reflection.
- * @param {boolean} reflect True if wall reflection is on, false otherwise
+ * New method: Game_Map.prototype.reflectWallAngle
  */
-Game_CharacterBase.prototype.reflectWallToggle = function (reflect = !this.reflectWall()) {
-    this._reflectWall = !!reflect;
+Game_Map.prototype.reflectWallAngle = function () {
+    return KCDev.Mirrors.radiansToAngle(this.reflectWallRotation());
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectWall
- * Returns the current state of the wall reflection, true for enabled and false for disabled.
- * @returns {boolean}
+ * New method: Game_Map.prototype.setReflectWallAngle
+ * @param {number} a New angle (in degrees)
  */
-Game_CharacterBase.prototype.reflectWall = function () {
-    return this._reflectWall;
+Game_Map.prototype.setReflectWallAngle = function (a = 0) {
+    this.setReflectWallRotation(KCDev.Mirrors.angleToRadians(a));
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectFloorToggle
- * Set state of floor reflection
- * @param {boolean} reflect True if floor reflection is on, false otherwise
+ * New method: Game_Map.prototype.reflectFloorTone
+ * @returns {number[] | null}
  */
-Game_CharacterBase.prototype.reflectFloorToggle = function (reflect = !this.reflectFloor()) {
-    this._reflectFloor = !!reflect;
+Game_Map.prototype.reflectFloorTone = function () {
+    return this._reflectFloorTone || null;
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectFloor
- * Returns true if the floor reflection is on for this character, false otherwise.
- * @returns {boolean}
+ * New method: Game_Map.prototype.setReflectFloorTone
+ * @param {number[] | null} tone New color tone, or null to remove it
  */
-Game_CharacterBase.prototype.reflectFloor = function () {
-    return this._reflectFloor;
+Game_Map.prototype.setReflectFloorTone = function (tone = null) {
+    this._reflectFloorTone = tone;
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectDisable
- * Disables wall and floor reflections for this character.
+ * New method: Game_Map.prototype.reflectWallTone
+ * @returns {number[] | null}
  */
-Game_CharacterBase.prototype.reflectDisable = function () {
-    this.reflectFloorToggle(false);
-    this.reflectWallToggle(false);
+Game_Map.prototype.reflectWallTone = function () {
+    return this._reflectWallTone || null;
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectEnable
- * Enables wall and floor reflections for this character.
+ * New method: Game_Map.prototype.setReflectWallTone
+ * @param {number[] | null} tone New color tone, or null to remove it
  */
-Game_CharacterBase.prototype.reflectEnable = function () {
-    this.reflectFloorToggle(true);
-    this.reflectWallToggle(true);
+Game_Map.prototype.setReflectWallTone = function (tone = null) {
+    this._reflectWallTone = tone;
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectRefreshRequested
- * Returns true if a refresh has been requested for the reflection graphic.
- * @returns {boolean}
+ * New method: Game_Map.prototype.reflectBlendMode
+ * @returns {string} Blend mode name, or an empty string if it is not overridden
  */
-Game_CharacterBase.prototype.reflectRefreshRequested = function () {
-    return this._reflectRefreshRequested;
+Game_Map.prototype.reflectBlendMode = function () {
+    return this._reflectBlendMode || '';
 };
 
 /**
- * New method: Game_CharacterBase.prototype.requestReflectRefresh
- * Requests for the reflection graphic to be updated on the next update
+ * New method: Game_Map.prototype.setReflectBlendMode
+ * @param {string} blendMode 'normal', 'add', 'multiply', 'screen', or an empty string
  */
-Game_CharacterBase.prototype.requestReflectRefresh = function () {
-    this._reflectRefreshRequested = true;
+Game_Map.prototype.setReflectBlendMode = function (blendMode = '') {
+    this._reflectBlendMode = blendMode;
 };
 
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_Map edits                                                                                         //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_System edits                                                                                    //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
 /**
- * New method: Game_CharacterBase.prototype.clearReflectRefresh
- * Clears reflection graphic refresh requests.
+ * New method: Game_System.prototype.reflectBattle
+ * Returns whether battles start with floor reflections enabled
+ * @returns {boolean}
  */
-Game_CharacterBase.prototype.clearReflectRefresh = function () {
-    this._reflectRefreshRequested = false;
+Game_System.prototype.reflectBattle = function () {
+    return this._reflectBattle === undefined ? KCDev.Mirrors.battleReflect : this._reflectBattle;
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectOpacity
- * Returns floor reflection opacity for this character
- * @returns {number | undefined}
+ * New method: Game_System.prototype.setReflectBattle
+ * @param {boolean} reflectBattle 
  */
-Game_CharacterBase.prototype.reflectFloorOpacity = function () {
-    return this._reflectFloorOpacity;
+Game_System.prototype.setReflectBattle = function (reflectBattle) {
+    this._reflectBattle = reflectBattle;
 };
 
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_System edits                                                                                      //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_Troop edits                                                                                     //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+KCDev.Mirrors.Game_Troop_setup = Game_Troop.prototype.setup;
 /**
- * New method: Game_CharacterBase.prototype.reflectWallOpacity
- * Returns wall reflection opacity for this character
- * @returns {number | undefined}
+ * Aliased method: Game_Troop.prototype.setup
+ * Parse battle reflection settings from the troop's comment tags
+ * @param {number} troopId 
  */
-Game_CharacterBase.prototype.reflectWallOpacity = function () {
-    return this._reflectWallOpacity;
+Game_Troop.prototype.setup = function (troopId) {
+    KCDev.Mirrors.Game_Troop_setup.apply(this, arguments);
+    this.setupReflectOptions();
 };
 
 /**
- * New method: Game_CharacterBase.prototype.setReflectFloorOpacity
- * @param {number | undefined} opacity New opacity
+ * New method: Game_Troop.prototype.setupReflectOptions
+ * Troops don't have a note box, so the note tags are read from the comments on the first page of the troop event
  */
-Game_CharacterBase.prototype.setReflectFloorOpacity = function (opacity) {
-    this._reflectFloorOpacity = opacity;
+Game_Troop.prototype.setupReflectOptions = function () {
+    const page = this.troop().pages[0];
+    const comments = page ? page.list.filter(command => command.code === 108 || command.code === 408) : [];
+    const note = { note: comments.map(command => command.parameters[0]).join('\n') };
+    DataManager.extractMetadata(note);
+    const data = KCDev.Mirrors.applyReflectProfile(note);
+
+    const findMetaSimple = function (str) {
+        return KCDev.Mirrors.findMetaSimple(str, data);
+    };
+
+    const metaRefType = findMetaSimple('Reflect_Type');
+    const reflect = (typeof metaRefType === 'string') ? metaRefType.trim().toUpperCase() : undefined;
+    switch (reflect) {
+        case 'FLOOR':
+        case 'ALL':
+            this.setReflectFloor(true);
+            break;
+
+        case 'WALL':
+        case 'NONE':
+            this.setReflectFloor(false);
+            break;
+
+        default:
+            this.setReflectFloor($gameSystem.reflectBattle());
+            break;
+    }
+
+    const floorOffs = String(findMetaSimple('Reflect_Floor_Offsets') || '').split(',').map(num => Number(num));
+    const opacity = Number(findMetaSimple('Reflect_Floor_Opacity'));
+    this.setReflectFloorXOffset(floorOffs[0] || 0);
+    this.setReflectFloorYOffset(floorOffs[1] || 0);
+    this.setReflectFloorOpacity(isNaN(opacity) ? undefined : opacity);
 };
 
+// Troops share the map's floor settings methods
+Game_Troop.prototype.reflectFloor = Game_Map.prototype.reflectFloor;
+Game_Troop.prototype.setReflectFloor = Game_Map.prototype.setReflectFloor;
+Game_Troop.prototype.reflectFloorXOffset = Game_Map.prototype.reflectFloorXOffset;
+Game_Troop.prototype.setReflectFloorXOffset = Game_Map.prototype.setReflectFloorXOffset;
+Game_Troop.prototype.reflectFloorYOffset = Game_Map.prototype.reflectFloorYOffset;
+Game_Troop.prototype.setReflectFloorYOffset = Game_Map.prototype.setReflectFloorYOffset;
+Game_Troop.prototype.reflectFloorOpacity = Game_CharacterBase.prototype.reflectFloorOpacity;
+Game_Troop.prototype.setReflectFloorOpacity = Game_CharacterBase.prototype.setReflectFloorOpacity;
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_Troop edits                                                                                       //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Game_Enemy edits                                                                                     //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+KCDev.Mirrors.Game_Enemy_setup = Game_Enemy.prototype.setup;
 /**
- * New method: Game_CharacterBase.prototype.setReflectWallOpacity
- * @param {number | undefined} opacity New opacity
+ * Aliased method: Game_Enemy.prototype.setup
+ * Parse battle reflection settings from the enemy's note tags
+ * @param {number} enemyId 
+ * @param {number} x 
+ * @param {number} y 
  */
-Game_CharacterBase.prototype.setReflectWallOpacity = function (opacity) {
-    this._reflectWallOpacity = opacity;
+Game_Enemy.prototype.setup = function (enemyId, x, y) {
+    KCDev.Mirrors.Game_Enemy_setup.apply(this, arguments);
+    KCDev.Mirrors.parseMetaValues(this, $dataEnemies[enemyId], KCDev.Mirrors.enemyDefault, false);
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectFloorXOffset
+ * Reflection methods that Game_Enemy borrows from Game_CharacterBase. Battle only draws floor reflections,
+ * so these are the floor settings read by KCDev.Mirrors.Sprite_BattlerReflect plus the setters that
+ * KCDev.Mirrors.parseMetaValues calls while reading the enemy's note tags.
+ * @type {string[]}
  */
-Game_CharacterBase.prototype.reflectFloorXOffset = function () {
-    return this._reflectFloorXOff || 0;
-};
+KCDev.Mirrors.enemyReflectMethods = [
+    'reflectEnable',
+    'reflectDisable',
+    'reflectFloor',
+    'reflectFloorToggle',
+    'reflectWall',
+    'reflectWallToggle',
+    'reflectFloorOpacity',
+    'setReflectFloorOpacity',
+    'setReflectWallOpacity',
+    'reflectFloorXOffset',
+    'setReflectFloorXOffset',
+    'reflectFloorYOffset',
+    'setReflectFloorYOffset',
+    'setReflectWallXOffset',
+    'setReflectWallYOffset',
+    'setReflectFloorRotation',
+    'setReflectFloorAngle',
+    'setReflectWallRotation',
+    'setReflectWallAngle',
+    'reflectFloorTone',
+    'setReflectFloorTone',
+    'setReflectWallTone',
+    'reflectBlendMode',
+    'setReflectBlendMode'
+];
+
+KCDev.Mirrors.enemyReflectMethods.forEach(method => {
+    Game_Enemy.prototype[method] = Game_CharacterBase.prototype[method];
+});
+Game_Enemy.prototype.setReflectImage = Game_Actor.prototype.setReflectImage;
 
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Game_Enemy edits                                                                                       //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Sprite_Character edits                                                                               //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+KCDev.Mirrors.Sprite_Character_updateVisibility = Sprite_Character.prototype.updateVisibility;
 /**
- * New method: Game_CharacterBase.prototype.setReflectFloorXOffset
- * @param {number} x New x offset
+ * Aliased method: Sprite_Character.prototype.updateVisibility
+ * Hides characters that should only appear in their reflections
  */
-Game_CharacterBase.prototype.setReflectFloorXOffset = function (x = 0) {
-    this._reflectFloorXOff = x;
+Sprite_Character.prototype.updateVisibility = function () {
+    KCDev.Mirrors.Sprite_Character_updateVisibility.apply(this, arguments);
+    this._reflectOnlyHidden = this.visible && !!this._character && this._character.isReflectOnly();
+    if (this._reflectOnlyHidden) {
+        this.visible = false;
+    }
 };
 
+KCDev.Mirrors.Sprite_Character_updateOther = Sprite_Character.prototype.updateOther;
 /**
- * New method: Game_CharacterBase.prototype.reflectFloorYOffset
+ * Aliased method: Sprite_Character.prototype.updateOther
+ * Adds a function call to refresh the reflection sprites for this character
  */
-Game_CharacterBase.prototype.reflectFloorYOffset = function () {
-    return this._reflectFloorYOff || 0;
+Sprite_Character.prototype.updateOther = function () {
+    KCDev.Mirrors.Sprite_Character_updateOther.apply(this, arguments);
+    this.updateReflectionSprite();
 };
 
 /**
- * New method: Game_CharacterBase.prototype.setReflectFloorYOffset
- * @param {number} y New y offset
+ * New method: Sprite_Character.prototype.createReflectionSprites
+ * Handles the creation of both reflection sprites
  */
-Game_CharacterBase.prototype.setReflectFloorYOffset = function (y = 0) {
-    this._reflectFloorYOff = y;
+Sprite_Character.prototype.createReflectionSprites = function () {
+    this._reflectionFloor = new KCDev.Mirrors.Sprite_Reflect(this);
+    this._reflectionWalls = [];
+    for (const wallDir of [8, 4, 6, 2]) {
+        for (let i = 0; i < KCDev.Mirrors.maxWallReflections; i++) {
+            this._reflectionWalls.push(this.createReflectionWallSprite(wallDir, i));
+        }
+    }
+    // the closest mirror above the character, kept for compatibility with other plugins
+    this._reflectionWall = this._reflectionWalls[0];
+    this._reflectionFloor.bitmap = this.bitmap;
+    this._character.requestReflectRefresh();
+    this.parent.addChild(this._reflectionFloor);
+    this.reflectionWallSprites().forEach(r => this.parent.addChild(r));
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectFloorRotation
+ * New method: Sprite_Character.prototype.createReflectionWallSprite
+ * Creates a wall reflection sprite for mirrors in the given direction
+ * @param {number} wallDir Direction of the mirror relative to the character (8 is above, 2 is below, 4 is left, 6 is right)
+ * @param {number} wallIndex Which mirror this sprite is drawn on, where 0 is the closest mirror in wallDir
+ * @returns {KCDev.Mirrors.Sprite_Reflect}
  */
-Game_CharacterBase.prototype.reflectFloorRotation = function () {
-    return this._reflectFloorRotation || 0;
+Sprite_Character.prototype.createReflectionWallSprite = function (wallDir, wallIndex = 0) {
+    const r = new KCDev.Mirrors.Sprite_Reflect(this);
+    r._isReflectionWall = true;
+    r._wallDir = wallDir;
+    r._wallIndex = wallIndex;
+    r.bitmap = this.bitmap;
+    return r;
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectFloorRotation
- * @param {number} r New rotation (in radians)
+ * New method: Sprite_Character.prototype.removeReflectionSprites
+ * Removes every reflection sprite and mask that belongs to this character sprite from the map
  */
-Game_CharacterBase.prototype.setReflectFloorRotation = function (r = 0) {
-    this._reflectFloorRotation = r;
+Sprite_Character.prototype.removeReflectionSprites = function () {
+    const sprites = [this._reflectionFloor];
+    if (this._reflectionFloor) {
+        sprites.push(this._reflectionFloor._reflectMask);
+    }
+    for (const r of this.reflectionWallSprites()) {
+        sprites.push(r, r._reflectMask);
+    }
+    for (const sprite of sprites) {
+        if (sprite && sprite.parent) {
+            sprite.parent.removeChild(sprite);
+        }
+    }
+    for (const sprite of this._reflectAnimationSprites || []) {
+        if (sprite.parent) {
+            sprite.parent.removeChild(sprite);
+        }
+    }
+    this._reflectAnimationSprites = [];
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectFloorAngle
+ * New method: Sprite_Character.prototype.reflectionWallSprites
+ * Returns every wall reflection sprite that belongs to this character sprite
+ * @returns {KCDev.Mirrors.Sprite_Reflect[]}
  */
-Game_CharacterBase.prototype.reflectFloorAngle = function () {
-    return KCDev.Mirrors.radiansToAngle(this.reflectFloorRotation());
+Sprite_Character.prototype.reflectionWallSprites = function () {
+    return this._reflectionWalls || [];
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectFloorAngle
- * @param {number} a New angle (in degrees)
+ * New method: Sprite_Character.prototype.updateReflectionSprite
+ * Handles the creation of, refreshes for, and updates to both reflection sprites
  */
-Game_CharacterBase.prototype.setReflectFloorAngle = function (a = 0) {
-    this.setReflectFloorRotation(KCDev.Mirrors.angleToRadians(a));
+Sprite_Character.prototype.updateReflectionSprite = function () {
+
+    // don't create reflection sprites until there is a parent
+    // fixes incompatibility with GALV_EventSpawner (MV)
+    if (!this.parent) {
+        return;
+    }
+
+    if (!this._reflectionFloor) {
+        this.createReflectionSprites();
+    }
+
+    if (this._character.reflectRefreshRequested()) {
+        this._reflectionFloor.refreshGraphic();
+        this.reflectionWallSprites().forEach(r => r.refreshGraphic());
+        this._character.clearReflectRefresh();
+    }
+
+    const source = this.makeReflectSource();
+
+    this.updateReflectFloor(source);
+    this.updateReflectWall(source);
+    this.updateReflectBalloons();
+    this.updateReflectAnimations();
+    this.updateReflectRiders();
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectWallXOffset
+ * @typedef {Object} KCDev.Mirrors.ReflectSource Where a character's reflections are drawn from during a frame
+ * @property {Game_CharacterBase} character The character, or a read-only copy of it for delayed reflections
+ * @property {number} x Screen x coordinate of the character
+ * @property {number} y Screen y coordinate of the character
  */
-Game_CharacterBase.prototype.reflectWallXOffset = function () {
-    return this._reflectWallXOff || 0;
+
+/**
+ * New method: Sprite_Character.prototype.makeReflectSource
+ * Delayed reflections are drawn using a copy of the character placed where it was a few frames ago,
+ * so that the character itself is never moved.
+ * @returns {KCDev.Mirrors.ReflectSource}
+ */
+Sprite_Character.prototype.makeReflectSource = function () {
+    const char = this._character;
+    const state = char.reflectEchoState();
+    if (!state) {
+        return { character: char, x: this.x, y: this.y };
+    }
+
+    const echo = Object.create(char);
+    echo.loadReflectEchoState(state);
+    return {
+        character: echo,
+        x: this.x + echo.screenX() - char.screenX(),
+        y: this.y + echo.screenY() - char.screenY()
+    };
 };
 
 /**
- * New method: Game_CharacterBase.prototype.setReflectFloorXOffset
- * @param {number} x New x offset
+ * New method: Sprite_Character.prototype.updateReflectRiders
+ * Draws the party leader on the reflections of the vehicle they are riding
  */
-Game_CharacterBase.prototype.setReflectWallXOffset = function (x = 0) {
-    this._reflectWallXOff = x;
+Sprite_Character.prototype.updateReflectRiders = function () {
+    const vehicle = this._character;
+    if (!(vehicle instanceof Game_Vehicle)) return;
+
+    const isRiding = vehicle.isReflectRiderVisible();
+    for (const r of this.reflectionSprites()) {
+        let rider = r._reflectRider;
+
+        if (!isRiding) {
+            if (rider) {
+                rider.visible = false;
+            }
+            continue;
+        }
+
+        if (!rider) {
+            const playerSprite = this.parent.children.find(sprite => sprite._character === $gamePlayer && !(sprite instanceof KCDev.Mirrors.Sprite_Reflect));
+            if (!playerSprite) continue;
+            rider = new KCDev.Mirrors.Sprite_Reflect(playerSprite);
+            r._reflectRider = rider;
+            r.addChild(rider);
+        }
+
+        // the player's own reflections are turned off while in a vehicle, so check the settings underneath
+        rider.visible = r._isReflectionWall ? Game_Character.prototype.reflectWall.call($gamePlayer) : Game_Character.prototype.reflectFloor.call($gamePlayer);
+        if (!rider.visible) continue;
+
+        const name = $gamePlayer.reflectName() === '' ? $gamePlayer.characterName() : $gamePlayer.reflectName();
+        const index = $gamePlayer.reflectIndex() < 0 ? $gamePlayer.characterIndex() : $gamePlayer.reflectIndex();
+        if (rider._characterName !== name || rider._characterIndex !== index) {
+            rider.refreshGraphic();
+        }
+
+        rider._isReflectionWall = r._isReflectionWall;
+        rider._wallDir = r._wallDir;
+        rider.x = 0;
+        rider.y = -KCDev.Mirrors.vehicleRiderOffset;
+        // MZ tones are filters, which the rider already inherits from the reflection
+        if (Utils.RPGMAKER_NAME !== 'MZ') {
+            rider.setColorTone(r.getColorTone());
+        }
+        KCDev.Mirrors.setReflectFrame(rider);
+    }
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectWallYOffset
+ * New method: Sprite_Character.prototype.reflectionSprites
+ * Returns the floor reflection sprite and every wall reflection sprite that belongs to this character sprite
+ * @returns {KCDev.Mirrors.Sprite_Reflect[]}
  */
-Game_CharacterBase.prototype.reflectWallYOffset = function () {
-    return this._reflectWallYOff || 0;
+Sprite_Character.prototype.reflectionSprites = function () {
+    return this._reflectionFloor ? [this._reflectionFloor, ...this.reflectionWallSprites()] : [];
 };
 
 /**
- * New method: Game_CharacterBase.prototype.setReflectWallYOffset
- * @param {number} y New y offset
+ * New method: Sprite_Character.prototype.reflectBalloonSource
+ * Returns the balloon currently playing over this character, or null if there is none
+ * @returns {Sprite_Balloon | null}
  */
-Game_CharacterBase.prototype.setReflectWallYOffset = function (y = 0) {
-    this._reflectWallYOff = y;
+Sprite_Character.prototype.reflectBalloonSource = function () {
+    const balloon = Utils.RPGMAKER_NAME === 'MZ' ? this._reflectBalloonSource : this._balloonSprite;
+    return (balloon && balloon.parent && balloon.isPlaying()) ? balloon : null;
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectWallRotation
+ * New method: Sprite_Character.prototype.updateReflectBalloons
+ * Copies the character's balloon onto each reflection
  */
-Game_CharacterBase.prototype.reflectWallRotation = function () {
-    return this._reflectWallRotation || 0;
+Sprite_Character.prototype.updateReflectBalloons = function () {
+    const source = this.reflectBalloonSource();
+    for (const r of this.reflectionSprites()) {
+        let balloon = r._reflectBalloon;
+
+        if (!source) {
+            if (balloon) {
+                balloon.visible = false;
+            }
+            continue;
+        }
+
+        if (!balloon) {
+            balloon = new Sprite();
+            balloon.anchor.x = 0.5;
+            balloon.anchor.y = 1;
+            r._reflectBalloon = balloon;
+            r.addChild(balloon);
+        }
+
+        const frame = source._frame;
+        balloon.visible = true;
+        balloon.bitmap = source.bitmap;
+        balloon.setFrame(frame.x, frame.y, frame.width, frame.height);
+        balloon.y = -r.patternHeight();
+        balloon.scale.x = r.isEffectMirrored() ? -1 : 1;
+    }
 };
 
 /**
- * New method: Game_CharacterBase.prototype.setReflectWallRotation
- * @param {number} r New rotation (in radians)
+ * New method: Sprite_Character.prototype.startReflectAnimations
+ * Plays a copy of an animation on each reflection that is currently visible
+ * @param {object} animation 
+ * @param {boolean} mirror 
+ * @param {number} delay 
  */
-Game_CharacterBase.prototype.setReflectWallRotation = function (r = 0) {
-    this._reflectWallRotation = r;
+Sprite_Character.prototype.startReflectAnimations = function (animation, mirror, delay) {
+    const isMVAnimation = Utils.RPGMAKER_NAME !== 'MZ' || !!animation.frames;
+
+    // screen animations aren't drawn on the character
+    if (isMVAnimation ? animation.position === 3 : animation.displayType === 2) {
+        return;
+    }
+
+    if (!this._reflectAnimationSprites) {
+        this._reflectAnimationSprites = [];
+    }
+
+    for (const r of this.reflectionSprites()) {
+        if (!r.visible) continue;
+        const sprite = isMVAnimation ? new KCDev.Mirrors.Sprite_ReflectAnimationMV() : new KCDev.Mirrors.Sprite_ReflectAnimation();
+        sprite.setupReflection(r, animation, mirror, delay);
+        r.addChild(sprite);
+        this._reflectAnimationSprites.push(sprite);
+    }
 };
 
 /**
- * New method: Game_CharacterBase.prototype.reflectWallAngle
+ * New method: Sprite_Character.prototype.updateReflectAnimations
+ * Reflection sprites don't update their children, so the animations on them are updated here
  */
-Game_CharacterBase.prototype.reflectWallAngle = function () {
-    return KCDev.Mirrors.radiansToAngle(this.reflectWallRotation());
+Sprite_Character.prototype.updateReflectAnimations = function () {
+    const sprites = this._reflectAnimationSprites;
+    if (!sprites || sprites.length === 0) return;
+
+    this._reflectAnimationSprites = [];
+    for (const sprite of sprites) {
+        sprite.update();
+        if (sprite.isPlaying()) {
+            if (sprite.parent && sprite instanceof KCDev.Mirrors.Sprite_ReflectAnimationMV) {
+                sprite.scale.x = sprite.parent.isEffectMirrored() ? -1 : 1;
+            }
+            this._reflectAnimationSprites.push(sprite);
+        }
+        else {
+            if (sprite.parent) {
+                sprite.parent.removeChild(sprite);
+            }
+            if (Utils.RPGMAKER_NAME === 'MZ') {
+                sprite.destroy();
+            }
+        }
+    }
 };
 
+if (Utils.RPGMAKER_NAME !== 'MZ') {
+    KCDev.Mirrors.Sprite_Character_startAnimation = Sprite_Character.prototype.startAnimation;
+    /**
+     * Aliased method: Sprite_Character.prototype.startAnimation
+     * Plays the animation on the reflections too (MV only)
+     * @param {object} animation 
+     * @param {boolean} mirror 
+     * @param {number} delay 
+     */
+    Sprite_Character.prototype.startAnimation = function (animation, mirror, delay) {
+        KCDev.Mirrors.Sprite_Character_startAnimation.apply(this, arguments);
+        this.startReflectAnimations(animation, mirror, delay);
+    };
+}
+
 /**
- * New method: Game_CharacterBase.prototype.setReflectWallAngle
- * @param {number} a New angle (in degrees)
+ * New method: Sprite_Character.prototype.updateReflectFloor
+ * Updates the floor sprite's reflection's position and visibility for this character sprite
+ * @param {KCDev.Mirrors.ReflectSource} source Where the reflection is drawn from
  */
-Game_CharacterBase.prototype.setReflectWallAngle = function (a = 0) {
-    this.setReflectWallRotation(KCDev.Mirrors.angleToRadians(a));
-};
+Sprite_Character.prototype.updateReflectFloor = function (source = this.makeReflectSource()) {
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// END Game_CharacterBase edits                                                                               //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const /**@type {KCDev.Mirrors.Sprite_Reflect} */ r = this._reflectionFloor;
+    const char = source.character;
+    const o = char.reflectFloorOpacity();
+    r.visible = KCDev.Mirrors.isFloorReflectAllowed(char);
+    this._character.setReflectFloorStatus(null);
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START Game_Actor edits                                                                                     //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    if (r.visible) {
+        this.updateReflectCommon(r);
+        r.x = source.x;
+        r.opacity = o === undefined ? this.opacity : o;
+        // need to add portion of tile height for compatibility with KC_MoveRouteTF
+        r.y = source.y + ((this.pivot.y) ? r.patternHeight() * this.scale.y : 0);
+        r.rotation += Math.PI + char.reflectFloorRotation() + $gameMap.reflectFloorRotation();
+        r.scale.x = -this.scale.x;
+        r.scale.y = this.scale.y;
+        if (char.reflectAltitudeRate) {
+            const rate = char.reflectAltitudeRate();
+            const scale = 1 - rate * (1 - KCDev.Mirrors.airshipReflectScale);
+            r.scale.x *= scale;
+            r.scale.y *= scale;
+            r.opacity *= 1 - rate * (1 - KCDev.Mirrors.airshipReflectOpacity);
+        }
+        r.y += char.jumpHeight() * 1.25;
+        r.x += ($gameMap.reflectFloorXOffset() + char.reflectFloorXOffset());
+        r.y += ($gameMap.reflectFloorYOffset() + char.reflectFloorYOffset());
+        KCDev.Mirrors.handleReflectFrame.call(this, r, char);
+        this.updateReflectFloorMask(r);
+        r.updateReflectFilters($gameMap.reflectFloorFilter());
+
+        const status = KCDev.Mirrors.makeFloorReflectStatus(char);
+        if (status) {
+            status.scale = this.scale.y ? Math.abs(r.scale.y / this.scale.y) : 1;
+        }
+        this._character.setReflectFloorStatus(status);
+    }
+};
 
 /**
- * Updates reflection properties for characters that represent actors.
- * @param {Game_Actor} actor Target actor to update reflection properties for
- * @param {Game_Character} character Current character representing the actor
- * @returns {void}
+ * New method: Sprite_Character.prototype.updateReflectFloorMask
+ * Crops the floor reflection sprite to the reflective floor tiles it overlaps
+ * @param {KCDev.Mirrors.Sprite_Reflect} r Floor reflection sprite to update
  */
-KCDev.Mirrors.updateActorCharacterReflect = function (actor, character) {
-    if (!actor) return;
-    let needsUpdate = false;
-    let reflectName = character.reflectName();
-    let reflectIndex = character.reflectIndex();
-    if (reflectName !== actor.reflectName()) {
-        reflectName = actor.reflectName();
-        needsUpdate = true;
+Sprite_Character.prototype.updateReflectFloorMask = function (r) {
+    if (!KCDev.Mirrors.hasFloorTiles()) {
+        if (r.mask) {
+            r.mask = null;
+        }
+        return;
     }
-    if (reflectIndex !== actor.reflectIndex()) {
-        reflectIndex = actor.reflectIndex();
-        needsUpdate = true;
+
+    const tileW = $gameMap.tileWidth();
+    const tileH = $gameMap.tileHeight();
+
+    // the reflection can be rotated, so check every tile it could possibly reach
+    const radius = Math.max(r.patternWidth() * Math.abs(r.scale.x), r.patternHeight() * Math.abs(r.scale.y)) + Math.max(tileW, tileH);
+    const x0 = Math.floor($gameMap.displayX() + (r.x - radius) / tileW);
+    const y0 = Math.floor($gameMap.displayY() + (r.y - radius) / tileH);
+    const numX = Math.ceil(2 * radius / tileW) + 1;
+    const numY = Math.ceil(2 * radius / tileH) + 1;
+
+    if (!r._reflectMask) {
+        r._reflectMask = KCDev.Mirrors.createTileMask(r.z);
+        this.parent.addChild(r._reflectMask);
     }
-    if (needsUpdate) {
-        character.setReflectImage(reflectName, reflectIndex);
+
+    const key = [x0, y0, numX, numY, KCDev.Mirrors.cacheVersion].join();
+
+    if (r._reflectMaskKey !== key) {
+        const /** @type {number[][]} */ tiles = [];
+        for (let i = 0; i < numX; i++) {
+            for (let j = 0; j < numY; j++) {
+                const x = x0 + i;
+                const y = y0 + j;
+                if (KCDev.Mirrors.isFloorTile($gameMap.roundX(x), $gameMap.roundY(y))) {
+                    tiles.push([x, y]);
+                }
+            }
+        }
+        KCDev.Mirrors.drawTileMask(r._reflectMask, tiles, x0, y0);
+        r._reflectMaskKey = key;
+    }
+
+    KCDev.Mirrors.updateTileMaskPosition(r._reflectMask, x0, y0);
+
+    if (r.mask !== r._reflectMask) {
+        r.mask = r._reflectMask;
     }
-    character.reflectFloorToggle(actor.reflectFloor());
-    character.reflectWallToggle(actor.reflectWall());
-    character.setReflectFloorOpacity(actor.reflectFloorOpacity());
-    character.setReflectWallOpacity(actor.reflectWallOpacity());
-    character.setReflectFloorXOffset(actor.reflectFloorXOffset());
-    character.setReflectFloorYOffset(actor.reflectFloorYOffset());
-    character.setReflectWallXOffset(actor.reflectWallXOffset());
-    character.setReflectWallYOffset(actor.reflectWallYOffset());
-    character.setReflectFloorRotation(actor.reflectFloorRotation());
-    character.setReflectWallRotation(actor.reflectWallRotation());
 };
 
-KCDev.Mirrors.Game_Actor_setup = Game_Actor.prototype.setup;
 /**
- * Aliased Method: Game_Actor.prototype.setup
- * Add note tag parsing to determine reflection visibility and appearance. Also set up default values.
- * @param {number} actorId ID of the actor to set default values for
+ * New method: Sprite_Character.prototype.updateReflectWall
+ * Updates the wall sprites' reflections' positions, visibility, and scale for this character sprite
+ * @param {KCDev.Mirrors.ReflectSource} source Where the reflections are drawn from
  */
-Game_Actor.prototype.setup = function (actorId) {
-    KCDev.Mirrors.Game_Actor_setup.apply(this, arguments);
-    const actor = $dataActors[actorId];
-    KCDev.Mirrors.parseMetaValues(this, actor, KCDev.Mirrors.actorDefault, true);
-};
+Sprite_Character.prototype.updateReflectWall = function (source = this.makeReflectSource()) {
 
-// Add reflection methods to Game_Actor for convenience
-Game_Actor.prototype.reflectEnable = Game_CharacterBase.prototype.reflectEnable;
-Game_Actor.prototype.reflectDisable = Game_CharacterBase.prototype.reflectDisable;
-Game_Actor.prototype.reflectFloor = Game_CharacterBase.prototype.reflectFloor;
-Game_Actor.prototype.reflectFloorToggle = Game_CharacterBase.prototype.reflectFloorToggle;
-Game_Actor.prototype.reflectWall = Game_CharacterBase.prototype.reflectWall;
-Game_Actor.prototype.reflectWallToggle = Game_CharacterBase.prototype.reflectWallToggle;
-Game_Actor.prototype.reflectName = Game_CharacterBase.prototype.reflectName;
-Game_Actor.prototype.reflectIndex = Game_CharacterBase.prototype.reflectIndex;
-Game_Actor.prototype.setReflectFloorOpacity = Game_CharacterBase.prototype.setReflectFloorOpacity;
-Game_Actor.prototype.setReflectWallOpacity = Game_CharacterBase.prototype.setReflectWallOpacity;
-Game_Actor.prototype.reflectFloorOpacity = Game_CharacterBase.prototype.reflectFloorOpacity;
-Game_Actor.prototype.reflectWallOpacity = Game_CharacterBase.prototype.reflectWallOpacity;
-Game_Actor.prototype.reflectFloorXOffset = Game_CharacterBase.prototype.reflectFloorXOffset;
-Game_Actor.prototype.setReflectFloorXOffset = Game_CharacterBase.prototype.setReflectFloorXOffset;
-Game_Actor.prototype.reflectFloorYOffset = Game_CharacterBase.prototype.reflectFloorYOffset;
-Game_Actor.prototype.setReflectFloorYOffset = Game_CharacterBase.prototype.setReflectFloorYOffset;
-Game_Actor.prototype.reflectFloorRotation = Game_CharacterBase.prototype.reflectFloorRotation;
-Game_Actor.prototype.setReflectFloorRotation = Game_CharacterBase.prototype.setReflectFloorRotation;
-Game_Actor.prototype.reflectFloorAngle = Game_CharacterBase.prototype.reflectFloorAngle;
-Game_Actor.prototype.setReflectFloorAngle = Game_CharacterBase.prototype.setReflectFloorAngle;
-Game_Actor.prototype.reflectWallXOffset = Game_CharacterBase.prototype.reflectWallXOffset;
-Game_Actor.prototype.setReflectWallXOffset = Game_CharacterBase.prototype.setReflectWallXOffset;
-Game_Actor.prototype.reflectWallYOffset = Game_CharacterBase.prototype.reflectWallYOffset;
-Game_Actor.prototype.setReflectWallYOffset = Game_CharacterBase.prototype.setReflectWallYOffset;
-Game_Actor.prototype.reflectWallRotation = Game_CharacterBase.prototype.reflectWallRotation;
-Game_Actor.prototype.setReflectWallRotation = Game_CharacterBase.prototype.setReflectWallRotation;
-Game_Actor.prototype.reflectWallAngle = Game_CharacterBase.prototype.reflectWallAngle;
-Game_Actor.prototype.setReflectWallAngle = Game_CharacterBase.prototype.setReflectWallAngle;
-Game_Actor.prototype.setReflectImage = function (filename = '', index = -1) { // same as Game_CharacterBase but without sprite refresh request
-    this._reflectName = filename.trim();
-    this._reflectIndex = index;
-};
+    const char = source.character;
+    // need to floor for compatibility with certain pixel movement plugins
+    const charX = Math.floor(char.x);
+    const charY = Math.floor(char.y);
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// END Game_Actor edits                                                                                       //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const visible = KCDev.Mirrors.isWallReflectAllowed(char);
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START Game_Follower edits                                                                                  //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const /** @type {Record<number, number[]>} */ wallPositions = {};
+    const /** @type {KCDev.Mirrors.ReflectStatus[]} */ wallStatus = [];
+
+    for (const r of this.reflectionWallSprites()) {
+        r._reflectStatus = null;
+        if (!visible) {
+            r.visible = false;
+            continue;
+        }
+        if (!wallPositions[r._wallDir]) {
+            wallPositions[r._wallDir] = KCDev.Mirrors.getWallPositions(r._wallDir, charX, charY, KCDev.Mirrors.maxWallReflections);
+        }
+        const wallPos = wallPositions[r._wallDir][r._wallIndex];
+        r.visible = this.updateReflectWallSprite(r, wallPos === undefined ? -1 : wallPos, source);
+        if (r._reflectStatus) {
+            wallStatus.push(r._reflectStatus);
+        }
+    }
+
+    this._character.setReflectWallStatus(wallStatus);
+};
 
-KCDev.Mirrors.Game_Follower_update = Game_Follower.prototype.update;
 /**
- * Aliased method: Game_Follower.prototype.update
- * Adds a check to update the reflection to the update function.
+ * New method: Sprite_Character.prototype.updateReflectWallSprite
+ * Places a wall reflection sprite on the mirror tile found in its direction.
+ * For mirrors above or below the character, wallPos is a y coordinate. For mirrors to the
+ * left or right of the character, wallPos is an x coordinate.
+ * @param {KCDev.Mirrors.Sprite_Reflect} r Wall reflection sprite to update
+ * @param {number} wallPos Coordinate of the mirror tile, or -1 if there is no mirror
+ * @param {KCDev.Mirrors.ReflectSource} source Where the reflection is drawn from
+ * @returns {boolean} True if the reflection should be visible
  */
-Game_Follower.prototype.update = function () {
-    KCDev.Mirrors.Game_Follower_update.apply(this, arguments);
-    KCDev.Mirrors.updateActorCharacterReflect(this.actor(), this);
-};
+Sprite_Character.prototype.updateReflectWallSprite = function (r, wallPos, source = this.makeReflectSource()) {
+    if (wallPos < 0) {
+        return false;
+    }
 
-Game_Follower.prototype.reflectWall = function () {
-    return Game_Character.prototype.reflectWall.call(this) && (!$gamePlayer.isInVehicle() || $gamePlayer.areFollowersGathering());
-};
+    const char = source.character;
+    const o = char.reflectWallOpacity();
+    const isSideWall = r._wallDir === 4 || r._wallDir === 6;
 
-Game_Follower.prototype.reflectFloor = function () {
-    return Game_Character.prototype.reflectFloor.call(this) && (!$gamePlayer.isInVehicle() || $gamePlayer.areFollowersGathering());
-};
+    const status = KCDev.Mirrors.makeWallReflectStatus(char, r._wallDir, wallPos);
+    if (!status) {
+        return false;
+    }
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// END Game_Follower edits                                                                                    //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    const tileX = status.x;
+    const tileY = status.y;
+    const distToWall = status.distance;
+    const settings = KCDev.Mirrors.getWallTileSettings(r._wallDir, tileX, tileY);
+    const maxWallDistance = settings.maxWallDistance || KCDev.Mirrors.maxWallDistance;
+    const mode = settings.mode === undefined ? $gameMap.reflectMode() : settings.mode;
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START Game_Player edits                                                                                    //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    // the mirror draws the whole scene in front of it, which already includes this character
+    if (mode === KCDev.Mirrors.wallModes.mirror) {
+        r._reflectStatus = status;
+        return false;
+    }
 
-KCDev.Mirrors.Game_Player_update = Game_Player.prototype.update;
-/**
- * Aliased method: Game_Player.prototype.update
- * Adds a check to update the reflection to the update function.
- */
-Game_Player.prototype.update = function () {
-    KCDev.Mirrors.Game_Player_update.apply(this, arguments);
-    if ($gameParty.size() > 0) {
-        const actor = $gameParty.leader();
-        KCDev.Mirrors.updateActorCharacterReflect(actor, this);
+    this.updateReflectWallMask(r, tileX, tileY);
+    this.updateReflectCommon(r);
+    r.x = source.x;
+    r.opacity = (o === undefined ? this.opacity : o) * settings.opacity * KCDev.Mirrors.getWallFade(distToWall, maxWallDistance);
+
+    const isPerspectiveMode = mode === KCDev.Mirrors.wallModes.perspective;
+
+    // side mirrors flip the frame's direction instead of the sprite
+    if (isSideWall) {
+        r.scale.x = (r._tileId ? -this.scale.x : this.scale.x);
     }
-};
+    else {
+        r.scale.x = (r._tileId ? this.scale.x : -this.scale.x);
+    }
+    r.scale.y = this.scale.y;
 
-Game_Player.prototype.reflectWall = function () {
-    return Game_Character.prototype.reflectWall.call(this) && (!this.isInVehicle() || this.areFollowersGathering());
-};
+    if (isSideWall) {
+        const tileW = $gameMap.tileWidth();
+        const sign = r._wallDir === 4 ? -1 : 1;
 
-Game_Player.prototype.reflectFloor = function () {
-    return Game_Character.prototype.reflectFloor.call(this) && (!this.isInVehicle() || this.areFollowersGathering());
-};
+        // side mirrors show the character on the same row, and source.y already includes the jump height
+        r.y = source.y;
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// END Game_Player edits                                                                                      //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+        if (isPerspectiveMode) {
+            r.x = source.x + sign * tileW * distToWall;
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START Game_Vehicle edits                                                                                   //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+            const scale = KCDev.Mirrors.getPerspectiveScale(distToWall, maxWallDistance);
 
-KCDev.Mirrors.Game_Vehicle_update = Game_Vehicle.prototype.update;
-Game_Vehicle.prototype.update = function () {
-    if (this._reflectFloor === undefined) {
-        this.reflectFloorToggle(KCDev.Mirrors.vehicleDefault.reflectFloor);
-        this.reflectWallToggle(KCDev.Mirrors.vehicleDefault.reflectWall);
+            r.scale.x *= scale;
+            r.scale.y *= scale;
+            r.y += char.jumpHeight() * (1 - scale);
+            r.y -= r.pivot.y * (1 - scale);
+        }
+        else {
+            r.x = source.x + sign * tileW * (2 * distToWall - 1);
+        }
     }
-    KCDev.Mirrors.Game_Vehicle_update.apply(this, arguments);
-};
+    else if (r._wallDir === 2) {
+        const tileH = $gameMap.tileHeight();
 
-Game_Vehicle.prototype.reflectFloorYOffset = function () {
-    return Game_Character.prototype.reflectFloorYOffset.call(this) + this._altitude;
-};
+        if (isPerspectiveMode) {
+            r.y = source.y + tileH * distToWall;
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// END Game_Vehicle edits                                                                                     //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+            const scale = KCDev.Mirrors.getPerspectiveScale(distToWall, maxWallDistance);
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START Game_Event edits                                                                                     //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+            r.scale.x *= scale;
+            r.scale.y *= scale;
+            r.y -= r.pivot.y * (1 - scale);
+        }
+        else {
+            r.y = source.y + tileH * (2 * distToWall - 1);
+        }
+    }
+    else {
+        const tileH = $gameMap.tileHeight();
 
-KCDev.Mirrors.Game_Event_setupPage = Game_Event.prototype.setupPage;
-/**
- * Aliased method: Game_Event.prototype.setupPage
- * Adds note tag parsing to override default event reflection settings.
- */
-Game_Event.prototype.setupPage = function () {
-    KCDev.Mirrors.Game_Event_setupPage.apply(this, arguments);
-    KCDev.Mirrors.parseMetaValues(this, this.event(), KCDev.Mirrors.eventDefault);
-};
+        if (isPerspectiveMode) {
+            r.y = source.y - tileH * distToWall - distToWall;
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// END Game_Event edits                                                                                       //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+            const scale = KCDev.Mirrors.getPerspectiveScale(distToWall, maxWallDistance);
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START Game_Map edits                                                                                       //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+            r.scale.x *= scale;
+            r.scale.y *= scale;
+            r.y -= char.jumpHeight() * scale * 0.1;
+            r.y -= r.pivot.y * (1 - scale);
+        }
+        else {
+            r.y = source.y - tileH * distToWall * 2 + tileH;
+            r.y -= char.jumpHeight();
+        }
+    }
 
-KCDev.Mirrors.setupMapReflectOptions = function () {
+    r.x += ($gameMap.reflectWallXOffset() + char.reflectWallXOffset() + settings.xOffset);
+    r.y += ($gameMap.reflectWallYOffset() + char.reflectWallYOffset() + settings.yOffset);
+
+    r.rotation += char.reflectWallRotation() + $gameMap.reflectWallRotation() + settings.rotation;
+
+    KCDev.Mirrors.handleReflectFrame.call(this, r, char);
+    r.updateReflectFilters($gameMap.reflectWallFilter());
+
+    r._reflectStatus = status;
+    return true;
+};
+
+/**
+ * New method: Sprite_Character.prototype.updateReflectWallMask
+ * Crops a wall reflection sprite to the mirror containing tile (tileX, tileY)
+ * @param {KCDev.Mirrors.Sprite_Reflect} r Wall reflection sprite to update
+ * @param {number} tileX x coordinate of the mirror tile the reflection is drawn on
+ * @param {number} tileY y coordinate of the mirror tile the reflection is drawn on
+ */
+Sprite_Character.prototype.updateReflectWallMask = function (r, tileX, tileY) {
+    const area = KCDev.Mirrors.clipWallReflections ? KCDev.Mirrors.getMirrorArea(r._wallDir, tileX, tileY) : null;
 
-    if (!$dataMap.meta) {
+    if (!area) {
+        if (r.mask) {
+            r.mask = null;
+        }
         return;
     }
 
-    const findMetaSimple = function (str) {
-        return KCDev.Mirrors.findMetaSimple(str, $dataMap);
-    };
+    if (!r._reflectMask) {
+        r._reflectMask = KCDev.Mirrors.createTileMask(r.z);
+        this.parent.addChild(r._reflectMask);
+    }
 
-    const refType = 'Reflect_Type';
-    const refWallOff = 'Reflect_Wall_Offsets';
-    const refFloorOff = 'Reflect_Floor_Offsets';
-    const refFloorAngle = 'Reflect_Floor_Angle';
-    const refWallAngle = 'Reflect_Wall_Angle';
-    const metaFloorAngle = findMetaSimple(refFloorAngle);
-    const metaWallAngle = findMetaSimple(refWallAngle);
-    const metaRefType = findMetaSimple(refType);
-    const reflect = (typeof metaRefType === 'string') ? metaRefType.trim().toUpperCase() : undefined;
-    $gameMap.setReflectWall(reflect === 'WALL' || reflect === 'ALL' || reflect === undefined);
-    $gameMap.setReflectFloor(reflect === 'FLOOR' || reflect === 'ALL' || reflect === undefined);
-    const refMode = 'Reflect_Mode';
-    const metaRefMode = findMetaSimple(refMode);
-    const reflectMode = (typeof metaRefMode === 'string') ? metaRefMode.toUpperCase().trim() : undefined;
-    const metaRefWallOff = findMetaSimple(refWallOff) || '';
-    const metaRefFloorOff = findMetaSimple(refFloorOff) || '';
-    const wallOffs = metaRefWallOff.split(',').map(num => parseInt(num));
-    const floorOffs = metaRefFloorOff.split(',').map(num => parseInt(num));
-    $gameMap.setReflectFloorXOffset(floorOffs[0] || 0);
-    $gameMap.setReflectFloorYOffset(floorOffs[1] || 0);
-    $gameMap.setReflectWallXOffset(wallOffs[0] || 0);
-    $gameMap.setReflectWallYOffset(wallOffs[1] || 0);
-    $gameMap.setReflectFloorAngle(metaFloorAngle || 0);
-    $gameMap.setReflectWallAngle(metaWallAngle || 0);
-    switch (reflectMode) {
-        case 'PERSPECTIVE':
-            $gameMap.setReflectMode(KCDev.Mirrors.wallModes.perspective);
-            break;
+    if (r._reflectMaskArea !== area) {
+        KCDev.Mirrors.drawTileMask(r._reflectMask, area.tiles, area.minX, area.minY);
+        r._reflectMaskArea = area;
+    }
 
-        case 'EVENT':
-            $gameMap.setReflectMode(KCDev.Mirrors.wallModes.event);
-            break;
+    KCDev.Mirrors.updateTileMaskPosition(r._reflectMask, area.minX, area.minY);
 
-        default:
-            $gameMap.setReflectMode(KCDev.Mirrors.getWallReflectMode());
-            break;
+    if (r.mask !== r._reflectMask) {
+        r.mask = r._reflectMask;
     }
 };
 
 /**
- * New method: Game_Map.prototype.reflectFloorXOffset
+ * Creates a graphics object that can be used as a mask for sprites on the tilemap
+ * @param {number} z Z value to use when the tilemap sorts its children
+ * @returns {PIXI.Graphics}
  */
-Game_Map.prototype.reflectFloorXOffset = function () {
-    return this._reflectFloorXOff || 0;
+KCDev.Mirrors.createTileMask = function (z) {
+    const mask = new PIXI.Graphics();
+    // the tilemap sorts its children by these values
+    mask.z = z;
+    mask.spriteId = -1;
+    return mask;
 };
 
 /**
- * New method: Game_Map.prototype.setReflectFloorXOffset
- * @param {number} x New x offset
+ * Redraws a tile mask so that it covers every tile in a list
+ * @param {PIXI.Graphics} mask Mask to redraw
+ * @param {number[][]} tiles List of [x, y] map coordinates to cover
+ * @param {number} originX Map x coordinate that the mask is drawn relative to
+ * @param {number} originY Map y coordinate that the mask is drawn relative to
  */
-Game_Map.prototype.setReflectFloorXOffset = function (x = 0) {
-    this._reflectFloorXOff = x;
+KCDev.Mirrors.drawTileMask = function (mask, tiles, originX, originY) {
+    const tileW = $gameMap.tileWidth();
+    const tileH = $gameMap.tileHeight();
+    mask.clear();
+    mask.beginFill(0xffffff);
+    for (const [x, y] of tiles) {
+        mask.drawRect((x - originX) * tileW, (y - originY) * tileH, tileW, tileH);
+    }
+    mask.endFill();
 };
 
 /**
- * New method: Game_Map.prototype.reflectFloorYOffset
+ * Moves a tile mask so that it lines up with the map's current scroll position
+ * @param {PIXI.Graphics} mask Mask to move
+ * @param {number} originX Map x coordinate that the mask was drawn relative to
+ * @param {number} originY Map y coordinate that the mask was drawn relative to
  */
-Game_Map.prototype.reflectFloorYOffset = function () {
-    return this._reflectFloorYOff || 0;
+KCDev.Mirrors.updateTileMaskPosition = function (mask, originX, originY) {
+    mask.x = Math.round($gameMap.adjustX(originX) * $gameMap.tileWidth());
+    mask.y = Math.round($gameMap.adjustY(originY) * $gameMap.tileHeight());
 };
 
 /**
- * New method: Game_Map.prototype.setReflectFloorYOffset
- * @param {number} y New y offset
+ * Returns the opacity multiplier of a wall reflection based on its distance from the mirror
+ * @param {number} distToWall Distance from the character to the mirror in tiles
+ * @param {number} maxWallDistance Distance at which the reflection is no longer visible
+ * @returns {number}
  */
-Game_Map.prototype.setReflectFloorYOffset = function (y = 0) {
-    this._reflectFloorYOff = y;
+KCDev.Mirrors.getWallFade = function (distToWall, maxWallDistance = KCDev.Mirrors.maxWallDistance) {
+    const type = KCDev.Mirrors.wallFadeType;
+    if (type !== 'linear' && type !== 'exponential') {
+        return 1;
+    }
+
+    const start = KCDev.Mirrors.wallFadeStart;
+    const end = KCDev.Mirrors.wallFadeEnd || maxWallDistance;
+
+    if (distToWall <= start) {
+        return 1;
+    }
+    else if (distToWall >= end) {
+        return 0;
+    }
+
+    const t = (distToWall - start) / (end - start);
+
+    if (type === 'exponential') {
+        // rescaled so that the curve still reaches exactly 0 at the end distance
+        return (Math.exp(-4 * t) - Math.exp(-4)) / (1 - Math.exp(-4));
+    }
+
+    return 1 - t;
 };
 
 /**
- * New method: Game_Map.prototype.reflectWallXOffset
+ * Checks the settings that allow a character's floor reflection to be drawn
+ * @param {Game_CharacterBase} char 
+ * @returns {boolean}
  */
-Game_Map.prototype.reflectWallXOffset = function () {
-    return this._reflectWallXOff || 0;
+KCDev.Mirrors.isFloorReflectAllowed = function (char) {
+    const o = char.reflectFloorOpacity();
+    return !!($gameMap.reflectFloor() && char.reflectFloor() && !KCDev.Mirrors.isNoReflectTile(char.x, char.y) && ((o === undefined && !char.isTransparent()) || o));
 };
 
 /**
- * New method: Game_Map.prototype.setReflectFloorXOffset
- * @param {number} x New x offset
+ * Checks the settings that allow a character's wall reflections to be drawn
+ * @param {Game_CharacterBase} char 
+ * @returns {boolean}
  */
-Game_Map.prototype.setReflectWallXOffset = function (x = 0) {
-    this._reflectWallXOff = x;
+KCDev.Mirrors.isWallReflectAllowed = function (char) {
+    const o = char.reflectWallOpacity();
+    return !!($gameMap.reflectWall() && char.reflectWall() && !KCDev.Mirrors.isNoReflectTile(Math.floor(char.x), Math.floor(char.y)) && ((o === undefined && !char.isTransparent()) || o));
 };
 
 /**
- * New method: Game_Map.prototype.reflectWallYOffset
+ * Gets where a character's floor reflection is anchored, ignoring its reflection settings
+ * @param {Game_CharacterBase} char 
+ * @returns {KCDev.Mirrors.ReflectStatus | null} Null if the character is not over a reflective floor tile
  */
-Game_Map.prototype.reflectWallYOffset = function () {
-    return this._reflectWallYOff || 0;
+KCDev.Mirrors.makeFloorReflectStatus = function (char) {
+    const tileX = Math.floor(char.x);
+    const tileY = Math.floor(char.y);
+    if (KCDev.Mirrors.hasFloorTiles() && !KCDev.Mirrors.isFloorTile($gameMap.roundX(tileX), $gameMap.roundY(tileY))) {
+        return null;
+    }
+    return {
+        direction: 0,
+        x: tileX,
+        y: tileY,
+        regionId: $gameMap.regionId(tileX, tileY),
+        distance: 0,
+        scale: char.reflectAltitudeRate ? 1 - char.reflectAltitudeRate() * (1 - KCDev.Mirrors.airshipReflectScale) : 1
+    };
 };
 
 /**
- * New method: Game_Map.prototype.setReflectWallYOffset
- * @param {number} y New y offset
+ * Gets where a character's wall reflection is anchored on a mirror, ignoring its reflection settings
+ * @param {Game_CharacterBase} char 
+ * @param {number} wallDir Direction of the mirror relative to the character
+ * @param {number} wallPos Coordinate of the mirror tile, as returned by KCDev.Mirrors.getWallPositions
+ * @returns {KCDev.Mirrors.ReflectStatus | null} Null if the mirror is too far away for the reflection to be visible
  */
-Game_Map.prototype.setReflectWallYOffset = function (y = 0) {
-    this._reflectWallYOff = y;
+KCDev.Mirrors.makeWallReflectStatus = function (char, wallDir, wallPos) {
+    if (wallPos === undefined || wallPos < 0) {
+        return null;
+    }
+
+    const isVerticalWall = wallDir === 8 || wallDir === 2;
+    const tileX = isVerticalWall ? Math.floor(char.x) : wallPos;
+    const tileY = isVerticalWall ? wallPos : Math.floor(char.y);
+    const regionId = $gameMap.regionId(tileX, tileY);
+    const settings = KCDev.Mirrors.getWallTileSettings(wallDir, tileX, tileY);
+    const maxWallDistance = settings.maxWallDistance || KCDev.Mirrors.maxWallDistance;
+
+    let distToWall;
+    switch (wallDir) {
+        case 4:
+            distToWall = char._realX - wallPos;
+            break;
+
+        case 6:
+            distToWall = wallPos - char._realX;
+            break;
+
+        case 2:
+            distToWall = wallPos - char._realY;
+            break;
+
+        default:
+            distToWall = char._realY - wallPos;
+            break;
+    }
+
+    const mode = settings.mode === undefined ? $gameMap.reflectMode() : settings.mode;
+    const isPerspectiveMode = mode === KCDev.Mirrors.wallModes.perspective;
+
+    // perspective reflections have shrunk to nothing by this point, other modes only stop if the region asks for it
+    if (distToWall > maxWallDistance && (isPerspectiveMode || settings.maxWallDistance)) {
+        return null;
+    }
+
+    return {
+        direction: wallDir,
+        x: tileX,
+        y: tileY,
+        regionId: regionId,
+        distance: distToWall,
+        scale: isPerspectiveMode ? KCDev.Mirrors.getPerspectiveScale(distToWall, maxWallDistance) : 1
+    };
 };
 
-KCDev.Mirrors.Game_Map_refresh = Game_Map.prototype.refresh;
 /**
- * Aliased method: Game_Map.prototype.refresh
+ * Finds where a character's reflections are anchored using only the game state, without looking at any sprites
+ * @param {Game_CharacterBase} char 
+ * @param {string} reflectType 'floor' or 'wall'
+ * @param {number} wallDir Only check mirrors in this direction (2, 4, 6, or 8). 0 checks every direction.
+ * @returns {KCDev.Mirrors.ReflectStatus[]} Every visible reflection of the requested type
  */
-Game_Map.prototype.refresh = function () {
-    KCDev.Mirrors.Game_Map_refresh.apply(this, arguments);
-    if ($gameMap._reflectMode === undefined) {
-        KCDev.Mirrors.setupMapReflectOptions();
-        for (const event of $gameMap.events()) {
-            if (event && event._reflectName === undefined) {
-                KCDev.Mirrors.parseMetaValues(event, event.event(), KCDev.Mirrors.eventDefault, false);
+KCDev.Mirrors.findReflectStatus = function (char, reflectType, wallDir = 0) {
+    if (reflectType === 'floor') {
+        const status = KCDev.Mirrors.isFloorReflectAllowed(char) ? KCDev.Mirrors.makeFloorReflectStatus(char) : null;
+        return status ? [status] : [];
+    }
+
+    const /** @type {KCDev.Mirrors.ReflectStatus[]} */ list = [];
+    if (!KCDev.Mirrors.isWallReflectAllowed(char)) {
+        return list;
+    }
+    const charX = Math.floor(char.x);
+    const charY = Math.floor(char.y);
+    for (const dir of [8, 4, 6, 2]) {
+        if (wallDir && dir !== wallDir) continue;
+        for (const wallPos of KCDev.Mirrors.getWallPositions(dir, charX, charY, KCDev.Mirrors.maxWallReflections)) {
+            const status = KCDev.Mirrors.makeWallReflectStatus(char, dir, wallPos);
+            if (status) {
+                list.push(status);
             }
         }
     }
+    return list;
 };
 
-KCDev.Mirrors.Game_Map_setup = Game_Map.prototype.setup;
 /**
- * Aliased method: Game_Map.prototype.setup
- * Parse map information from note tags
- * @param {number} mapId 
+ * Returns how much a pseudo-perspective wall reflection is scaled based on its distance
+ * from the mirror.
+ * @param {number} distToWall Distance from the character to the mirror in tiles
+ * @param {number} maxWallDistance Distance at which the reflection is no longer visible
+ * @returns {number}
  */
-Game_Map.prototype.setup = function (mapId) {
-    KCDev.Mirrors.Game_Map_setup.apply(this, arguments);
-    KCDev.Mirrors.setupMapReflectOptions();
+KCDev.Mirrors.getPerspectiveScale = function (distToWall, maxWallDistance = KCDev.Mirrors.maxWallDistance) {
+    const scale = 1 - (distToWall - 1) / maxWallDistance;
+    if (scale > 1) {
+        return 1;
+    }
+    else if (scale < 0) {
+        return 0;
+    }
+    return scale;
 };
 
 /**
- * New method: Game_Map.prototype.reflectWall
- * Returns whether wall reflections are enabled for the current map
- * We need to invert this to maintain backwards compatibility with
- * older versions of the plugin
- * @returns {boolean}
+ * New method: Sprite_Character.prototype.updateReflectCommon
+ * Updates some properties that are shared by both reflection sprites
+ * @param {Sprite_Character} r Reflection sprite to update properties for
  */
-Game_Map.prototype.reflectWall = function () {
-    return this._reflectWall;
+Sprite_Character.prototype.updateReflectCommon = function (r) {
+    r.x = this.x;
+    r.scale.set(this.scale.x, this.scale.y);
+    r.rotation = this.rotation;
+    if (r.pivot.y !== this.pivot.y) {
+        r.pivot.y = this.pivot.y;
+    }
+    if (!r._blendColor.equals(this._blendColor)) {
+        r.setBlendColor(this.getBlendColor());
+    }
+    const char = this._character;
+    const tone = r._isReflectionWall ?
+        KCDev.Mirrors.addTones(this._colorTone, $gameMap.reflectWallTone(), char.reflectWallTone()) :
+        KCDev.Mirrors.addTones(this._colorTone, $gameMap.reflectFloorTone(), char.reflectFloorTone());
+    if (!r._colorTone.equals(tone)) {
+        r.setColorTone(tone.clone());
+    }
+    const blendMode = KCDev.Mirrors.getBlendMode(char.reflectBlendMode() || $gameMap.reflectBlendMode(), this.blendMode);
+    if (r.blendMode !== blendMode) {
+        r.blendMode = blendMode;
+    }
+    if (r._hue !== this._hue) {
+        r.setHue(this._hue);
+    }
 };
 
 /**
- * New method: Game_Map.prototype.reflectFloor
- * Returns whether floor reflections are enabled for the current map
- * We need to invert this to maintain backwards compatibility with
- * older versions of the plugin
- * @returns {boolean}
+ * Adds reflection tones to a sprite's color tone
+ * Returns the sprite's tone as is if there is nothing to add
+ * @param {number[]} baseTone Color tone of the character sprite
+ * @param {number[] | null} mapTone Reflection tone of the map
+ * @param {number[] | null} charTone Reflection tone of the character
+ * @returns {number[]}
  */
-Game_Map.prototype.reflectFloor = function () {
-    return this._reflectFloor;
+KCDev.Mirrors.addTones = function (baseTone, mapTone, charTone) {
+    if (!mapTone && !charTone) {
+        return baseTone;
+    }
+    return baseTone.map((value, i) => {
+        const sum = value + (mapTone ? mapTone[i] : 0) + (charTone ? charTone[i] : 0);
+        return i < 3 ? sum.clamp(-255, 255) : sum.clamp(0, 255);
+    });
 };
 
 /**
- * New method: Game_Map.prototype.setReflectWall
- * Globally enable or disable wall reflections for the map
- * @param {boolean} reflectWall 
+ * Converts a blend mode name to a PIXI blend mode
+ * @param {string} blendMode 'normal', 'add', 'multiply', 'screen', or an empty string
+ * @param {number} defaultMode Blend mode to use if the name is empty
+ * @returns {number}
  */
-Game_Map.prototype.setReflectWall = function (reflectWall = false) {
-    this._reflectWall = reflectWall;
-};
+KCDev.Mirrors.getBlendMode = function (blendMode, defaultMode) {
+    switch (blendMode) {
+        case 'normal':
+            return PIXI.BLEND_MODES.NORMAL;
 
-/**
- * New method: Game_Map.prototype.setReflectFloor
- * Globally enable or disable floor reflections for the map
- * @param {boolean} reflectFloor 
- */
-Game_Map.prototype.setReflectFloor = function (reflectFloor = false) {
-    this._reflectFloor = reflectFloor;
-};
+        case 'add':
+            return PIXI.BLEND_MODES.ADD;
 
-/**
- * New method: Game_Map.prototype.reflectMode
- */
-Game_Map.prototype.reflectMode = function () {
-    return this._reflectMode;
-};
+        case 'multiply':
+            return PIXI.BLEND_MODES.MULTIPLY;
 
-/**
- * New method: Game_Map.prototype.setReflectMode
- * @param {number} mode 
- */
-Game_Map.prototype.setReflectMode = function (mode) {
-    this._reflectMode = mode;
-};
+        case 'screen':
+            return PIXI.BLEND_MODES.SCREEN;
 
-/**
- * New method: Game_Map.prototype.reflectFloorRotation
- */
-Game_Map.prototype.reflectFloorRotation = function () {
-    return this._reflectFloorRotation || 0;
+        default:
+            return defaultMode;
+    }
 };
 
 /**
- * New method: Game_Map.prototype.reflectFloorRotation
- * @param {number} r New rotation (in radians)
+ * Applies an easing curve to a tween's progress
+ * @param {number} t Progress of the tween from 0 to 1
+ * @param {string} easing 'linear', 'easeIn', 'easeOut', or 'easeInOut'
+ * @returns {number}
  */
-Game_Map.prototype.setReflectFloorRotation = function (r = 0) {
-    this._reflectFloorRotation = r;
-};
+KCDev.Mirrors.applyEasing = function (t, easing) {
+    switch (easing) {
+        case 'easeIn':
+            return t * t;
 
-/**
- * New method: Game_Map.prototype.reflectFloorAngle
- */
-Game_Map.prototype.reflectFloorAngle = function () {
-    return KCDev.Mirrors.radiansToAngle(this.reflectFloorRotation());
+        case 'easeOut':
+            return 1 - (1 - t) * (1 - t);
+
+        case 'easeInOut':
+            return t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);
+
+        default:
+            return t;
+    }
 };
 
 /**
- * New method: Game_Map.prototype.reflectFloorAngle
- * @param {number} a New angle (in degrees)
+ * Rebuilds and sets wall reflection cache for current map.
  */
-Game_Map.prototype.setReflectFloorAngle = function (a = 0) {
-    this.setReflectFloorRotation(KCDev.Mirrors.angleToRadians(a));
+KCDev.Mirrors.refreshReflectWallCache = function () {
+    KCDev.Mirrors.reflectWallPositions.clear();
+    KCDev.Mirrors.reflectWallPositionsLeft.clear();
+    KCDev.Mirrors.reflectWallPositionsRight.clear();
+    KCDev.Mirrors.reflectWallPositionsSouth.clear();
+    KCDev.Mirrors.mirrorAreas.clear();
+    KCDev.Mirrors.cacheVersion++;
+    KCDev.Mirrors.buildCurrentMapCache();
 };
 
 /**
- * New method: Game_Map.prototype.reflectWallRotation
+ * Returns the reflectable wall region map for the current game map
+ * For performance, we pre-compute the closest wall region for every tile on the map
+ * (we map columns to rows with reflections, so we should only visit each tile on the map
+ * once while building this cache)
+ * Each row is sorted starting from the lowest tile with a reflection (bottom edge of map)
+ * to the highest (top edge of map)
+ * Mirrors below characters are stored the same way, but are sorted from the top edge of
+ * the map to the bottom edge.
+ * Side mirrors are stored the same way, but map rows to columns instead. Left mirrors are
+ * sorted from the right edge of the map to the left edge, and right mirrors are sorted from
+ * the left edge of the map to the right edge.
  */
-Game_Map.prototype.reflectWallRotation = function () {
-    return this._reflectWallRotation || 0;
+KCDev.Mirrors.buildCurrentMapCache = function () {
+    const /** @type {Map<number, number[]} */ regionMap = KCDev.Mirrors.reflectWallPositions;
+    const /** @type {Map<number, number[]} */ leftMap = KCDev.Mirrors.reflectWallPositionsLeft;
+    const /** @type {Map<number, number[]} */ rightMap = KCDev.Mirrors.reflectWallPositionsRight;
+    const /** @type {Map<number, number[]} */ southMap = KCDev.Mirrors.reflectWallPositionsSouth;
+
+    const addPosition = function (map, key, value) {
+        const arr = map.get(key) || [];
+
+        arr.push(value);
+
+        map.set(key, arr);
+    };
+
+    for (let i = $gameMap.width() - 1; i >= 0; i--) {
+        for (let j = $gameMap.height() - 1; j >= 0; j--) {
+            if (KCDev.Mirrors.isWallTile(8, i, j)) {
+                addPosition(regionMap, i, j);
+            }
+
+            if (KCDev.Mirrors.isWallTile(4, i, j)) {
+                addPosition(leftMap, j, i);
+            }
+
+            if (KCDev.Mirrors.isWallTile(6, i, j)) {
+                addPosition(rightMap, j, i);
+            }
+
+            if (KCDev.Mirrors.isWallTile(2, i, j)) {
+                addPosition(southMap, i, j);
+            }
+        }
+    }
+
+    rightMap.forEach(row => row.reverse());
+    southMap.forEach(col => col.reverse());
+
+    KCDev.Mirrors.buildMirrorAreas(8, regionMap);
+    KCDev.Mirrors.buildMirrorAreas(2, southMap);
+    KCDev.Mirrors.buildMirrorAreas(4, leftMap);
+    KCDev.Mirrors.buildMirrorAreas(6, rightMap);
 };
 
 /**
- * New method: Game_Map.prototype.reflectWallRotation
- * @param {number} r New rotation (in radians)
+ * Returns true if tile (x,y) is part of a mirror in the given direction
+ * @param {number} wallDir Direction of the mirror (8 is above, 2 is below, 4 is left, 6 is right)
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {boolean}
  */
-Game_Map.prototype.setReflectWallRotation = function (r = 0) {
-    this._reflectWallRotation = r;
+KCDev.Mirrors.isWallTile = function (wallDir, x, y) {
+    const regionId = $gameMap.regionId(x, y);
+    const terrainTag = $gameMap.terrainTag(x, y);
+    switch (wallDir) {
+        case 2:
+            return KCDev.Mirrors.wallRegionsSouth.has(regionId) || KCDev.Mirrors.wallTerrainTagsSouth.has(terrainTag);
+        case 4:
+            return KCDev.Mirrors.wallRegionsLeft.has(regionId) || KCDev.Mirrors.wallTerrainTagsLeft.has(terrainTag);
+        case 6:
+            return KCDev.Mirrors.wallRegionsRight.has(regionId) || KCDev.Mirrors.wallTerrainTagsRight.has(terrainTag);
+        case 8:
+            return KCDev.Mirrors.wallRegions.has(regionId) || KCDev.Mirrors.wallTerrainTags.has(terrainTag);
+        default:
+            return false;
+    }
 };
 
 /**
- * New method: Game_Map.prototype.reflectWallAngle
+ * Returns true if characters standing on tile (x,y) should not be reflected
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {boolean}
  */
-Game_Map.prototype.reflectWallAngle = function () {
-    return KCDev.Mirrors.radiansToAngle(this.reflectWallRotation());
+KCDev.Mirrors.isNoReflectTile = function (x, y) {
+    return KCDev.Mirrors.noReflectRegions.has($gameMap.regionId(x, y)) || KCDev.Mirrors.noReflectTerrainTags.has($gameMap.terrainTag(x, y));
 };
 
 /**
- * New method: Game_Map.prototype.setReflectWallAngle
- * @param {number} a New angle (in degrees)
+ * Groups touching mirror tiles in the given direction into mirror areas and caches them
+ * @param {number} wallDir Direction of the mirrors being grouped
+ * @param {Map<number, number[]>} positions Cached mirror positions for this direction
  */
-Game_Map.prototype.setReflectWallAngle = function (a = 0) {
-    this.setReflectWallRotation(KCDev.Mirrors.angleToRadians(a));
-};
+KCDev.Mirrors.buildMirrorAreas = function (wallDir, positions) {
+    const width = $gameMap.width();
+    const height = $gameMap.height();
+    const /** @type {Map<number, KCDev.Mirrors.MirrorArea>} */ areaMap = new Map();
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// END Game_Map edits                                                                                         //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    KCDev.Mirrors.mirrorAreas.set(wallDir, areaMap);
 
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// START Sprite_Character edits                                                                               //
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+    if (positions.size === 0) {
+        return;
+    }
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const index = y * width + x;
+
+            if (areaMap.has(index) || !KCDev.Mirrors.isWallTile(wallDir, x, y)) {
+                continue;
+            }
+
+            const /** @type {KCDev.Mirrors.MirrorArea} */ area = {
+                id: KCDev.Mirrors.mirrorAreaCount++,
+                wallDir: wallDir,
+                tiles: [],
+                minX: x,
+                minY: y,
+                maxX: x,
+                maxY: y,
+                regionId: 0
+            };
+
+            // flood fill to find every tile in this mirror
+            const stack = [[x, y]];
+            const /** @type {Map<number, number>} */ regionCounts = new Map();
+            areaMap.set(index, area);
+
+            while (stack.length > 0) {
+                const [tx, ty] = stack.pop();
+                const regionId = $gameMap.regionId(tx, ty);
+                regionCounts.set(regionId, (regionCounts.get(regionId) || 0) + 1);
+                area.tiles.push([tx, ty]);
+                area.minX = Math.min(area.minX, tx);
+                area.minY = Math.min(area.minY, ty);
+                area.maxX = Math.max(area.maxX, tx);
+                area.maxY = Math.max(area.maxY, ty);
+
+                for (const [nx, ny] of [[tx - 1, ty], [tx + 1, ty], [tx, ty - 1], [tx, ty + 1]]) {
+                    const nIndex = ny * width + nx;
+                    if (nx >= 0 && ny >= 0 && nx < width && ny < height && !areaMap.has(nIndex) && KCDev.Mirrors.isWallTile(wallDir, nx, ny)) {
+                        areaMap.set(nIndex, area);
+                        stack.push([nx, ny]);
+                    }
+                }
+            }
+
+            area.regionId = KCDev.Mirrors.pickAreaRegion(regionCounts);
+        }
+    }
+};
 
-KCDev.Mirrors.Sprite_Character_updateOther = Sprite_Character.prototype.updateOther;
 /**
- * Aliased method: Sprite_Character.prototype.updateOther
- * Adds a function call to refresh the reflection sprites for this character
+ * Picks the region whose settings a mirror uses. Mirrors can be made of more than one region, or be found
+ * by terrain tag with a region painted on top, so the region covering the most tiles is used. Regions with
+ * Mirror Region Settings are preferred over regions without them.
+ * @param {Map<number, number>} regionCounts Number of the mirror's tiles painted with each region ID
+ * @returns {number} Region ID, or 0 if the mirror has no regions
  */
-Sprite_Character.prototype.updateOther = function () {
-    KCDev.Mirrors.Sprite_Character_updateOther.apply(this, arguments);
-    this.updateReflectionSprite();
+KCDev.Mirrors.pickAreaRegion = function (regionCounts) {
+    let bestId = 0;
+    let bestScore = -1;
+    regionCounts.forEach((count, regionId) => {
+        if (regionId === 0) return;
+        const score = (KCDev.Mirrors.regionSettings.has(regionId) ? $gameMap.width() * $gameMap.height() : 0) + count;
+        if (score > bestScore) {
+            bestId = regionId;
+            bestScore = score;
+        }
+    });
+    return bestId;
 };
 
 /**
- * New method: Sprite_Character.prototype.createReflectionSprites
- * Handles the creation of both reflection sprites
+ * Returns the mirror area containing tile (x,y) for mirrors in the given direction
+ * Returns undefined if the tile is not part of a mirror
+ * @param {number} wallDir Direction of the mirror (8 is above, 2 is below, 4 is left, 6 is right)
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {KCDev.Mirrors.MirrorArea | undefined}
  */
-Sprite_Character.prototype.createReflectionSprites = function () {
-    this._reflectionFloor = new KCDev.Mirrors.Sprite_Reflect(this);
-    this._reflectionWall = new KCDev.Mirrors.Sprite_Reflect(this);
-    this._reflectionWall._isReflectionWall = true;
-    this._reflectionFloor.bitmap = this.bitmap;
-    this._reflectionWall.bitmap = this.bitmap;
-    this._character.requestReflectRefresh();
-    this.parent.addChild(this._reflectionFloor);
-    this.parent.addChild(this._reflectionWall);
+KCDev.Mirrors.getMirrorArea = function (wallDir, x, y) {
+    KCDev.Mirrors.checkCurrentMapCache();
+    const areaMap = KCDev.Mirrors.mirrorAreas.get(wallDir);
+    return areaMap ? areaMap.get(y * $gameMap.width() + x) : undefined;
 };
 
 /**
- * New method: Sprite_Character.prototype.updateReflectionSprite
- * Handles the creation of, refreshes for, and updates to both reflection sprites
+ * Rebuilds the wall reflection cache if the map has changed since it was last built.
  */
-Sprite_Character.prototype.updateReflectionSprite = function () {
+KCDev.Mirrors.checkCurrentMapCache = function () {
+    const mapId = $gameMap.mapId();
 
-    // don't create reflection sprites until there is a parent
-    // fixes incompatibility with GALV_EventSpawner (MV)
-    if (!this.parent) {
-        return;
+    if (KCDev.Mirrors.currMapId !== mapId) {
+        KCDev.Mirrors.refreshReflectWallCache();
+        KCDev.Mirrors.currMapId = mapId;
     }
+};
 
-    if (!this._reflectionFloor) {
-        this.createReflectionSprites();
-    }
+/**
+ * Returns true if floor reflections are limited to specific tiles
+ * @returns {boolean}
+ */
+KCDev.Mirrors.hasFloorTiles = function () {
+    return KCDev.Mirrors.floorRegions.size > 0 || KCDev.Mirrors.floorTerrainTags.size > 0;
+};
 
-    if (this._character.reflectRefreshRequested()) {
-        this._reflectionFloor.refreshGraphic();
-        this._reflectionWall.refreshGraphic();
-        this._character.clearReflectRefresh();
+/**
+ * Returns true if floor reflections can be drawn on tile (x,y)
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {boolean}
+ */
+KCDev.Mirrors.isFloorTile = function (x, y) {
+    if (!$gameMap.isValid(x, y)) {
+        return false;
     }
-
-    this.updateReflectFloor();
-    this.updateReflectWall();
+    return KCDev.Mirrors.floorRegions.has($gameMap.regionId(x, y)) || KCDev.Mirrors.floorTerrainTags.has($gameMap.terrainTag(x, y));
 };
 
 /**
- * New method: Sprite_Character.prototype.updateReflectFloor
- * Updates the floor sprite's reflection's position and visibility for this character sprite
+ * Returns the wall reflection settings for mirrors with the given region ID
+ * Regions without settings in the plugin parameters use the default settings.
+ * @param {number} regionId 
+ * @returns {KCDev.Mirrors.RegionSettings}
  */
-Sprite_Character.prototype.updateReflectFloor = function () {
-
-    const /**@type {KCDev.Mirrors.Sprite_Reflect} */ r = this._reflectionFloor;
-    const char = this._character;
-    const o = char.reflectFloorOpacity();
-    r.visible = $gameMap.reflectFloor() && char.reflectFloor() && !KCDev.Mirrors.noReflectRegions.has($gameMap.regionId(char.x, char.y)) && ((o === undefined && !char.isTransparent()) || o);
+KCDev.Mirrors.getRegionSettings = function (regionId) {
+    return KCDev.Mirrors.regionSettings.get(regionId) || KCDev.Mirrors.defaultRegionSettings;
+};
 
-    if (r.visible) {
-        this.updateReflectCommon(r);
-        r.opacity = o === undefined ? this.opacity : o;
-        // need to add portion of tile height for compatibility with KC_MoveRouteTF
-        r.y = this.y + ((this.pivot.y) ? r.patternHeight() * this.scale.y : 0);
-        r.rotation += Math.PI + char.reflectFloorRotation() + $gameMap.reflectFloorRotation();
-        r.scale.x = -this.scale.x;
-        r.scale.y = this.scale.y;
-        r.y += char.jumpHeight() * 1.25;
-        r.x += ($gameMap.reflectFloorXOffset() + char.reflectFloorXOffset());
-        r.y += ($gameMap.reflectFloorYOffset() + char.reflectFloorYOffset());
-        KCDev.Mirrors.handleReflectFrame.call(this, r);
-    }
+/** @type {KCDev.Mirrors.RegionSettings} */
+KCDev.Mirrors.defaultRegionSettings = {
+    regionId: 0,
+    mode: undefined,
+    opacity: 1,
+    xOffset: 0,
+    yOffset: 0,
+    rotation: 0,
+    maxWallDistance: 0
 };
 
 /**
- * New method: Sprite_Character.prototype.updateReflectWall
- * Updates the wall sprite's reflection's position, visibility, and scale for this character sprite
+ * Gets the coordinates of the closest separate mirrors in the given direction from point (x,y)
+ * Tiles that touch each other along the search direction are treated as a single mirror, and only
+ * the tile closest to the point is returned for each mirror.
+ * For mirrors above and below the point, the returned values are y coordinates. For mirrors to the
+ * left or right of the point, the returned values are x coordinates.
+ * @param {number} wallDir Direction of the mirror (8 is above, 2 is below, 4 is left, 6 is right)
+ * @param {number} x 
+ * @param {number} y 
+ * @param {number} count Maximum number of mirrors to find
+ * @returns {number[]}
  */
-Sprite_Character.prototype.updateReflectWall = function () {
-    //return;
-    const /**@type {KCDev.Mirrors.Sprite_Reflect} */ r = this._reflectionWall;
-
-    const char = this._character;
-    // need to floor for compatibility with certain pixel movement plugins
-    const charX = Math.floor(char.x);
-    const charY = Math.floor(char.y);
-    const o = char.reflectWallOpacity();
+KCDev.Mirrors.getWallPositions = function (wallDir, x, y, count = 1) {
+    KCDev.Mirrors.checkCurrentMapCache();
 
-    r.visible = $gameMap.reflectWall() && char.reflectWall() && !KCDev.Mirrors.noReflectRegions.has($gameMap.regionId(charX, charY)) && ((o === undefined && !char.isTransparent()) || o);
+    const /** @type {number[]} */ positions = [];
 
-    if (r.visible) {
-        this.updateReflectCommon(r);
-        const wallY = KCDev.Mirrors.getWallY(charX, charY);
-        r.visible = (wallY >= 0);
-        if (r.visible) {
-            r.opacity = o === undefined ? this.opacity : o;
+    let /** @type {Map<number, number[]>} */ cache;
+    switch (wallDir) {
+        case 2:
+            cache = KCDev.Mirrors.reflectWallPositionsSouth;
+            break;
 
-            const isPerspectiveMode = $gameMap.reflectMode() === KCDev.Mirrors.wallModes.perspective;
+        case 4:
+            cache = KCDev.Mirrors.reflectWallPositionsLeft;
+            break;
 
-            const distToWall = char._realY - wallY;
+        case 6:
+            cache = KCDev.Mirrors.reflectWallPositionsRight;
+            break;
 
-            const tileH = $gameMap.tileHeight();
+        default:
+            cache = KCDev.Mirrors.reflectWallPositions;
+            break;
+    }
 
-            r.scale.x = (r._tileId ? this.scale.x : -this.scale.x);
-            r.scale.y = this.scale.y;
+    const isVertical = wallDir !== 4 && wallDir !== 6;
+    const line = cache.get(isVertical ? x : y);
+    const pos = isVertical ? y : x;
 
-            if (isPerspectiveMode) {
-                r.y = this.y - tileH * distToWall - distToWall;
+    if (!line) {
+        return positions;
+    }
 
-                let scale = 1 - (distToWall - 1) / KCDev.Mirrors.maxWallDistance;
-                if (scale > 1) {
-                    scale = 1;
-                }
-                else if (scale < 0) {
-                    scale = 0;
-                }
+    // each line is sorted starting from the edge of the map furthest from the mirror direction
+    const isBeforePos = (wallDir === 2 || wallDir === 6) ? (wallPos => wallPos >= pos) : (wallPos => wallPos <= pos);
 
-                r.scale.x *= scale;
-                r.scale.y *= scale;
-                r.y -= char.jumpHeight() * scale * 0.1;
-                r.y -= r.pivot.y * (1 - scale);
-            }
-            else {
-                r.y = this.y - tileH * distToWall * 2 + tileH;
-                r.y -= char.jumpHeight();
-            }
-            r.x += ($gameMap.reflectWallXOffset() + char.reflectWallXOffset());
-            r.y += ($gameMap.reflectWallYOffset() + char.reflectWallYOffset());
+    let i = line.findIndex(isBeforePos);
 
-            r.rotation += char.reflectWallRotation() + $gameMap.reflectWallRotation();
+    if (i < 0) {
+        return positions;
+    }
 
-            KCDev.Mirrors.handleReflectFrame.call(this, r);
+    while (i < line.length && positions.length < count) {
+        positions.push(line[i]);
+        // skip over the rest of this mirror's tiles
+        while (i + 1 < line.length && Math.abs(line[i + 1] - line[i]) === 1) {
+            i++;
         }
+        i++;
     }
+
+    return positions;
 };
 
 /**
- * New method: Sprite_Character.prototype.updateReflectCommon
- * Updates some properties that are shared by both reflection sprites
- * @param {Sprite_Character} r Reflection sprite to update properties for
+ * Gets the coordinate of the closest mirror tile in the given direction from point (x,y)
+ * Returns -1 if no valid wall region found
+ * @param {number} wallDir Direction of the mirror (8 is above, 2 is below, 4 is left, 6 is right)
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {number}
  */
-Sprite_Character.prototype.updateReflectCommon = function (r) {
-    r.x = this.x;
-    r.scale.set(this.scale.x, this.scale.y);
-    r.rotation = this.rotation;
-    if (r.pivot.y !== this.pivot.y) {
-        r.pivot.y = this.pivot.y;
-    }
-    if (!r._blendColor.equals(this._blendColor)) {
-        r.setBlendColor(this.getBlendColor());
-    }
-    if (!r._colorTone.equals(this._colorTone)) {
-        r.setColorTone(this.getColorTone());
-    }
-    if (r.blendMode !== this.blendMode) {
-        r.blendMode = this.blendMode;
-    }
-    if (r._hue !== this._hue) {
-        r.setHue(this._hue);
-    }
+KCDev.Mirrors.getWallPosition = function (wallDir, x, y) {
+    const positions = KCDev.Mirrors.getWallPositions(wallDir, x, y, 1);
+    return positions.length > 0 ? positions[0] : -1;
 };
 
 /**
- * Rebuilds and sets wall reflection cache for current map.
+ * Gets the y coordinate of the closest tile with a wall reflection region that is above point (x,y)
+ * Returns -1 if no valid wall region found
+ * @param {number} x 
+ * @param {number} y 
  */
-KCDev.Mirrors.refreshReflectWallCache = function () {
-    KCDev.Mirrors.reflectWallPositions.clear();
-    KCDev.Mirrors.buildCurrentMapCache();
+KCDev.Mirrors.getWallY = function (x, y) {
+    return KCDev.Mirrors.getWallPosition(8, x, y);
 };
 
 /**
- * Returns the reflectable wall region map for the current game map
- * For performance, we pre-compute the closest wall region for every tile on the map
- * (we map columns to rows with reflections, so we should only visit each tile on the map
- * once while building this cache)
- * Each row is sorted starting from the lowest tile with a reflection (bottom edge of map)
- * to the highest (top edge of map)
+ * Gets the y coordinate of the closest tile with a bottom wall reflection region that is below point (x,y)
+ * Returns -1 if no valid wall region found
+ * @param {number} x 
+ * @param {number} y 
  */
-KCDev.Mirrors.buildCurrentMapCache = function () {
-    const /** @type {Map<number, number[]} */ regionMap = KCDev.Mirrors.reflectWallPositions;
-
-    for (let i = $gameMap.width() - 1; i >= 0; i--) {
-        for (let j = $gameMap.height() - 1; j >= 0; j--) {
-            const regionId = $gameMap.regionId(i, j);
-
-            if (KCDev.Mirrors.wallRegions.has(regionId)) {
-                const yArr = regionMap.get(i) || [];
-
-                yArr.push(j);
+KCDev.Mirrors.getWallYSouth = function (x, y) {
+    return KCDev.Mirrors.getWallPosition(2, x, y);
+};
 
-                regionMap.set(i, yArr);
-            }
-        }
-    }
+/**
+ * Gets the x coordinate of the closest tile with a left wall reflection region that is left of point (x,y)
+ * Returns -1 if no valid wall region found
+ * @param {number} x 
+ * @param {number} y 
+ */
+KCDev.Mirrors.getWallXLeft = function (x, y) {
+    return KCDev.Mirrors.getWallPosition(4, x, y);
 };
 
 /**
- * Gets the y coordinate of the closest tile with a wall reflection region that is above point (x,y)
+ * Gets the x coordinate of the closest tile with a right wall reflection region that is right of point (x,y)
  * Returns -1 if no valid wall region found
  * @param {number} x 
  * @param {number} y 
  */
-KCDev.Mirrors.getWallY = function (x, y) {
-    const mapId = $gameMap.mapId();
+KCDev.Mirrors.getWallXRight = function (x, y) {
+    return KCDev.Mirrors.getWallPosition(6, x, y);
+};
 
-    if (KCDev.Mirrors.currMapId !== mapId) {
-        KCDev.Mirrors.refreshReflectWallCache();
-        KCDev.Mirrors.currMapId = mapId;
+/**
+ * Returns the direction a reflection sprite should face given the direction of its character.
+ * Mirrors above the character reverse the direction, while side mirrors only swap left and right.
+ * Mirrors below the character show the front of the character, so the direction is unchanged.
+ * @param {KCDev.Mirrors.Sprite_Reflect} r Reflection sprite
+ * @param {number} d Direction of the character, including diagonal directions
+ * @returns {number}
+ */
+KCDev.Mirrors.getReflectDirection = function (r, d) {
+    if (!r._isReflectionWall || r._wallDir === 2) {
+        return d;
     }
 
-    // check for any walls in this column, array assumed to be sorted from high to low
-    const col = KCDev.Mirrors.reflectWallPositions.get(x);
-
-    // last element is always smallest, so if y is smaller, then no need to check entire array
-    if (col && y >= col[col.length - 1]) {
-        const wallY = col.find(wallY => wallY <= y);
-        if (wallY !== undefined) {
-            return wallY;
-        }
+    if (r._wallDir === 4 || r._wallDir === 6) {
+        // swap the left and right columns of the numpad
+        return (d % 3 === 1) ? d + 2 : (d % 3 === 0) ? d - 2 : d;
     }
 
-    return -1;
+    return 10 - d;
 };
 
 KCDev.Mirrors.Sprite_Character_isImageChanged = Sprite_Character.prototype.isImageChanged;
@@ -3299,23 +9223,25 @@ Sprite_Character.prototype.isImageChanged = function () {
 /**
  * Handles drawing either a tile or a character
  * @param {KCDev.Mirrors.Sprite_Reflect} r Reflection sprite to be modified
+ * @param {Game_CharacterBase} source Character whose direction and pattern are shown
  */
-KCDev.Mirrors.handleReflectFrame = function (r) {
+KCDev.Mirrors.handleReflectFrame = function (r, source = r._character) {
     if (this._tileId > 0 && this._characterName === r._characterName) {
         r._tileId = this._tileId;
         r.bitmap = this.bitmap;
         r.updateTileFrame();
     }
     else {
-        KCDev.Mirrors.setReflectFrame(r);
+        KCDev.Mirrors.setReflectFrame(r, source);
     }
 };
 
 /**
  * Switches to the appropriate frame for the reflection sprite
  * @param {KCDev.Mirrors.Sprite_Reflect} r Reflection sprite
+ * @param {Game_CharacterBase} source Character whose direction and pattern are shown, such as a delayed copy of r's character
  */
-KCDev.Mirrors.setReflectFrame = function (r) {
+KCDev.Mirrors.setReflectFrame = function (r, source = r._character) {
 
     /** @type {Game_Character} */
     const character = r._character;
@@ -3324,11 +9250,13 @@ KCDev.Mirrors.setReflectFrame = function (r) {
     const tempCharIndex = character._characterIndex;
     const tempCharName = character._characterName;
     const tempCharDir = character._direction;
+    const tempCharPattern = character._pattern;
 
     // load in reflection parameters
     character._characterName = r._characterName;
     character._characterIndex = r._characterIndex;
-    if (r._isReflectionWall) character._direction = character.reverseDir(tempCharDir);
+    character._direction = KCDev.Mirrors.getReflectDirection(r, source.reflectDirection());
+    character._pattern = source.reflectPattern();
 
     // set the frame
     const pw = r.patternWidth();
@@ -3341,6 +9269,7 @@ KCDev.Mirrors.setReflectFrame = function (r) {
     character._characterIndex = tempCharIndex;
     character._characterName = tempCharName;
     character._direction = tempCharDir;
+    character._pattern = tempCharPattern;
 };
 
 ////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -3351,6 +9280,65 @@ KCDev.Mirrors.setReflectFrame = function (r) {
 // START Spriteset_Map edits                                                                                  //
 ////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+KCDev.Mirrors.Spriteset_Map_createCharacters = Spriteset_Map.prototype.createCharacters;
+/**
+ * Aliased method: Spriteset_Map.prototype.createCharacters
+ * Adds the upper layer tile reflections to the tilemap
+ */
+Spriteset_Map.prototype.createCharacters = function () {
+    KCDev.Mirrors.Spriteset_Map_createCharacters.apply(this, arguments);
+    this._reflectTilesSprite = new KCDev.Mirrors.Sprite_ReflectTiles();
+    this._tilemap.addChild(this._reflectTilesSprite);
+};
+
+KCDev.Mirrors.Spriteset_Map_createShadow = Spriteset_Map.prototype.createShadow;
+/**
+ * Aliased method: Spriteset_Map.prototype.createShadow
+ * Adds a reflection of the airship's shadow to the tilemap
+ */
+Spriteset_Map.prototype.createShadow = function () {
+    KCDev.Mirrors.Spriteset_Map_createShadow.apply(this, arguments);
+    this._reflectShadowSprite = new Sprite();
+    this._reflectShadowSprite.bitmap = ImageManager.loadSystem('Shadow2');
+    this._reflectShadowSprite.anchor.x = 0.5;
+    this._reflectShadowSprite.anchor.y = 1;
+    this._reflectShadowSprite.scale.y = -1;
+    this._reflectShadowSprite.z = 2 * KCDev.Mirrors.zValue;
+    this._reflectShadowSprite.spriteId = -1;
+    this._tilemap.addChild(this._reflectShadowSprite);
+};
+
+KCDev.Mirrors.Spriteset_Map_updateShadow = Spriteset_Map.prototype.updateShadow;
+/**
+ * Aliased method: Spriteset_Map.prototype.updateShadow
+ */
+Spriteset_Map.prototype.updateShadow = function () {
+    KCDev.Mirrors.Spriteset_Map_updateShadow.apply(this, arguments);
+    this.updateReflectShadow();
+};
+
+/**
+ * New method: Spriteset_Map.prototype.updateReflectShadow
+ * Places the reflection of the airship's shadow below the shadow
+ */
+Spriteset_Map.prototype.updateReflectShadow = function () {
+    const sprite = this._reflectShadowSprite;
+    const shadow = this._shadowSprite;
+    if (!sprite || !shadow) return;
+
+    const airship = $gameMap.airship();
+    const x = Math.floor(airship.x);
+    const y = Math.floor(airship.y);
+    const isFloorTile = !KCDev.Mirrors.hasFloorTiles() || KCDev.Mirrors.isFloorTile(x, y);
+
+    sprite.visible = $gameMap.reflectFloor() && airship.reflectFloor() && isFloorTile && !KCDev.Mirrors.isNoReflectTile(x, y) && shadow.opacity > 0;
+    if (!sprite.visible) return;
+
+    sprite.x = shadow.x + $gameMap.reflectFloorXOffset() + airship.reflectFloorXOffset();
+    sprite.y = shadow.y + $gameMap.reflectFloorYOffset() + Game_Character.prototype.reflectFloorYOffset.call(airship);
+    sprite.opacity = shadow.opacity;
+};
+
 KCDev.Mirrors.Spriteset_Map_update = Spriteset_Map.prototype.update;
 /**
  * Aliased method: Spriteset_Map.prototype.update
@@ -3360,6 +9348,50 @@ Spriteset_Map.prototype.update = function () {
     if (KCDev.Mirrors.useZFightFix && $gameMap.reflectMode() === KCDev.Mirrors.wallModes.perspective) {
         KCDev.Mirrors.sortWallSpritesByY(this._characterSprites);
     }
+    this.updateMirrorScenes();
+};
+
+/**
+ * New method: Spriteset_Map.prototype.updateMirrorScenes
+ * Creates a scene sprite for every mirror in true mirror mode and redraws the ones on screen
+ */
+Spriteset_Map.prototype.updateMirrorScenes = function () {
+    KCDev.Mirrors.checkCurrentMapCache();
+    const key = [$gameMap.mapId(), KCDev.Mirrors.cacheVersion, $gameMap.reflectMode()].join();
+
+    if (this._mirrorSceneKey !== key) {
+        this._mirrorSceneKey = key;
+        for (const sprite of this._mirrorSceneSprites || []) {
+            sprite.remove();
+        }
+        const mirrorAreas = KCDev.Mirrors.getMirrorAreaList().filter(area => KCDev.Mirrors.getAreaWallMode(area) === KCDev.Mirrors.wallModes.mirror);
+        this._mirrorSceneSprites = mirrorAreas.map(area => new KCDev.Mirrors.Sprite_MirrorScene(area));
+        for (const sprite of this._mirrorSceneSprites) {
+            this._tilemap.addChild(sprite);
+        }
+    }
+
+    const sprites = this._mirrorSceneSprites.filter(sprite => {
+        sprite.updatePlacement();
+        return sprite.visible;
+    });
+
+    // characters that only appear in reflections are still drawn in mirrors
+    const reflectOnlySprites = sprites.length > 0 ? this._characterSprites.filter(sprite => sprite._reflectOnlyHidden) : [];
+
+    // mirrors and character reflections would otherwise show up as reflections of reflections
+    const reflections = [];
+    if (sprites.length > 0) {
+        this._characterSprites.forEach(sprite => reflections.push(...sprite.reflectionSprites().filter(r => r.visible)));
+    }
+
+    sprites.forEach(sprite => sprite.visible = false);
+    reflections.forEach(r => r.visible = false);
+    reflectOnlySprites.forEach(sprite => sprite.visible = true);
+    sprites.forEach(sprite => sprite.renderScene(this._tilemap));
+    reflectOnlySprites.forEach(sprite => sprite.visible = false);
+    reflections.forEach(r => r.visible = true);
+    sprites.forEach(sprite => sprite.visible = true);
 };
 
 /**
@@ -3373,17 +9405,97 @@ KCDev.Mirrors.sortWallSpritesByY = function (charSprites) {
         return a._character._realY - b._character._realY;
     });
     sortedSprites.forEach(sprite => {
-        if (sprite._reflectionWall) {
-            sprite._reflectionWall.z = z;
+        const wallSprites = sprite.reflectionWallSprites();
+        if (wallSprites.length > 0) {
+            wallSprites.forEach(r => r.z = z);
             z--;
         }
     });
 };
 
+if (Utils.RPGMAKER_NAME === 'MZ') {
+    KCDev.Mirrors.Spriteset_Base_createAnimationSprite = Spriteset_Base.prototype.createAnimationSprite;
+    /**
+     * Aliased method: Spriteset_Base.prototype.createAnimationSprite
+     * Plays the animation on the reflections of any character targets too (MZ only)
+     * @param {Game_Character[]} targets 
+     * @param {object} animation 
+     * @param {boolean} mirror 
+     * @param {number} delay 
+     */
+    Spriteset_Base.prototype.createAnimationSprite = function (targets, animation, mirror, delay) {
+        KCDev.Mirrors.Spriteset_Base_createAnimationSprite.apply(this, arguments);
+        for (const sprite of this.makeTargetSprites(targets)) {
+            if (sprite instanceof Sprite_Character) {
+                sprite.startReflectAnimations(animation, mirror, delay);
+            }
+        }
+    };
+
+    KCDev.Mirrors.Sprite_Balloon_setup = Sprite_Balloon.prototype.setup;
+    /**
+     * Aliased method: Sprite_Balloon.prototype.setup
+     * Lets the target sprite find its balloon so that it can be reflected (MZ only)
+     * @param {Sprite} targetSprite 
+     * @param {number} balloonId 
+     */
+    Sprite_Balloon.prototype.setup = function (targetSprite, balloonId) {
+        KCDev.Mirrors.Sprite_Balloon_setup.apply(this, arguments);
+        if (targetSprite) {
+            targetSprite._reflectBalloonSource = this;
+        }
+    };
+}
+
 ////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 // END Spriteset_Map edits                                                                                    //
 ////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// START Spriteset_Battle edits                                                                               //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+KCDev.Mirrors.Spriteset_Battle_createActors = Spriteset_Battle.prototype.createActors;
+/**
+ * Aliased method: Spriteset_Battle.prototype.createActors
+ * Enemies are created before actors, so every battler sprite exists at this point
+ */
+Spriteset_Battle.prototype.createActors = function () {
+    KCDev.Mirrors.Spriteset_Battle_createActors.apply(this, arguments);
+    this.createBattleReflections();
+};
+
+/**
+ * New method: Spriteset_Battle.prototype.createBattleReflections
+ * Creates a floor reflection sprite for every battler sprite
+ */
+Spriteset_Battle.prototype.createBattleReflections = function () {
+    this._reflectionLayer = new Sprite();
+    // MV draws the battlebacks on the battle field, so the reflections need to go above them
+    const index = this._battleField.children.indexOf(this._back2Sprite) + 1;
+    this._battleField.addChildAt(this._reflectionLayer, index);
+
+    this._battlerReflectSprites = this.battlerSprites().map(sprite => new KCDev.Mirrors.Sprite_BattlerReflect(sprite));
+    for (const sprite of this._battlerReflectSprites) {
+        this._reflectionLayer.addChild(sprite);
+    }
+};
+
+KCDev.Mirrors.Spriteset_Battle_update = Spriteset_Battle.prototype.update;
+/**
+ * Aliased method: Spriteset_Battle.prototype.update
+ */
+Spriteset_Battle.prototype.update = function () {
+    KCDev.Mirrors.Spriteset_Battle_update.apply(this, arguments);
+    if (this._battlerReflectSprites) {
+        this._battlerReflectSprites.forEach(sprite => sprite.updateReflection());
+    }
+};
+
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// END Spriteset_Battle edits                                                                                 //
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
 ////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 // START DataManager Edits                                                                                    //
 ////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -3396,6 +9508,9 @@ DataManager.extractSaveContents = function () {
         if (actor && actor._reflectName === undefined) {
             KCDev.Mirrors.parseMetaValues(actor, $dataActors[actor.actorId()], KCDev.Mirrors.actorDefault, true);
         }
+        if (actor) {
+            actor._reflectTraitKey = ''; // note tags may have changed since the game was saved
+        }
     }
 };
 
@@ -3426,7 +9541,7 @@ if (window.Filter_Controller && Utils.RPGMAKER_NAME === 'MZ') {
     targetGetter[Type.CharReflectionsWall] = function (targetIds) {
         const targets = [];
         if (this._spriteset && this._spriteset._characterSprites) {
-            this._spriteset._characterSprites.forEach(sprite => targets.push(sprite._reflectionWall));
+            this._spriteset._characterSprites.forEach(sprite => targets.push(...sprite.reflectionWallSprites()));
         }
         return targets;
     };
@@ -3435,7 +9550,7 @@ if (window.Filter_Controller && Utils.RPGMAKER_NAME === 'MZ') {
         const targets = [];
         if (this._spriteset) {
             if (this._spriteset._characterSprites) {
-                this._spriteset._characterSprites.forEach(sprite => { targets.push(sprite._reflectionWall); targets.push(sprite._reflectionFloor) });
+                this._spriteset._characterSprites.forEach(sprite => { targets.push(...sprite.reflectionWallSprites()); targets.push(sprite._reflectionFloor) });
             }
 
         }
@@ -3504,7 +9619,7 @@ if (Imported.Galv_DiagonalMovement && Galv.DM.diagGraphic) {
 
         const tmpDiagDir = character._diagDir;
 
-        if (r._isReflectionWall && tmpDiagDir) character._diagDir = character.reverseDir(tmpDiagDir);
+        if (tmpDiagDir) character._diagDir = KCDev.Mirrors.getReflectDirection(r, tmpDiagDir);
 
         KCDev.Mirrors.setReflectFrame_GalvDM.apply(this, arguments);
 
@@ -3522,8 +9637,7 @@ if (Imported.Galv_EventSpawner) {
             if (sprite._reflectionFloor) {
                 const char = sprite._character;
                 if (char.isSpawnEvent && char._eventId === eventId) {
-                    this._tilemap.removeChild(sprite._reflectionFloor);
-                    this._tilemap.removeChild(sprite._reflectionWall);
+                    sprite.removeReflectionSprites();
                 }
             }
         }
@@ -3538,8 +9652,7 @@ if (Imported.Galv_EventSpawner) {
             if (sprite._reflectionFloor) {
                 const char = sprite._character;
                 if (char.isSpawnEvent && (clearSaved || !char.isSavedEvent)) {
-                    this._tilemap.removeChild(sprite._reflectionFloor);
-                    this._tilemap.removeChild(sprite._reflectionWall);
+                    sprite.removeReflectionSprites();
                 }
             }
         }
@@ -3573,7 +9686,7 @@ if (Imported.Galv_EventSpawner) {
                     tempPose = character._pose;
                     if (tempPose) {
                         const dir = Number(tempPose[tempPose.length - 1]);
-                        const newDir = character.reverseDir(dir);
+                        const newDir = KCDev.Mirrors.getReflectDirection(r, dir);
                         const newPose = tempPose.substring(0, tempPose.length - 1) + newDir;
                         if (character.hasPose(newPose)) {
                             character._pose = newPose;